@@ -3,7 +3,7 @@
 import { readFileSync, existsSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
-import dedust from "../dist/esm/index.mjs";
+import dedust, { loadRules } from "../dist/esm/index.mjs";
 
 const args = process.argv.slice(2);
 const flags = {
@@ -12,6 +12,11 @@ const flags = {
 	help: false,
 	version: false,
 	skipValidation: false,
+	profile: undefined,
+	quarantine: undefined,
+	enableRules: [],
+	disableRules: [],
+	tags: [],
 };
 
 const directories = [];
@@ -28,6 +33,38 @@ for (let i = 0; i < args.length; i++) {
 		flags.dryRun = false;
 	} else if (arg === "--skip-validation") {
 		flags.skipValidation = true;
+	} else if (arg === "--profile" || arg === "-p") {
+		i++;
+		if (i < args.length) {
+			flags.profile = args[i];
+		} else {
+			console.error("Error: --profile requires a profile name");
+			process.exit(1);
+		}
+	} else if (arg === "--rule" || arg === "-r" || arg === "--disable-rule" || arg === "--tag" || arg === "-t") {
+		i++;
+		// Several values may be given at once, separated by commas
+		const values = i < args.length ? args[i].split(",").filter(Boolean) : [];
+		if (values.length === 0) {
+			const value = arg === "--tag" || arg === "-t" ? "a tag" : "a rule id";
+			console.error(`Error: ${arg} requires ${value}`);
+			process.exit(1);
+		}
+		if (arg === "--disable-rule") {
+			flags.disableRules.push(...values);
+		} else if (arg === "--tag" || arg === "-t") {
+			flags.tags.push(...values);
+		} else {
+			flags.enableRules.push(...values);
+		}
+	} else if (arg === "--quarantine" || arg === "-q") {
+		i++;
+		if (i < args.length) {
+			flags.quarantine = args[i];
+		} else {
+			console.error("Error: --quarantine requires a directory");
+			process.exit(1);
+		}
 	} else if (arg === "--config" || arg === "-c") {
 		i++;
 		if (i < args.length) {
@@ -57,6 +94,12 @@ Options:
   -v, --version           Show version number
   -D, --delete            Actually delete files (requires explicit confirmation)
   -c, --config <file>     Specify config file (default: dedust.rules)
+  -p, --profile <name>    Apply the rules of a profile section (e.g. 'profile ci:')
+  -r, --rule <id>         Only apply the cleanup rules with these ids ('as <id>'), repeatable or comma-separated
+  -t, --tag <tag>         Only apply the cleanup rules with these tags ('tags <tag>'), repeatable or comma-separated
+  --disable-rule <id>     Do not apply the rules with these ids, repeatable or comma-separated
+  -q, --quarantine <dir>  Move deleted items into <dir>/<timestamp>/ instead of deleting them
+                          (relative to each scanned directory, which never scans <dir>)
   --skip-validation       Skip safety validation (use with caution)
 
 Examples:
@@ -74,6 +117,15 @@ Examples:
 
   # Preview with custom config
   dedust --config custom.rules /path/to/project
+
+  # Aggressive cleanup on CI
+  dedust --delete --profile ci
+
+  # Move deleted items aside so they can be restored
+  dedust --delete --quarantine .dedust-quarantine
+
+  # Only clean Rust build output, keeping one rule out
+  dedust --tag rust --disable-rule rust-docs
 `);
 	process.exit(0);
 }
@@ -109,36 +161,75 @@ if (!existsSync(configPath)) {
 	process.exit(1);
 }
 
-// Read config file
-let rulesText;
-try {
-	rulesText = readFileSync(configPath, "utf-8");
-} catch (error) {
-	console.error(`Error reading config file: ${error.message}`);
-	process.exit(1);
+/**
+ * Describe the rule that found a target by its id and description, e.g. " [rust-target: Cargo build output]"
+ * @param {{id?: string | null, description?: string | null}} rule
+ * @returns {string} The description, or an empty string for rules without an id or description
+ */
+function describeRule(rule) {
+	const label = [rule.id, rule.description].filter(Boolean).join(": ");
+	return label ? ` [${label}]` : "";
+}
+
+/**
+ * Name a rule in a conflict report by its id, or by its action and target, e.g. "node-modules" or "delete *.log"
+ * @param {{id?: string | null, action: string, target: string} | null} rule - The rule, or null for an ignore pattern passed to the API
+ * @returns {string}
+ */
+function nameRule(rule) {
+	return rule ? rule.id || `${rule.action} ${rule.target}` : "ignore pattern";
 }
 
 // Run cleanup
 (async () => {
+	// Read config file (and the files it includes)
+	let rules;
+	try {
+		rules = await loadRules(configPath);
+	} catch (error) {
+		console.error(`Error reading config file: ${error.message}`);
+		process.exit(1);
+	}
+
+	// Set once scanning starts; dedust() rejects unknown profiles, rule ids and tags before that
+	let scanning = false;
+
 	try {
 		console.log(`Using config: ${configPath}`);
 		console.log(`Scanning directories: ${directories.join(", ")}`);
 		console.log(`Mode: ${flags.dryRun ? "DRY RUN (preview only)" : "DELETE"}`);
+		if (flags.profile) {
+			console.log(`Profile: ${flags.profile}`);
+		}
+		if (flags.enableRules.length > 0) {
+			console.log(`Rules: ${flags.enableRules.join(", ")}`);
+		}
+		if (flags.tags.length > 0) {
+			console.log(`Tags: ${flags.tags.join(", ")}`);
+		}
+		if (flags.disableRules.length > 0) {
+			console.log(`Disabled rules: ${flags.disableRules.join(", ")}`);
+		}
+		if (flags.quarantine) {
+			console.log(`Quarantine: ${flags.quarantine}`);
+		}
 		console.log("");
 
 		// Dry run - just find targets
 		const result = await dedust(
-			rulesText,
+			rules,
 			directories,
 			{
 				onScanStart: (data) => {
+					scanning = true;
 					console.log(`→ Starting scan with ${data.rulesCount} rules...`);
 				},
 				onScanDirectory: (data) => {
 					process.stdout.write(`\r  Scanning: ${data.directory}...`);
 				},
 				onFileFound: (data) => {
-					console.log(`\n  Found: ${data.path}`);
+					const action = data.rule.action === "delete" ? "" : ` (${data.rule.action})`;
+					console.log(`\n  Found${action}: ${data.path}${describeRule(data.rule)}`);
 				},
 				onScanComplete: (data) => {
 					console.log(`\n✓ Scan complete. Found ${data.filesFound} items to delete.`);
@@ -147,11 +238,28 @@ try {
 					const type = data.isDirectory ? "directory" : "file";
 					console.log(`  ✓ Deleted ${type}: ${data.path}`);
 				},
+				onFileEmptied: (data) => {
+					console.log(`  ✓ Emptied directory: ${data.path}`);
+				},
+				onFileTruncated: (data) => {
+					console.log(`  ✓ Truncated file: ${data.path}`);
+				},
+				onFileArchived: (data) => {
+					console.log(`  ✓ Archived: ${data.path} → ${data.archive}`);
+				},
+				onFileMoved: (data) => {
+					console.log(`  ✓ Moved: ${data.path} → ${data.destination}`);
+				},
 				onError: (data) => {
 					console.error(`  ✗ Error deleting ${data.path}: ${data.error.message}`);
 				},
-			},
-			{ skipValidation: flags.skipValidation }
+				skipValidation: flags.skipValidation,
+				profile: flags.profile,
+				enableRules: flags.enableRules,
+				disableRules: flags.disableRules,
+				tags: flags.tags,
+				quarantine: flags.quarantine,
+			}
 		);
 
 		if (flags.dryRun) {
@@ -162,6 +270,30 @@ try {
 			console.log("=".repeat(60));
 			console.log(`Total items that would be deleted: ${targets.length}`);
 
+			// Break the total down by rule, for rules with an id
+			const counts = new Map();
+			for (const match of result.matches.values()) {
+				if (match.rule.id) {
+					counts.set(match.rule, (counts.get(match.rule) || 0) + 1);
+				}
+			}
+			if (counts.size > 0) {
+				console.log("\nBy rule:");
+				for (const [rule, count] of counts) {
+					console.log(`  ${rule.id}: ${count}${rule.description ? ` - ${rule.description}` : ""}`);
+				}
+			}
+
+			// Show which rule won where several rules matched the same path
+			const conflicts = Array.from(result.decisions).filter(([, decision]) => decision.overridden.length > 0);
+			if (conflicts.length > 0) {
+				console.log("\nConflicts:");
+				for (const [conflictPath, decision] of conflicts) {
+					const losers = decision.overridden.map((match) => nameRule(match.rule)).join(", ");
+					console.log(`  ${conflictPath}: ${decision.action} (${nameRule(decision.rule)}) over ${losers}`);
+				}
+			}
+
 			if (targets.length > 0) {
 				console.log("\nTo actually delete these files, run with --delete flag.");
 			}
@@ -172,6 +304,19 @@ try {
 			console.log("CLEANUP SUMMARY");
 			console.log("=".repeat(60));
 			console.log(`Successfully deleted: ${stats.deleted.length} items`);
+			if (stats.emptied.length > 0) {
+				console.log(`Emptied: ${stats.emptied.length} directories`);
+			}
+			if (stats.truncated.length > 0) {
+				console.log(`Truncated: ${stats.truncated.length} files`);
+			}
+			if (stats.archived.length > 0) {
+				const archives = new Set(stats.archived.map((entry) => entry.archive));
+				console.log(`Archived: ${stats.archived.length} items into ${Array.from(archives).join(", ")}`);
+			}
+			if (stats.moved.length > 0) {
+				console.log(`Moved: ${stats.moved.length} items`);
+			}
 			console.log(`Errors: ${stats.errors.length}`);
 
 			if (stats.errors.length > 0) {
@@ -196,7 +341,10 @@ try {
 				error.validationErrors.forEach((ve, index) => {
 					console.error(`\n${index + 1}. ${ve.error}`);
 					if (ve.rule) {
-						console.error(`   Rule: delete ${ve.rule.target}`);
+						console.error(`   Rule: ${ve.rule.action} ${ve.rule.target}${ve.rule.id ? ` (${ve.rule.id})` : ""}`);
+						if (ve.rule.source && ve.rule.source.file) {
+							console.error(`   Defined at: ${ve.rule.source.file}:${ve.rule.source.line}`);
+						}
 					}
 				});
 			}
@@ -207,6 +355,8 @@ try {
 			console.error("  • Use 'ignore' rules to protect important files");
 			console.error("  • If you're certain, use --skip-validation (USE WITH CAUTION!)");
 			console.error("");
+		} else if (!scanning) {
+			console.error(`Error: ${error.message}`);
 		} else {
 			console.error("\nFatal error:", error.message);
 			if (error.stack) {
@@ -0,0 +1,28 @@
+/**
+ * Get the names of all captures used in a pattern, in order of first appearance
+ * @param pattern - The pattern to inspect, e.g. `{name}.o`
+ * @returns Capture names
+ */
+export function getCaptureNames(pattern: string): string[];
+
+/**
+ * Replace captures with '*' so the pattern can be used for globbing
+ * @param pattern - The pattern with captures
+ */
+export function toGlobPattern(pattern: string): string;
+
+/**
+ * Extract capture values from a path matched by a pattern
+ * @param pattern - The pattern with captures
+ * @param relativePath - The matched path, relative to the anchor directory, using '/' separators
+ * @returns Capture values, or null if the path does not match
+ */
+export function matchCaptures(pattern: string, relativePath: string): Record<string, string> | null;
+
+/**
+ * Substitute capture values into a pattern
+ * @param pattern - The pattern with captures
+ * @param captures - Capture values
+ * @param escapeGlob - Escape glob characters in values so they match literally (default: true)
+ */
+export function substituteCaptures(pattern: string, captures: Record<string, string>, escapeGlob?: boolean): string;
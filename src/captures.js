@@ -0,0 +1,198 @@
+import { minimatch } from "minimatch";
+
+/**
+ * A capture placeholder in a pattern, e.g. {name}
+ * Brace expansions such as {a,b} never match because they contain other characters
+ */
+const CAPTURE_REGEX = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+/**
+ * Sticky variant of CAPTURE_REGEX, used to check for a capture at a given position
+ */
+const CAPTURE_AT_REGEX = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/y;
+
+/**
+ * Get the names of all captures used in a pattern, in order of first appearance
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+export function getCaptureNames(pattern) {
+	const names = [];
+	for (const match of pattern.matchAll(CAPTURE_REGEX)) {
+		if (!names.includes(match[1])) {
+			names.push(match[1]);
+		}
+	}
+	return names;
+}
+
+/**
+ * Replace captures with '*' so the pattern can be used for globbing
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function toGlobPattern(pattern) {
+	return pattern.replace(CAPTURE_REGEX, "*");
+}
+
+/**
+ * Extract capture values from a path matched by a pattern
+ * Supports the glob syntax around captures; a capture used twice must match the same text
+ * @param {string} pattern - The pattern with captures
+ * @param {string} relativePath - The matched path, relative to the anchor directory, using '/' separators
+ * @returns {Record<string, string> | null} - Null if the path does not match
+ */
+export function matchCaptures(pattern, relativePath) {
+	// Brace alternatives ({o,obj}) may differ in length, so each expansion is tried; captures are left unexpanded
+	for (const expanded of minimatch.braceExpand(pattern)) {
+		const captures = matchExpandedCaptures(expanded, relativePath);
+		if (captures) {
+			return captures;
+		}
+	}
+	return null;
+}
+
+/**
+ * Extract capture values from a path matched by a pattern without brace alternatives
+ * Bracket expressions and extglob groups stand for any text within a path segment: the path was already
+ * matched by the glob pattern, so they only need to keep the captures aligned
+ * @param {string} pattern
+ * @param {string} relativePath
+ * @returns {Record<string, string> | null}
+ */
+function matchExpandedCaptures(pattern, relativePath) {
+	const names = [];
+	let source = "";
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === "{") {
+			CAPTURE_AT_REGEX.lastIndex = i;
+			const capture = CAPTURE_AT_REGEX.exec(pattern);
+			if (capture) {
+				const name = capture[1];
+				const index = names.indexOf(name);
+				if (index === -1) {
+					names.push(name);
+					source += "([^/]+)";
+				} else {
+					// Repeated capture: back-reference the first occurrence
+					source += `\\${index + 1}`;
+				}
+				i += capture[0].length - 1;
+				continue;
+			}
+		}
+
+		if ("+@!?*".includes(char) && pattern[i + 1] === "(") {
+			const end = findGroupEnd(pattern, i + 1);
+			if (end !== -1) {
+				source += "[^/]*";
+				i = end;
+				continue;
+			}
+		}
+
+		if (char === "[") {
+			const end = findBracketEnd(pattern, i);
+			if (end !== -1) {
+				source += "[^/]";
+				i = end;
+				continue;
+			}
+		}
+
+		if (char === "*") {
+			if (pattern[i + 1] === "*") {
+				source += ".*";
+				i++;
+			} else {
+				source += "[^/]*";
+			}
+		} else if (char === "?") {
+			source += "[^/]";
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		}
+	}
+
+	const match = new RegExp(`^${source}$`).exec(relativePath);
+	if (!match) {
+		return null;
+	}
+
+	/** @type {Record<string, string>} */
+	const captures = {};
+	names.forEach((name, index) => {
+		captures[name] = match[index + 1];
+	});
+	return captures;
+}
+
+/**
+ * Find the ')' closing an extglob group
+ * @param {string} pattern
+ * @param {number} start - Position of the opening '('
+ * @returns {number} - Position of the closing ')', or -1 if the group is not closed
+ */
+function findGroupEnd(pattern, start) {
+	let depth = 0;
+	for (let i = start; i < pattern.length; i++) {
+		if (pattern[i] === "(") {
+			depth++;
+		} else if (pattern[i] === ")" && --depth === 0) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Find the ']' closing a bracket expression; a ']' right after '[' (or '[!' / '[^') belongs to the class
+ * @param {string} pattern
+ * @param {number} start - Position of the opening '['
+ * @returns {number} - Position of the closing ']', or -1 if the class is not closed
+ */
+function findBracketEnd(pattern, start) {
+	let i = start + 1;
+	if (pattern[i] === "!" || pattern[i] === "^") {
+		i++;
+	}
+	if (pattern[i] === "]") {
+		i++;
+	}
+	for (; i < pattern.length; i++) {
+		// POSIX character classes such as [:alpha:] contain brackets themselves
+		if (pattern.startsWith("[:", i)) {
+			const close = pattern.indexOf(":]", i + 2);
+			if (close !== -1) {
+				i = close + 1;
+				continue;
+			}
+		}
+		if (pattern[i] === "]") {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Substitute capture values into a pattern
+ * @param {string} pattern - The pattern with captures
+ * @param {Record<string, string>} captures - Capture values
+ * @param {boolean} [escapeGlob] - Escape glob characters in values so they match literally
+ * @returns {string}
+ */
+export function substituteCaptures(pattern, captures, escapeGlob = true) {
+	return pattern.replace(CAPTURE_REGEX, (placeholder, name) => {
+		if (!Object.prototype.hasOwnProperty.call(captures, name)) {
+			return placeholder;
+		}
+		const value = captures[name];
+		// Backslash is a path separator on Windows, so glob characters are escaped with [] there
+		return escapeGlob ? minimatch.escape(value, { windowsPathsNoEscape: process.platform === "win32" }) : value;
+	});
+}
@@ -1,5 +1,6 @@
-import { Rule, LocationType } from "./parser.js";
+import { Rule, LocationType, EntryType, ActionType, DepthRange } from "./parser.js";
 import { EventEmitter } from "node:events";
+import { GitState } from "./git.js";
 
 /**
  * Evaluation context for rules
@@ -11,12 +12,67 @@ export interface EvaluationContext {
 	currentDir: string;
 }
 
+/**
+ * The rule that made a path a target, and the directory it applied in
+ */
+export interface TargetMatch {
+	/** The matching rule */
+	rule: Rule;
+	/** The anchor directory the rule was evaluated in */
+	directory: string;
+}
+
+/**
+ * How the rules matching a path were resolved
+ */
+export interface Decision {
+	/**
+	 * The action applied to the path: that of the winning cleanup rule, 'ignore' if an ignore rule kept it,
+	 * or 'protect' if the path is or holds a protected path
+	 */
+	action: ActionType;
+	/** The winning rule, or null if the path was ignored by an API ignore pattern */
+	rule: Rule | null;
+	/** The anchor directory the winning cleanup rule was evaluated in, or null for 'ignore' and 'protect' */
+	directory: string | null;
+	/** The cleanup rules that matched the path but lost, first match of each rule */
+	overridden: TargetMatch[];
+	/** Why the cleanup rules were refused, for 'protect' */
+	error?: ProtectedPathError;
+}
+
+/**
+ * Options of an evaluator
+ */
+export interface EvaluatorOptions {
+	/** Directory deleted targets are moved into instead, relative to the base directory; it is never scanned */
+	quarantine?: string | null;
+	/** Environment variables checked by 'env' predicates (defaults to process.env) */
+	env?: Record<string, string | undefined>;
+	/** Platform checked by 'platform' predicates (defaults to process.platform) */
+	platform?: string;
+}
+
 /**
  * Result of executing cleanup
  */
 export interface ExecutionResult {
 	/** Successfully deleted paths */
 	deleted: string[];
+	/** Directories whose contents were deleted by 'empty' rules */
+	emptied: string[];
+	/** Files truncated to zero length by 'truncate' rules */
+	truncated: string[];
+	/** Paths packed into a tarball and deleted by 'archive' rules, with the tarball holding each */
+	archived: Array<{
+		path: string;
+		archive: string;
+	}>;
+	/** Paths moved by 'move' rules, or into quarantine instead of being deleted, with the path each was moved to */
+	moved: Array<{
+		path: string;
+		destination: string;
+	}>;
 	/** Errors encountered during deletion */
 	errors: Array<{
 		path: string;
@@ -34,6 +90,8 @@ export interface FileFoundEvent {
 	rule: Rule;
 	/** The directory where the file was found */
 	directory: string;
+	/** Capture values extracted from the target, e.g. { name: "foo" } for `{name}.o` matching `foo.o` */
+	captures?: Record<string, string>;
 }
 
 /**
@@ -46,6 +104,42 @@ export interface FileDeletedEvent {
 	isDirectory: boolean;
 }
 
+/**
+ * Event emitted when the contents of a directory are deleted by an 'empty' rule
+ */
+export interface FileEmptiedEvent {
+	/** The path of the emptied directory */
+	path: string;
+}
+
+/**
+ * Event emitted when a file is truncated to zero length by a 'truncate' rule
+ */
+export interface FileTruncatedEvent {
+	/** The path of the truncated file */
+	path: string;
+}
+
+/**
+ * Event emitted when a path packed into a tarball by an 'archive' rule has been deleted
+ */
+export interface FileArchivedEvent {
+	/** The path that was archived and deleted */
+	path: string;
+	/** The tarball holding it */
+	archive: string;
+}
+
+/**
+ * Event emitted when a path is moved by a 'move' rule, or moved into quarantine instead of being deleted
+ */
+export interface FileMovedEvent {
+	/** The path that was moved */
+	path: string;
+	/** The path it was moved to */
+	destination: string;
+}
+
 /**
  * Event emitted when an error occurs
  */
@@ -95,6 +189,10 @@ export interface ScanCompleteEvent {
  * Events:
  * - 'file:found' - Emitted when a file matching a rule is found
  * - 'file:deleted' - Emitted when a file is successfully deleted
+ * - 'file:emptied' - Emitted when the contents of a directory are deleted by an 'empty' rule
+ * - 'file:truncated' - Emitted when a file is truncated to zero length by a 'truncate' rule
+ * - 'file:archived' - Emitted when a path packed into a tarball by an 'archive' rule has been deleted
+ * - 'file:moved' - Emitted when a path is moved by a 'move' rule, or moved into quarantine instead of being deleted
  * - 'error' - Emitted when an error occurs during evaluation or deletion
  * - 'scan:start' - Emitted when scanning starts
  * - 'scan:directory' - Emitted when scanning a directory
@@ -107,42 +205,134 @@ export class Evaluator extends EventEmitter {
 	 * @param baseDir - Base directory to start evaluation from
 	 * @param ignorePatterns - Patterns to ignore during evaluation
 	 * @param skipPatterns - Patterns to skip during traversal but allow matching
+	 * @param options - Quarantine directory, and the environment and platform checked by predicates
 	 */
-	constructor(rules: Rule[], baseDir: string, ignorePatterns?: string[], skipPatterns?: string[]);
+	constructor(rules: Rule[], baseDir: string, ignorePatterns?: string[], skipPatterns?: string[], options?: EvaluatorOptions);
+
+	/**
+	 * Absolute path of the quarantine directory, or null if targets of 'delete' rules are deleted
+	 */
+	quarantineDir: string | null;
+
+	/**
+	 * Environment variables checked by 'env' predicates
+	 */
+	env: Record<string, string | undefined>;
+
+	/**
+	 * Platform checked by 'platform' predicates, a value of process.platform
+	 */
+	platform: string;
+
+	/**
+	 * Git state of the scanned tree, read by 'gitignored' and 'tracked' predicates
+	 */
+	git: GitState;
 
 	/**
 	 * Check if a path should be ignored
 	 * @param filePath - The path to check
 	 */
-	shouldIgnore(filePath: string): boolean;
+	shouldIgnore(filePath: string): Promise<boolean>;
+
+	/**
+	 * Check if a path is protected: it, or a directory containing it, matches a 'protect' rule
+	 * @param filePath - The path to check
+	 */
+	isProtected(filePath: string): Promise<boolean>;
+
+	/**
+	 * Find a protected path that deleting the target would remove: the target itself, or an entry inside it
+	 * @param target - The path to delete
+	 * @returns The protected path, or null if the target can be deleted
+	 */
+	findProtectedPath(target: string): Promise<string | null>;
+
+	/**
+	 * Check if a file contains the given text (bounded read, binary files never match)
+	 * @param filePath - The file to read
+	 * @param text - The text to look for
+	 */
+	fileContains(filePath: string, text: string): Promise<boolean>;
 
 	/**
 	 * Check if a file or directory exists matching a pattern
 	 * @param dir - Directory to check in
 	 * @param pattern - Pattern to match
+	 * @param type - Kind of entry that must match (defaults to 'any')
+	 * @param containing - Text that a matching file must contain
+	 */
+	exists(dir: string, pattern: string, type?: EntryType, containing?: string | null): Promise<boolean>;
+
+	/**
+	 * Count the entries matching a pattern in a directory, for quantified 'exists' predicates
+	 * @param dir - The directory to count in
+	 * @param pattern - Pattern to match
+	 * @param type - Kind of entry that must match (defaults to 'any')
+	 * @param containing - Text that a matching file must contain
+	 * @param limit - Stop counting once this many matches are found
 	 */
-	exists(dir: string, pattern: string): Promise<boolean>;
+	countMatches(dir: string, pattern: string, type?: EntryType, containing?: string | null, limit?: number): Promise<number>;
 
 	/**
 	 * Get directories based on location modifier
 	 * @param currentDir - Current directory
 	 * @param location - Location modifier
+	 * @param depth - Levels of 'parents' / 'children' to include, all if not given
 	 */
-	getLocationDirs(currentDir: string, location: LocationType): string[];
+	getLocationDirs(currentDir: string, location: LocationType, depth?: DepthRange | null): Promise<string[]>;
+
+	/**
+	 * Check a path's timestamp against an 'older than' / 'newer than' predicate
+	 * @param target - The path to check
+	 * @param predicate - The age predicate
+	 * @param currentDir - The anchor directory, used to resolve reference paths
+	 */
+	checkAge(target: string, predicate: import("./parser.js").Predicate, currentDir?: string): Promise<boolean>;
+
+	/**
+	 * Compare the newest timestamp inside a target with the newest timestamp inside a reference path
+	 * @param target - The path to check
+	 * @param predicate - The age predicate with a reference path
+	 * @param currentDir - The anchor directory the reference is resolved against
+	 */
+	checkStaleness(target: string, predicate: import("./parser.js").Predicate, currentDir: string): Promise<boolean>;
+
+	/**
+	 * Get the newest timestamp of a path, including everything inside it for directories
+	 * @param filePath - The path to inspect
+	 * @param timeField - The timestamp to compare
+	 */
+	getNewestTime(filePath: string, timeField: import("./parser.js").TimeField): Promise<number | null>;
+
+	/**
+	 * Get the size of a path in bytes (recursive for directories, cached)
+	 * @param filePath - The path to measure
+	 */
+	getSize(filePath: string): Promise<number>;
+
+	/**
+	 * Check a path's size against a 'larger than' / 'smaller than' predicate
+	 * @param target - The path to check
+	 * @param predicate - The size predicate
+	 */
+	checkSize(target: string, predicate: import("./parser.js").Predicate): Promise<boolean>;
 
 	/**
 	 * Evaluate a predicate
 	 * @param predicate - The predicate to evaluate
 	 * @param currentDir - Current directory context
+	 * @param target - The matched path, for target-level predicates
 	 */
-	evaluatePredicate(predicate: import("./parser.js").Predicate, currentDir: string): Promise<boolean>;
+	evaluatePredicate(predicate: import("./parser.js").Predicate, currentDir: string, target?: string | null): Promise<boolean>;
 
 	/**
-	 * Evaluate a condition
+	 * Evaluate a condition or any node of its expression tree ('and' / 'or' short-circuit)
 	 * @param condition - The condition to evaluate
 	 * @param currentDir - Current directory context
+	 * @param target - The matched path, for target-level predicates
 	 */
-	evaluateCondition(condition: import("./parser.js").Condition, currentDir: string): Promise<boolean>;
+	evaluateCondition(condition: import("./parser.js").Expression, currentDir: string, target?: string | null): Promise<boolean>;
 
 	/**
 	 * Get all directories recursively from base
@@ -157,20 +347,90 @@ export class Evaluator extends EventEmitter {
 	 */
 	findTargets(rule: Rule, dir: string): Promise<string[]>;
 
+	/**
+	 * Drop the matches a retention clause keeps, e.g. the 5 newest for `keep newest 5`
+	 * @param matches - Matches of one rule in one anchor directory
+	 * @param keep - The retention clause
+	 * @returns The matches that are not kept, in their original order
+	 */
+	applyRetention<T extends { path: string }>(matches: T[], keep: import("./parser.js").Retention): Promise<T[]>;
+
+	/**
+	 * Get the value a retention clause sorts a match by: its own timestamp, or its recursive size
+	 * @param filePath - The matched path
+	 * @param by - The sort key
+	 */
+	getRetentionKey(filePath: string, by: import("./parser.js").RetentionKey): Promise<number>;
+
 	/**
 	 * Evaluate all rules and collect targets
 	 */
 	evaluate(): Promise<string[]>;
 
+	/**
+	 * Rule that made each target of the last scan a target, and the directory it applied in
+	 */
+	targetMatches: Map<string, TargetMatch>;
+
+	/**
+	 * How the rules matching each path of the last scan were resolved: the targets, and the paths a cleanup rule
+	 * matched but an ignore rule kept
+	 */
+	decisions: Map<string, Decision>;
+
+	/**
+	 * Check if the targets of an action are moved rather than deleted: those of 'move' rules,
+	 * and those of 'delete' rules when a quarantine directory is set
+	 */
+	isMoveAction(action: ActionType): boolean;
+
 	/**
 	 * Execute deletion of targets
+	 * Targets of 'empty' rules have their contents deleted, targets of 'truncate' rules are truncated to zero length,
+	 * targets of 'archive' rules are packed into a tarball before being deleted and targets of 'move' rules are moved
+	 * (as are deleted targets when a quarantine directory is set)
+	 * Targets that would delete a protected path are refused with a ProtectedPathError
 	 * @param targets - Files/directories to delete
+	 * @param matches - Rule matching each target, defaults to the matches of the last evaluate()
+	 */
+	execute(targets: string[], matches?: Map<string, TargetMatch>): Promise<ExecutionResult>;
+
+	/**
+	 * Pack targets of 'archive' rules into one gzipped tarball per destination directory, verify it, then delete them
+	 * Nothing is deleted unless its tarball was verified; errors are returned rather than emitted
+	 * @param targets - Targets of 'archive' rules
+	 * @param matches - Rule matching each target, defaults to the matches of the last evaluate()
+	 */
+	archiveTargets(
+		targets: string[],
+		matches?: Map<string, TargetMatch>
+	): Promise<{ archived: Array<{ path: string; archive: string }>; errors: Array<{ path: string; error: Error }> }>;
+
+	/**
+	 * Move targets of 'move' rules into their destination, keeping their path relative to the directory the rule applied in,
+	 * and deleted targets into quarantine, keeping their path relative to the base directory
+	 * Existing paths are never overwritten; errors are returned rather than emitted
+	 * @param targets - Targets to move
+	 * @param matches - Rule matching each target, defaults to the matches of the last evaluate()
 	 */
-	execute(targets: string[]): Promise<ExecutionResult>;
+	moveTargets(
+		targets: string[],
+		matches?: Map<string, TargetMatch>
+	): Promise<{ moved: Array<{ path: string; destination: string }>; errors: Array<{ path: string; error: Error }> }>;
+
+	/**
+	 * Get the directory deleted targets are moved into for this run, e.g. .dedust-quarantine/20240102T030405Z,
+	 * created on first use
+	 */
+	getQuarantineRunDir(): Promise<string>;
 
 	// EventEmitter methods
 	on(event: "file:found", listener: (data: FileFoundEvent) => void): this;
 	on(event: "file:deleted", listener: (data: FileDeletedEvent) => void): this;
+	on(event: "file:emptied", listener: (data: FileEmptiedEvent) => void): this;
+	on(event: "file:truncated", listener: (data: FileTruncatedEvent) => void): this;
+	on(event: "file:archived", listener: (data: FileArchivedEvent) => void): this;
+	on(event: "file:moved", listener: (data: FileMovedEvent) => void): this;
 	on(event: "error", listener: (data: ErrorEvent) => void): this;
 	on(event: "scan:start", listener: (data: ScanStartEvent) => void): this;
 	on(event: "scan:directory", listener: (data: ScanDirectoryEvent) => void): this;
@@ -178,6 +438,10 @@ export class Evaluator extends EventEmitter {
 
 	emit(event: "file:found", data: FileFoundEvent): boolean;
 	emit(event: "file:deleted", data: FileDeletedEvent): boolean;
+	emit(event: "file:emptied", data: FileEmptiedEvent): boolean;
+	emit(event: "file:truncated", data: FileTruncatedEvent): boolean;
+	emit(event: "file:archived", data: FileArchivedEvent): boolean;
+	emit(event: "file:moved", data: FileMovedEvent): boolean;
 	emit(event: "error", data: ErrorEvent): boolean;
 	emit(event: "scan:start", data: ScanStartEvent): boolean;
 	emit(event: "scan:directory", data: ScanDirectoryEvent): boolean;
@@ -185,17 +449,33 @@ export class Evaluator extends EventEmitter {
 }
 
 /**
- * Evaluate rules and find targets
- * @param rules - Array of rules to evaluate
- * @param baseDir - Base directory to evaluate from
- * @param dryRun - If true, don't actually delete files
- * @param ignorePatterns - Patterns to ignore during evaluation
- * @param skipPatterns - Patterns to skip during traversal but allow matching
+ * Error reported when deleting a target would delete a protected path
+ */
+export class ProtectedPathError extends Error {
+	name: "ProtectedPathError";
+	/** The path that was to be deleted */
+	path: string;
+	/** The protected path: the target itself or an entry inside it */
+	protectedPath: string;
+
+	/**
+	 * @param target - The path that was to be deleted
+	 * @param protectedPath - The protected path: the target itself or an entry inside it
+	 * @param action - The action that was refused, 'delete' by default
+	 */
+	constructor(target: string, protectedPath: string, action?: ActionType);
+}
+
+/**
+ * Delete the contents of a directory, keeping the directory itself (and so its permissions)
+ * Symbolic links are refused rather than followed
+ * @param dir - The directory to empty
+ */
+export function emptyDirectory(dir: string): Promise<void>;
+
+/**
+ * Truncate a file to zero length, keeping the file itself (and so its inode)
+ * Symbolic links are refused rather than followed
+ * @param file - The file to truncate
  */
-export function evaluate(
-	rules: Rule[],
-	baseDir: string,
-	dryRun?: boolean,
-	ignorePatterns?: string[],
-	skipPatterns?: string[]
-): Promise<string[]>;
+export function truncateFile(file: string): Promise<void>;
@@ -1,20 +1,49 @@
 import { glob } from "glob";
 import path from "node:path";
 import fsp from "node:fs/promises";
+import { constants as fsConstants } from "node:fs";
 import { EventEmitter } from "node:events";
 import { minimatch } from "minimatch";
+import { getCaptureNames, matchCaptures, substituteCaptures, toGlobPattern } from "./captures.js";
+import { GitState } from "./git.js";
+import { CLEANUP_ACTIONS, isNegatedPattern } from "./parser.js";
+import { createArchive } from "./tar.js";
 
 /**
  * @typedef {import('./parser.js').Rule} Rule
+ * @typedef {import('./parser.js').ActionType} ActionType
  * @typedef {import('./parser.js').Condition} Condition
  * @typedef {import('./parser.js').Predicate} Predicate
+ * @typedef {import('./parser.js').Expression} Expression
  * @typedef {import('./parser.js').LocationType} LocationType
+ * @typedef {import('./parser.js').EntryType} EntryType
+ * @typedef {import('./parser.js').TimeField} TimeField
+ * @typedef {import('./parser.js').Retention} Retention
+ * @typedef {import('./parser.js').RetentionKey} RetentionKey
+ * @typedef {import('./parser.js').DepthRange} DepthRange
  * @typedef {import('./index.js').EvaluationContext} EvaluationContext
+ * @typedef {import('./evaluator.js').TargetMatch} TargetMatch
+ * @typedef {import('./evaluator.js').Decision} Decision
+ * @typedef {import('./evaluator.js').ExecutionResult} ExecutionResult
+ * @typedef {import('./evaluator.js').EvaluatorOptions} EvaluatorOptions
  * @typedef {import('./index.js').FileFoundEvent} FileFoundEvent
  * @typedef {import('./index.js').FileDeletedEvent} FileDeletedEvent
  * @typedef {import('./index.js').ErrorEvent} ErrorEvent
  */
 
+/**
+ * A compiled ignore / skip / protect pattern
+ * @typedef {Object} PatternMatcher
+ * @property {string} pattern - The pattern, without the '!' of a negated pattern
+ * @property {minimatch.Minimatch} matcher
+ * @property {minimatch.Minimatch | null} dirMatcher - Matches the directory itself for patterns ending with /**
+ * @property {Condition | null} condition - Condition of a conditional ignore / skip rule
+ * @property {Set<string>} pendingDirs - Directories whose condition is being evaluated, to break cycles
+ * @property {boolean} negated - The pattern starts with '!' and re-includes what it matches
+ * @property {number} priority - Priority of the rule, 0 for API patterns
+ * @property {Rule | null} rule - The rule the pattern comes from, or null for API patterns
+ */
+
 /**
  * Evaluator for dedust DSL rules
  * Evaluates conditions and executes actions
@@ -23,6 +52,10 @@ import { minimatch } from "minimatch";
  * Events:
  * - 'file:found' - Emitted when a file matching a rule is found
  * - 'file:deleted' - Emitted when a file is successfully deleted
+ * - 'file:emptied' - Emitted when the contents of a directory are deleted by an 'empty' rule
+ * - 'file:truncated' - Emitted when a file is truncated to zero length by a 'truncate' rule
+ * - 'file:archived' - Emitted when a path packed into a tarball by an 'archive' rule has been deleted
+ * - 'file:moved' - Emitted when a path is moved by a 'move' rule, or moved into quarantine instead of being deleted
  * - 'error' - Emitted when an error occurs during evaluation or deletion
  * - 'scan:start' - Emitted when scanning starts
  * - 'scan:directory' - Emitted when scanning a directory
@@ -32,58 +65,110 @@ export class Evaluator extends EventEmitter {
 	// Class-level constant for recursive glob suffix
 	static RECURSIVE_SUFFIX = "/**";
 
+	// Maximum number of bytes read from a file for 'containing' checks
+	static CONTENT_READ_LIMIT = 1024 * 1024;
+
 	/**
 	 * @param {Rule[]} rules
 	 * @param {string} baseDir - The base directory to start evaluation from
 	 * @param {string[]} ignorePatterns - Patterns to ignore during evaluation
 	 * @param {string[]} skipPatterns - Patterns to skip during traversal but allow matching
+	 * @param {EvaluatorOptions} options - Quarantine directory, and the environment and platform checked by predicates
 	 */
-	constructor(rules, baseDir, ignorePatterns = [], skipPatterns = []) {
+	constructor(rules, baseDir, ignorePatterns = [], skipPatterns = [], options = {}) {
 		super();
+		const { quarantine = null, env = process.env, platform = process.platform } = options;
 		this.rules = rules;
 		this.baseDir = path.resolve(baseDir);
+		this.env = env;
+		this.platform = platform;
 
-		// Extract ignore patterns from rules and merge with API ignore patterns
-		const dslIgnorePatterns = rules.filter((rule) => rule.action === "ignore").map((rule) => rule.target);
+		// Targets of 'delete' rules are moved into a timestamped directory inside the quarantine directory,
+		// created on the first move. The quarantine directory itself is never scanned.
+		this.quarantineDir = quarantine ? path.resolve(this.baseDir, quarantine) : null;
+		this.quarantineRunDir = null;
 
-		this.ignorePatterns = [...dslIgnorePatterns, ...ignorePatterns];
+		// Destination directories of each 'archive' and 'move' rule, resolved from every anchor directory of the last scan
+		/** @type {Map<Rule, Set<string>>} */
+		this.ruleDestinations = new Map();
 
-		// Extract skip patterns from rules and merge with API skip patterns - these prevent traversal but allow matching
-		const dslSkipPatterns = rules.filter((rule) => rule.action === "skip").map((rule) => rule.target);
+		// Position of each rule in the rules file, for precedence between conflicting rules
+		this.ruleOrder = new Map(rules.map((rule, index) => [rule, index]));
 
-		this.skipPatterns = [...dslSkipPatterns, ...skipPatterns];
+		// Extract ignore rules and merge with API ignore patterns
+		const ignoreRules = rules.filter((rule) => rule.action === "ignore");
 
-		// Cache compiled minimatch patterns for better performance
-		this.ignoreMatchers = this.ignorePatterns.map((pattern) => {
-			const hasRecursiveSuffix = pattern.endsWith(Evaluator.RECURSIVE_SUFFIX);
-			return {
-				pattern,
-				matcher: new minimatch.Minimatch(pattern, { dot: true, matchBase: true }),
-				// Pre-compile matcher for directory pattern if it has recursive suffix
-				dirMatcher: hasRecursiveSuffix
-					? new minimatch.Minimatch(pattern.slice(0, -Evaluator.RECURSIVE_SUFFIX.length), { dot: true, matchBase: true })
-					: null,
-			};
-		});
+		this.ignorePatterns = [...ignoreRules.map((rule) => rule.target), ...ignorePatterns];
 
-		this.skipMatchers = this.skipPatterns.map((pattern) => {
-			const hasRecursiveSuffix = pattern.endsWith(Evaluator.RECURSIVE_SUFFIX);
-			return {
-				pattern,
-				matcher: new minimatch.Minimatch(pattern, { dot: true, matchBase: true }),
-				// Pre-compile matcher for directory pattern if it has recursive suffix
-				dirMatcher: hasRecursiveSuffix
-					? new minimatch.Minimatch(pattern.slice(0, -Evaluator.RECURSIVE_SUFFIX.length), { dot: true, matchBase: true })
-					: null,
-			};
-		});
+		// Extract skip rules and merge with API skip patterns - these prevent traversal but allow matching
+		const skipRules = rules.filter((rule) => rule.action === "skip");
+
+		this.skipPatterns = [...skipRules.map((rule) => rule.target), ...skipPatterns];
+
+		// Protect patterns only come from rules: paths matching them can never be deleted, whatever the API options
+		this.protectPatterns = rules.filter((rule) => rule.action === "protect").map((rule) => rule.target);
+
+		// Cache compiled minimatch patterns for better performance, in precedence order
+		// Rule conditions (e.g. skip vendor when exists go.mod) are kept with their matcher, API patterns have none
+		// and come after the rules, so they win ties
+		this.ignoreMatchers = compileMatchers([...ignoreRules, ...ignorePatterns.map((target) => ({ target, condition: null }))]);
+		this.skipMatchers = compileMatchers([...skipRules, ...skipPatterns.map((target) => ({ target, condition: null }))]);
+		this.protectMatchers = compileMatchers(rules.filter((rule) => rule.action === "protect"));
 
 		// Cache for relative path computations to avoid repeated path.relative calls
 		this.relativePathCache = new Map();
 
 		// Cache for shouldIgnore and shouldSkipTraversal results
+		// Results are not cached while a conditional rule's condition is being evaluated, as the rule is then ignored
+		this.pendingMatcherConditions = 0;
 		this.ignoreCache = new Map();
 		this.skipCache = new Map();
+		this.protectCache = new Map();
+
+		// Cache for the first protected path found inside a directory (null if none), cleared before deleting
+		this.protectedDescendantCache = new Map();
+
+		// Cache for whether a rule's condition must be evaluated per matched path
+		this.perTargetRuleCache = new WeakMap();
+
+		// Cache for the compiled 'except' patterns of each rule
+		this.exceptMatcherCache = new WeakMap();
+
+		// Reference time for age predicates, fixed so one run gives consistent results
+		this.now = Date.now();
+
+		// Cache for recursive directory sizes so nested targets are not re-walked
+		this.sizeCache = new Map();
+
+		// Cache for the newest timestamp inside a path, used by 'older than <reference>'
+		this.newestTimeCache = new Map();
+
+		// Cache for 'containing' checks, keyed by file path and text
+		this.contentCache = new Map();
+
+		// Ignore rules and index of the git repositories holding the targets, for 'gitignored' and 'tracked' predicates
+		this.git = new GitState();
+
+		// Results of directory-level condition nodes for the directory being scanned, so a block condition
+		// shared by several rules (when ... { ... }) is evaluated once per directory
+		this.conditionResultCache = new Map();
+		this.conditionResultDir = null;
+
+		// Rule that made each target of the last scan a target, and the directory it applied in
+		/** @type {Map<string, TargetMatch>} */
+		this.targetMatches = new Map();
+
+		// How the rules matching each path of the last scan were resolved, including paths an ignore rule kept
+		/** @type {Map<string, Decision>} */
+		this.decisions = new Map();
+
+		// Matches of the scan in progress that an ignore rule overrode, with the ignore rule deciding each
+		/** @type {Map<string, {matcher: PatternMatcher, matches: TargetMatch[]}>} */
+		this.ignoredMatches = new Map();
+
+		// Matches of the scan in progress refused because they are or hold a protected path, with the reason
+		/** @type {Map<string, {error: ProtectedPathError, matches: TargetMatch[]}>} */
+		this.protectedMatches = new Map();
 	}
 
 	/**
@@ -102,118 +187,195 @@ export class Evaluator extends EventEmitter {
 	}
 
 	/**
-	 * Check if any parent directory matches the given matcher
-	 * Builds paths incrementally for efficiency
+	 * Find the matcher that makes a path, or one of its parent directories, match the given matchers
+	 * For each path, the first matching entry in precedence order decides, and a negated one ('!pattern') re-includes
+	 * the path. As in .gitignore, nothing inside a matched directory can be re-included: 'logs/**' only decides the 'logs'
+	 * directory itself while no negated pattern of higher precedence reaches below it, so 'ignore !logs/keep.log' works.
+	 * A matcher with a condition only applies where the condition holds in the directory containing the matched path.
 	 * @private
-	 * @param {Array<{pattern: string, matcher: minimatch.Minimatch, dirMatcher: minimatch.Minimatch | null}>} matchers
-	 * @param {string[]} pathParts - Pre-split path parts
-	 * @returns {boolean}
+	 * @param {PatternMatcher[]} matchers - Matchers in precedence order
+	 * @param {string} filePath - The path to check
+	 * @returns {Promise<PatternMatcher | null>} - The deciding matcher, or null if the path does not match
 	 */
-	checkParentDirectories(matchers, pathParts) {
-		for (const { matcher } of matchers) {
-			// Build paths incrementally to avoid repeated slice/join operations
-			let currentPath = "";
-			for (let i = 0; i < pathParts.length; i++) {
-				currentPath = i === 0 ? pathParts[0] : currentPath + path.sep + pathParts[i];
-				if (matcher.match(currentPath)) {
-					return true;
+	async findMatcher(matchers, filePath) {
+		// Get relative path from baseDir and pre-split path parts once for reuse
+		const relativePath = this.getRelativePath(filePath);
+		const parts = relativePath.split(path.sep);
+
+		// Check parent directories first, then the path itself
+		// Build paths incrementally to avoid repeated slice/join operations
+		let currentPath = "";
+		for (let i = 0; i < parts.length; i++) {
+			currentPath = i === 0 ? parts[0] : currentPath + path.sep + parts[i];
+
+			for (let j = 0; j < matchers.length; j++) {
+				const entry = matchers[j];
+				// If pattern ends with /**, also match the directory itself using cached dirMatcher,
+				// unless that would hide paths a negated pattern of higher precedence re-includes
+				if (!entry.matcher.match(currentPath)) {
+					if (!entry.dirMatcher || !entry.dirMatcher.match(currentPath)) {
+						continue;
+					}
+					if (matchers.slice(0, j).some((other) => other.negated && reachesBelow(other, currentPath))) {
+						continue;
+					}
+				}
+				if (entry.condition && !(await this.checkMatcherCondition(entry, path.join(this.baseDir, currentPath)))) {
+					continue;
 				}
+				if (!entry.negated) {
+					return entry;
+				}
+				// Re-included: look further down the path
+				break;
 			}
 		}
-		return false;
+
+		return null;
 	}
 
 	/**
-	 * Check if a path should be ignored
-	 * @param {string} filePath - The path to check
-	 * @returns {boolean}
+	 * Evaluate the condition of a conditional ignore / skip rule in the directory containing the matched path
+	 * @private
+	 * @param {PatternMatcher} entry
+	 * @param {string} matchedPath - The path matched by the rule's pattern
+	 * @returns {Promise<boolean>}
 	 */
-	shouldIgnore(filePath) {
-		// Check cache first
-		if (this.ignoreCache.has(filePath)) {
-			return this.ignoreCache.get(filePath);
+	async checkMatcherCondition(entry, matchedPath) {
+		const dir = path.dirname(matchedPath);
+
+		// The condition may itself need this rule's result in the same directory,
+		// e.g. 'skip a when children exists b' lists child directories, which checks 'skip a' again.
+		// The rule does not apply while its own condition is being evaluated.
+		if (entry.pendingDirs.has(dir)) {
+			return false;
 		}
 
-		// Get relative path from baseDir
-		const relativePath = this.getRelativePath(filePath);
+		entry.pendingDirs.add(dir);
+		this.pendingMatcherConditions++;
+		try {
+			// Target-level predicates (e.g. older than) are checked against the matched path
+			const target = hasTargetPredicates(/** @type {Condition} */ (entry.condition)) ? matchedPath : null;
+			return await this.evaluateCondition(/** @type {Condition} */ (entry.condition), dir, target);
+		} finally {
+			entry.pendingDirs.delete(dir);
+			this.pendingMatcherConditions--;
+		}
+	}
 
-		// Pre-split path parts once for reuse
-		const parts = relativePath.split(path.sep);
+	/**
+	 * Check if a path should be ignored
+	 * @param {string} filePath - The path to check
+	 * @returns {Promise<boolean>}
+	 */
+	async shouldIgnore(filePath) {
+		// Quarantined paths are never found or deleted again
+		if (this.quarantineDir && (filePath === this.quarantineDir || filePath.startsWith(this.quarantineDir + path.sep))) {
+			return true;
+		}
 
-		// Check against each ignore pattern using cached matchers
-		for (const { pattern: _, matcher, dirMatcher } of this.ignoreMatchers) {
-			// If pattern ends with /**, also match the directory itself using cached dirMatcher
-			if (dirMatcher && dirMatcher.match(relativePath)) {
-				this.ignoreCache.set(filePath, true);
-				return true;
-			}
+		return (await this.findIgnoringMatcher(filePath)) !== null;
+	}
 
-			// Match against relative path using cached matcher
-			if (matcher.match(relativePath)) {
-				this.ignoreCache.set(filePath, true);
-				return true;
-			}
+	/**
+	 * Find the ignore rule or API pattern that ignores a path
+	 * @private
+	 * @param {string} filePath - The path to check
+	 * @returns {Promise<PatternMatcher | null>} - The deciding matcher, or null if the path is not ignored
+	 */
+	async findIgnoringMatcher(filePath) {
+		// Check cache first
+		if (this.ignoreCache.has(filePath)) {
+			return this.ignoreCache.get(filePath);
 		}
 
-		// Check if any parent directory matches using helper method
-		if (this.checkParentDirectories(this.ignoreMatchers, parts)) {
-			this.ignoreCache.set(filePath, true);
-			return true;
+		const result = await this.findMatcher(this.ignoreMatchers, filePath);
+		if (this.pendingMatcherConditions === 0) {
+			this.ignoreCache.set(filePath, result);
 		}
-
-		this.ignoreCache.set(filePath, false);
-		return false;
+		return result;
 	}
 
 	/**
 	 * Check if a directory should be skipped during traversal
 	 * (but can still be matched by rules)
 	 * @param {string} dirPath - The directory path to check
-	 * @returns {boolean}
+	 * @returns {Promise<boolean>}
 	 */
-	shouldSkipTraversal(dirPath) {
+	async shouldSkipTraversal(dirPath) {
 		// Check cache first
 		if (this.skipCache.has(dirPath)) {
 			return this.skipCache.get(dirPath);
 		}
 
-		// Get relative path from baseDir
-		const relativePath = this.getRelativePath(dirPath);
+		const result = (await this.findMatcher(this.skipMatchers, dirPath)) !== null;
+		if (this.pendingMatcherConditions === 0) {
+			this.skipCache.set(dirPath, result);
+		}
+		return result;
+	}
 
-		// Pre-split path parts once for reuse
-		const parts = relativePath.split(path.sep);
+	/**
+	 * Check if a path is protected: it, or a directory containing it, matches a 'protect' rule
+	 * @param {string} filePath - The path to check
+	 * @returns {Promise<boolean>}
+	 */
+	async isProtected(filePath) {
+		if (this.protectMatchers.length === 0) {
+			return false;
+		}
+		if (this.protectCache.has(filePath)) {
+			return this.protectCache.get(filePath);
+		}
 
-		// Check against each skip pattern using cached matchers
-		for (const { pattern: _, matcher, dirMatcher } of this.skipMatchers) {
-			// If pattern ends with /**, also match the directory itself using cached dirMatcher
-			if (dirMatcher && dirMatcher.match(relativePath)) {
-				this.skipCache.set(dirPath, true);
-				return true;
-			}
+		const result = (await this.findMatcher(this.protectMatchers, filePath)) !== null;
+		this.protectCache.set(filePath, result);
+		return result;
+	}
 
-			// Match against relative path using cached matcher
-			if (matcher.match(relativePath)) {
-				this.skipCache.set(dirPath, true);
-				return true;
-			}
+	/**
+	 * Find a protected path that deleting the target would remove: the target itself,
+	 * or for a directory, the first protected entry inside it (symbolic links are not followed)
+	 * @param {string} target - The path to delete
+	 * @returns {Promise<string | null>} The protected path, or null if the target can be deleted
+	 */
+	async findProtectedPath(target) {
+		if (this.protectMatchers.length === 0) {
+			return null;
+		}
+		if (await this.isProtected(target)) {
+			return target;
+		}
+		if (this.protectedDescendantCache.has(target)) {
+			return this.protectedDescendantCache.get(target);
 		}
 
-		// Check if any parent directory matches using helper method
-		if (this.checkParentDirectories(this.skipMatchers, parts)) {
-			this.skipCache.set(dirPath, true);
-			return true;
+		let result = null;
+		try {
+			const stats = await fsp.lstat(target);
+			if (stats.isDirectory()) {
+				const entries = await fsp.readdir(target);
+				for (const entry of entries) {
+					result = await this.findProtectedPath(path.join(target, entry));
+					if (result) {
+						break;
+					}
+				}
+			}
+		} catch {
+			// Entries that cannot be read cannot be deleted either
 		}
 
-		this.skipCache.set(dirPath, false);
-		return false;
+		this.protectedDescendantCache.set(target, result);
+		return result;
 	}
 
 	/**
 	 * Check if a path is inside a skipped directory (but not the skipped directory itself)
 	 * @param {string} filePath - The path to check
-	 * @returns {boolean}
+	 * @returns {Promise<boolean>}
 	 */
-	isInsideSkippedDirectory(filePath) {
+	async isInsideSkippedDirectory(filePath) {
 		// Get relative path from baseDir
 		const relativePath = path.relative(this.baseDir, filePath);
 		const parts = relativePath.split(path.sep);
@@ -223,7 +385,7 @@ export class Evaluator extends EventEmitter {
 		let currentPath = this.baseDir;
 		for (let i = 0; i < parts.length - 1; i++) {
 			currentPath = path.join(currentPath, parts[i]);
-			if (this.shouldSkipTraversal(currentPath)) {
+			if (await this.shouldSkipTraversal(currentPath)) {
 				return true;
 			}
 		}
@@ -231,44 +393,159 @@ export class Evaluator extends EventEmitter {
 		return false;
 	}
 
+	/**
+	 * Check if a file contains the given text
+	 * Only the first CONTENT_READ_LIMIT bytes are read, and binary files never match
+	 * @param {string} filePath - The file to read
+	 * @param {string} text - The text to look for
+	 * @returns {Promise<boolean>}
+	 */
+	async fileContains(filePath, text) {
+		const cacheKey = `${filePath}\0${text}`;
+		if (this.contentCache.has(cacheKey)) {
+			return this.contentCache.get(cacheKey);
+		}
+
+		let result = false;
+		let handle;
+		try {
+			handle = await fsp.open(filePath, "r");
+			const stats = await handle.stat();
+			if (stats.isFile()) {
+				const buffer = Buffer.alloc(Math.min(stats.size, Evaluator.CONTENT_READ_LIMIT));
+				const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+				const content = buffer.subarray(0, bytesRead);
+				result = !isBinary(content) && content.includes(text, 0, "utf8");
+			}
+		} catch {
+			// Unreadable files never match
+		} finally {
+			await handle?.close();
+		}
+
+		this.contentCache.set(cacheKey, result);
+		return result;
+	}
+
 	/**
 	 * Check if a file or directory exists
 	 * @param {string} dir - The directory to check in
 	 * @param {string} pattern - The pattern to match
+	 * @param {EntryType} [type] - Kind of entry that must match
+	 * @param {string | null} [containing] - Text that a matching file must contain
 	 * @returns {Promise<boolean>}
 	 */
-	async exists(dir, pattern) {
+	async exists(dir, pattern, type = "any", containing = null) {
+		// Content checks need to look at each matching file
+		if (containing !== null && containing !== undefined) {
+			let candidates = [path.join(dir, pattern)];
+			if (!isSimplePattern(pattern)) {
+				try {
+					candidates = await glob(pattern, { cwd: dir, absolute: true, nodir: true, dot: true });
+				} catch {
+					return false;
+				}
+			}
+			for (const candidate of candidates) {
+				if (await this.fileContains(candidate, containing)) {
+					return true;
+				}
+			}
+			return false;
+		}
+
 		// For simple patterns without glob characters, use direct fs check (much faster)
 		if (isSimplePattern(pattern)) {
-			try {
-				const fullPattern = path.join(dir, pattern);
-				await fsp.access(fullPattern);
-				return true;
-			} catch {
-				return false;
+			const fullPattern = path.join(dir, pattern);
+			if (type === "any") {
+				try {
+					await fsp.access(fullPattern);
+					return true;
+				} catch {
+					return false;
+				}
 			}
+			return isEntryType(fullPattern, type);
 		}
 
 		// Use glob for patterns with wildcards
 		try {
 			const matches = await glob(pattern, {
 				cwd: dir,
+				absolute: true,
 				nodir: false,
 				dot: true,
 			});
-			return matches.length > 0;
+			if (type === "any") {
+				return matches.length > 0;
+			}
+			for (const match of matches) {
+				if (await isEntryType(match, type)) {
+					return true;
+				}
+			}
+			return false;
 		} catch {
 			return false;
 		}
 	}
 
+	/**
+	 * Count the entries matching a pattern in a directory, for quantified 'exists' predicates
+	 * @param {string} dir - The directory to count in
+	 * @param {string} pattern - The pattern to match
+	 * @param {EntryType} [type] - Kind of entry that must match
+	 * @param {string | null} [containing] - Text that a matching file must contain
+	 * @param {number} [limit] - Stop counting once this many matches are found
+	 * @returns {Promise<number>}
+	 */
+	async countMatches(dir, pattern, type = "any", containing = null, limit = Infinity) {
+		if (isSimplePattern(pattern)) {
+			return (await this.exists(dir, pattern, type, containing)) ? 1 : 0;
+		}
+
+		const hasContaining = containing !== null && containing !== undefined;
+		let matches;
+		try {
+			matches = await glob(pattern, { cwd: dir, absolute: true, nodir: hasContaining, dot: true });
+		} catch {
+			return 0;
+		}
+
+		let count = 0;
+		for (const match of matches) {
+			if (count >= limit) {
+				break;
+			}
+			const matched = hasContaining
+				? await this.fileContains(match, /** @type {string} */ (containing))
+				: type === "any" || (await isEntryType(match, type));
+			if (matched) {
+				count++;
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Get the number of path segments of a path below the base directory (0 for the base directory itself)
+	 * @private
+	 * @param {string} filePath
+	 * @returns {number}
+	 */
+	getDepth(filePath) {
+		const relativePath = this.getRelativePath(filePath);
+		return relativePath === "" ? 0 : relativePath.split(path.sep).length;
+	}
+
 	/**
 	 * Get the directory based on location modifier
 	 * @param {string} currentDir - Current directory
 	 * @param {LocationType} location - Location modifier
+	 * @param {DepthRange | null} [depth] - Levels of 'parents' / 'children' to include, all if not given
 	 * @returns {Promise<string[]>} - Array of directories to check
 	 */
-	async getLocationDirs(currentDir, location) {
+	async getLocationDirs(currentDir, location, depth = null) {
 		switch (location) {
 			case "here":
 				return [currentDir];
@@ -285,8 +562,14 @@ export class Evaluator extends EventEmitter {
 			case "parents": {
 				const dirs = [];
 				let dir = path.dirname(currentDir);
-				while (dir !== currentDir && dir.startsWith(this.baseDir)) {
-					dirs.push(dir);
+				// Stop walking up past the deepest level asked for
+				for (let level = 1; dir !== currentDir && dir.startsWith(this.baseDir); level++) {
+					if (depth && depth.max !== null && level > depth.max) {
+						break;
+					}
+					if (!depth || level >= depth.min) {
+						dirs.push(dir);
+					}
 					currentDir = dir;
 					dir = path.dirname(dir);
 				}
@@ -302,7 +585,7 @@ export class Evaluator extends EventEmitter {
 						if (entry.isDirectory()) {
 							const fullPath = path.join(currentDir, entry.name);
 							// Skip ignored directories
-							if (!this.shouldIgnore(fullPath)) {
+							if (!(await this.shouldIgnore(fullPath))) {
 								childDirs.push(fullPath);
 							}
 						}
@@ -314,18 +597,22 @@ export class Evaluator extends EventEmitter {
 			}
 
 			case "children": {
-				// All descendant directories (recursive)
+				// All descendant directories (recursive), down to the deepest level asked for
 				const dirs = [];
-				const collectDirs = async (dir) => {
+				const collectDirs = async (dir, level) => {
 					try {
 						const entries = await fsp.readdir(dir, { withFileTypes: true });
 						for (const entry of entries) {
 							if (entry.isDirectory()) {
 								const fullPath = path.join(dir, entry.name);
 								// Skip ignored and skipped directories for performance
-								if (!this.shouldIgnore(fullPath) && !this.shouldSkipTraversal(fullPath)) {
-									dirs.push(fullPath);
-									await collectDirs(fullPath);
+								if (!(await this.shouldIgnore(fullPath)) && !(await this.shouldSkipTraversal(fullPath))) {
+									if (!depth || level >= depth.min) {
+										dirs.push(fullPath);
+									}
+									if (!depth || depth.max === null || level < depth.max) {
+										await collectDirs(fullPath, level + 1);
+									}
 								}
 							}
 						}
@@ -333,7 +620,7 @@ export class Evaluator extends EventEmitter {
 						// Skip directories we can't read
 					}
 				};
-				await collectDirs(currentDir);
+				await collectDirs(currentDir, 1);
 				return dirs;
 			}
 
@@ -354,163 +641,542 @@ export class Evaluator extends EventEmitter {
 				}
 			}
 
+			case "root":
+				// The base directory, wherever the rule applies
+				return [this.baseDir];
+
+			case "ancestors-or-self": {
+				// The current directory, then every ancestor up to the base directory
+				const ancestors = await this.getLocationDirs(currentDir, "parents");
+				return [currentDir, ...ancestors];
+			}
+
 			default:
 				return [currentDir];
 		}
 	}
 
 	/**
-	 * Evaluate a predicate
-	 * @param {Predicate} predicate
-	 * @param {string} currentDir
+	 * Check a path's timestamp against an 'older than' / 'newer than' predicate
+	 * @param {string} target - The path to check
+	 * @param {Predicate} predicate - The age predicate
+	 * @param {string} [currentDir] - The anchor directory, used to resolve reference paths
 	 * @returns {Promise<boolean>}
 	 */
-	async evaluatePredicate(predicate, currentDir) {
-		if (predicate.type === "not") {
-			if (!predicate.negated) {
-				return false;
-			}
-			return !(await this.evaluatePredicate(predicate.negated, currentDir));
+	async checkAge(target, predicate, currentDir = this.baseDir) {
+		if (predicate.reference) {
+			return this.checkStaleness(target, predicate, currentDir);
 		}
 
-		if (predicate.type === "exists") {
-			const dirs = await this.getLocationDirs(currentDir, predicate.location);
-
-			// For exists, check if pattern exists in any of the location directories
-			for (const dir of dirs) {
-				if (await this.exists(dir, predicate.pattern || "")) {
-					return true;
-				}
-			}
+		let stats;
+		try {
+			stats = await fsp.stat(target);
+		} catch {
 			return false;
 		}
 
-		return false;
+		const age = this.now - getTime(stats, predicate.timeField || "mtime");
+		const duration = predicate.duration || 0;
+
+		return predicate.comparison === "newer" ? age < duration : age > duration;
 	}
 
 	/**
-	 * Evaluate a condition
-	 * @param {Condition} condition
-	 * @param {string} currentDir
+	 * Compare the newest timestamp inside a target with the newest timestamp inside a reference path
+	 * A missing reference never satisfies the predicate, so nothing is deleted on incomplete information
+	 * @param {string} target - The path to check
+	 * @param {Predicate} predicate - The age predicate with a reference path
+	 * @param {string} currentDir - The anchor directory the reference is resolved against
 	 * @returns {Promise<boolean>}
 	 */
-	async evaluateCondition(condition, currentDir) {
-		if (condition.type === "predicate") {
-			if (!condition.predicate) {
-				return true;
+	async checkStaleness(target, predicate, currentDir) {
+		const timeField = predicate.timeField || "mtime";
+		const reference = predicate.reference || "";
+
+		const references = isSimplePattern(reference)
+			? [path.join(currentDir, reference)]
+			: await glob(reference, { cwd: currentDir, absolute: true, dot: true });
+
+		let referenceTime = null;
+		for (const referencePath of references) {
+			// Never compare a target with itself or with its own contents
+			if (referencePath === target || referencePath.startsWith(target + path.sep)) {
+				continue;
 			}
-			return this.evaluatePredicate(condition.predicate, currentDir);
-		}
-
-		if (condition.type === "and") {
-			// Evaluate both sides of AND
-			if (!condition.left || !condition.right) {
-				return false;
-			}
-
-			// Left side is always a Predicate
-			const leftResult = await this.evaluatePredicate(condition.left, currentDir);
-			if (!leftResult) {
-				return false;
+			const time = await this.getNewestTime(referencePath, timeField);
+			if (time !== null && (referenceTime === null || time > referenceTime)) {
+				referenceTime = time;
 			}
+		}
 
-			// Right side can be either a Predicate or a nested Condition (for chained ANDs)
-			// Check if it's a Condition by looking at its structure
-			if (condition.right.type === "and" || condition.right.type === "predicate") {
-				// It's a nested Condition
-				return this.evaluateCondition(/** @type {Condition} */ (/** @type {unknown} */ (condition.right)), currentDir);
-			} else {
-				// It's a Predicate
-				return this.evaluatePredicate(condition.right, currentDir);
-			}
+		const targetTime = await this.getNewestTime(target, timeField);
+		if (referenceTime === null || targetTime === null) {
+			return false;
 		}
 
-		return false;
+		return predicate.comparison === "newer" ? targetTime > referenceTime : targetTime < referenceTime;
 	}
 
 	/**
-	 * Find all directories recursively
-	 * @param {string} dir
-	 * @returns {Promise<string[]>}
+	 * Get the newest timestamp of a path, including everything inside it for directories
+	 * Symbolic links are not followed; results are cached per scan
+	 * @param {string} filePath - The path to inspect
+	 * @param {TimeField} timeField - The timestamp to compare
+	 * @returns {Promise<number | null>} - Null if the path does not exist
 	 */
-	async getAllDirectories(dir) {
-		const dirs = [dir];
-		const collectDirs = async (d) => {
-			try {
-				const entries = await fsp.readdir(d, { withFileTypes: true });
+	async getNewestTime(filePath, timeField) {
+		const cacheKey = `${timeField}:${filePath}`;
+		if (this.newestTimeCache.has(cacheKey)) {
+			return this.newestTimeCache.get(cacheKey);
+		}
+
+		let newest = null;
+		try {
+			const stats = await fsp.lstat(filePath);
+			newest = getTime(stats, timeField);
+			if (stats.isDirectory()) {
+				const entries = await fsp.readdir(filePath);
 				for (const entry of entries) {
-					if (entry.isDirectory()) {
-						const fullPath = path.join(d, entry.name);
-						// Skip ignored directories (both ignore and skip patterns prevent traversal)
-						if (this.shouldIgnore(fullPath) || this.shouldSkipTraversal(fullPath)) {
-							continue;
-						}
-						dirs.push(fullPath);
-						await collectDirs(fullPath);
+					const time = await this.getNewestTime(path.join(filePath, entry), timeField);
+					if (time !== null && time > newest) {
+						newest = time;
 					}
 				}
-			} catch {
-				// Skip directories we can't read
 			}
-		};
-		await collectDirs(dir);
-		return dirs;
+		} catch {
+			// Missing or unreadable entries have no timestamp
+		}
+
+		this.newestTimeCache.set(cacheKey, newest);
+		return newest;
 	}
 
 	/**
-	 * Find targets matching a rule in a directory
-	 * @param {Rule} rule
-	 * @param {string} dir
-	 * @returns {Promise<string[]>}
+	 * Get the size of a path in bytes
+	 * Directories are measured recursively without following symbolic links
+	 * @param {string} filePath - The path to measure
+	 * @returns {Promise<number>}
 	 */
-	async findTargets(rule, dir) {
-		const targets = [];
-
-		// Check if condition is met
-		if (rule.condition) {
-			const conditionMet = await this.evaluateCondition(rule.condition, dir);
-			if (!conditionMet) {
-				return targets;
-			}
+	async getSize(filePath) {
+		if (this.sizeCache.has(filePath)) {
+			return this.sizeCache.get(filePath);
 		}
 
-		// Find matching targets
+		let size = 0;
 		try {
-			const pattern = rule.target;
-
-			// For simple patterns without glob, check directly
-			if (isSimplePattern(pattern)) {
-				const fullPath = path.join(dir, pattern);
-				try {
-					await fsp.access(fullPath);
-					if (!this.shouldIgnore(fullPath) && !this.isInsideSkippedDirectory(fullPath)) {
-						targets.push(fullPath);
-						this.emit("file:found", { path: fullPath, rule, directory: dir });
-					}
-				} catch {
-					// File doesn't exist, skip
+			const stats = await fsp.lstat(filePath);
+			if (stats.isDirectory()) {
+				const entries = await fsp.readdir(filePath);
+				for (const entry of entries) {
+					size += await this.getSize(path.join(filePath, entry));
 				}
-				return targets;
+			} else {
+				size = stats.size;
 			}
+		} catch {
+			// Unreadable entries count as empty
+		}
 
-			// Use glob for patterns
-			const matches = await glob(pattern, {
-				cwd: dir,
-				absolute: true,
-				nodir: false,
-				dot: true,
-			});
+		this.sizeCache.set(filePath, size);
+		return size;
+	}
+
+	/**
+	 * Check a path's size against a 'larger than' / 'smaller than' predicate
+	 * @param {string} target - The path to check
+	 * @param {Predicate} predicate - The size predicate
+	 * @returns {Promise<boolean>}
+	 */
+	async checkSize(target, predicate) {
+		const size = await this.getSize(target);
+		const limit = predicate.size || 0;
+
+		return predicate.comparison === "smaller" ? size < limit : size > limit;
+	}
+
+	/**
+	 * Evaluate a predicate
+	 * @param {Predicate} predicate
+	 * @param {string} currentDir
+	 * @param {string | null} [target] - The matched path, for target-level predicates
+	 * @returns {Promise<boolean>}
+	 */
+	async evaluatePredicate(predicate, currentDir, target = null) {
+		if (predicate.type === "not") {
+			if (!predicate.negated) {
+				return false;
+			}
+			// The negated operand may be a predicate or a parenthesized condition
+			return !(await this.evaluateCondition(predicate.negated, currentDir, target));
+		}
+
+		if (predicate.type === "age") {
+			if (!target) {
+				return false;
+			}
+			return this.checkAge(target, predicate, currentDir);
+		}
+
+		if (predicate.type === "size") {
+			if (!target) {
+				return false;
+			}
+			return this.checkSize(target, predicate);
+		}
+
+		if (predicate.type === "env") {
+			const value = this.env[predicate.variable || ""];
+			// Without 'is', any non-empty value counts as set
+			return predicate.value === undefined ? !!value : value === predicate.value;
+		}
+
+		if (predicate.type === "platform") {
+			return this.platform === predicate.platform;
+		}
+
+		if (predicate.type === "gitignored") {
+			return !!target && this.git.isIgnored(target);
+		}
+
+		if (predicate.type === "tracked") {
+			return !!target && this.git.isTracked(target);
+		}
+
+		if (predicate.type === "exists") {
+			const dirs = await this.getLocationDirs(currentDir, predicate.location, predicate.depth);
+
+			// Quantified: count the matches of all location directories, until the result is known
+			if (predicate.minCount !== undefined || predicate.maxCount !== undefined) {
+				const limit = predicate.maxCount !== undefined ? predicate.maxCount + 1 : /** @type {number} */ (predicate.minCount);
+				let count = 0;
+				for (const dir of dirs) {
+					count += await this.countMatches(dir, predicate.pattern || "", predicate.patternType, predicate.containing, limit - count);
+					if (count >= limit) {
+						break;
+					}
+				}
+				return predicate.maxCount !== undefined ? count <= predicate.maxCount : count >= limit;
+			}
+
+			// For exists, check if pattern exists in any of the location directories
+			for (const dir of dirs) {
+				if (await this.exists(dir, predicate.pattern || "", predicate.patternType, predicate.containing)) {
+					return true;
+				}
+			}
+			return false;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Evaluate a condition or any node of its expression tree
+	 * 'and' / 'or' are short-circuited from left to right
+	 * @param {Expression} condition
+	 * @param {string} currentDir
+	 * @param {string | null} [target] - The matched path, for target-level predicates
+	 * @returns {Promise<boolean>}
+	 */
+	async evaluateCondition(condition, currentDir, target = null) {
+		// Target-level evaluations depend on the matched path and are not cached
+		if (target !== null) {
+			return this.evaluateConditionNode(condition, currentDir, target);
+		}
+
+		if (this.conditionResultDir !== currentDir) {
+			this.conditionResultCache.clear();
+			this.conditionResultDir = currentDir;
+		}
+		if (this.conditionResultCache.has(condition)) {
+			return this.conditionResultCache.get(condition);
+		}
+
+		const result = await this.evaluateConditionNode(condition, currentDir, null);
+		// Conditional ignore / skip rules may have evaluated conditions in another directory meanwhile
+		if (this.conditionResultDir === currentDir) {
+			this.conditionResultCache.set(condition, result);
+		}
+		return result;
+	}
+
+	/**
+	 * Evaluate one node of a condition's expression tree without consulting the result cache
+	 * @private
+	 * @param {Expression} condition
+	 * @param {string} currentDir
+	 * @param {string | null} target
+	 * @returns {Promise<boolean>}
+	 */
+	async evaluateConditionNode(condition, currentDir, target) {
+		switch (condition.type) {
+			case "predicate":
+				if (!condition.predicate) {
+					return true;
+				}
+				return this.evaluatePredicate(condition.predicate, currentDir, target);
+
+			case "and":
+				if (!condition.left || !condition.right) {
+					return false;
+				}
+				if (!(await this.evaluateCondition(condition.left, currentDir, target))) {
+					return false;
+				}
+				return this.evaluateCondition(condition.right, currentDir, target);
+
+			case "or":
+				if (!condition.left || !condition.right) {
+					return false;
+				}
+				if (await this.evaluateCondition(condition.left, currentDir, target)) {
+					return true;
+				}
+				return this.evaluateCondition(condition.right, currentDir, target);
+
+			default:
+				// Leaf node - a predicate
+				return this.evaluatePredicate(/** @type {Predicate} */ (condition), currentDir, target);
+		}
+	}
+
+	/**
+	 * Find all directories recursively
+	 * @param {string} dir
+	 * @returns {Promise<string[]>}
+	 */
+	async getAllDirectories(dir) {
+		const dirs = [dir];
+		const collectDirs = async (d) => {
+			try {
+				const entries = await fsp.readdir(d, { withFileTypes: true });
+				for (const entry of entries) {
+					if (entry.isDirectory()) {
+						const fullPath = path.join(d, entry.name);
+						// Skip ignored directories (both ignore and skip patterns prevent traversal)
+						if ((await this.shouldIgnore(fullPath)) || (await this.shouldSkipTraversal(fullPath))) {
+							continue;
+						}
+						dirs.push(fullPath);
+						await collectDirs(fullPath);
+					}
+				}
+			} catch {
+				// Skip directories we can't read
+			}
+		};
+		await collectDirs(dir);
+		return dirs;
+	}
+
+	/**
+	 * Check if a rule's condition must be evaluated per matched path: it contains
+	 * target-level predicates (e.g. 'older than') or the target defines captures (e.g. {name}.o)
+	 * @private
+	 * @param {Rule} rule
+	 * @returns {boolean}
+	 */
+	isPerTargetRule(rule) {
+		if (!rule.condition) {
+			return false;
+		}
+		if (!this.perTargetRuleCache.has(rule)) {
+			this.perTargetRuleCache.set(rule, getCaptureNames(rule.target).length > 0 || hasTargetPredicates(rule.condition));
+		}
+		return this.perTargetRuleCache.get(rule);
+	}
+
+	/**
+	 * Check if a match is spared by the 'except' patterns of its rule
+	 * Patterns are matched against the path relative to the anchor directory, or against the name alone when they
+	 * have no slash (like ignore patterns), and a match inside a directory they match is spared as well
+	 * @private
+	 * @param {Rule} rule
+	 * @param {string} dir - The anchor directory
+	 * @param {string} match - The matched path
+	 * @returns {boolean}
+	 */
+	isExcepted(rule, dir, match) {
+		if (!rule.except || rule.except.length === 0) {
+			return false;
+		}
+		if (!this.exceptMatcherCache.has(rule)) {
+			this.exceptMatcherCache.set(
+				rule,
+				rule.except.map((pattern) => new minimatch.Minimatch(pattern, { dot: true, matchBase: true }))
+			);
+		}
+		const segments = path.relative(dir, match).split(path.sep);
+		/** @type {minimatch.Minimatch[]} */
+		const matchers = this.exceptMatcherCache.get(rule);
+		// Check the match and each directory leading to it
+		for (let i = segments.length; i > 0; i--) {
+			const relativePath = segments.slice(0, i).join("/");
+			if (matchers.some((matcher) => matcher.match(relativePath))) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Compare the precedence of two rules: the highest priority wins, then the rule defined last
+	 * @private
+	 * @param {Rule} a
+	 * @param {Rule} b
+	 * @returns {number} - Negative if a takes precedence over b, positive if b does
+	 */
+	comparePrecedence(a, b) {
+		return (b.priority || 0) - (a.priority || 0) || (this.ruleOrder.get(b) || 0) - (this.ruleOrder.get(a) || 0);
+	}
+
+	/**
+	 * Check if a path is a destination directory of an 'archive' or 'move' rule, from any anchor directory, or is inside one
+	 * @private
+	 * @param {Rule} rule
+	 * @param {string} filePath
+	 * @returns {boolean}
+	 */
+	isInDestination(rule, filePath) {
+		const destinations = this.ruleDestinations.get(rule);
+		if (!destinations) {
+			return false;
+		}
+		for (let current = filePath; ; current = path.dirname(current)) {
+			if (destinations.has(current)) {
+				return true;
+			}
+			if (path.dirname(current) === current) {
+				return false;
+			}
+		}
+	}
+
+	/**
+	 * Find targets matching a rule in a directory
+	 * @param {Rule} rule
+	 * @param {string} dir
+	 * @returns {Promise<string[]>}
+	 */
+	async findTargets(rule, dir) {
+		const targets = [];
+		const perTarget = this.isPerTargetRule(rule);
+		// Where the targets are kept: the directory of an archive or move rule, or the quarantine directory for deletions
+		const destination = rule.destination ? path.resolve(dir, rule.destination) : rule.action === "delete" ? this.quarantineDir : null;
+
+		// An anchor directory inside a destination only holds what was archived or moved there before
+		if (this.isInDestination(rule, dir)) {
+			return targets;
+		}
+
+		// Matches are below the anchor directory, so none is within the depth bound once the anchor is as deep
+		if (rule.depth && rule.depth.max !== null && this.getDepth(dir) >= rule.depth.max) {
+			return targets;
+		}
+
+		// Check if condition is met (once per anchor directory when it does not depend on the target)
+		if (rule.condition && !perTarget) {
+			const conditionMet = await this.evaluateCondition(rule.condition, dir);
+			if (!conditionMet) {
+				return targets;
+			}
+		}
+
+		// Find matching targets
+		try {
+			// Captures such as {name} match like '*' and are extracted from each match below
+			const hasCaptures = getCaptureNames(rule.target).length > 0;
+			const pattern = hasCaptures ? toGlobPattern(rule.target) : rule.target;
+			const targetType = rule.targetType || "any";
+
+			let matches;
+			if (isSimplePattern(pattern)) {
+				// For simple patterns without glob, check directly
+				const fullPath = path.join(dir, pattern);
+				// File doesn't exist (or is not of the requested type), skip
+				matches = (await isEntryType(fullPath, targetType)) ? [fullPath] : [];
+			} else {
+				// Use glob for patterns
+				matches = await glob(pattern, {
+					cwd: dir,
+					absolute: true,
+					nodir: false,
+					dot: true,
+				});
+			}
+
+			/** @type {Array<{path: string, captures?: Record<string, string>}>} */
+			const found = [];
 			for (const match of matches) {
-				// Skip ignored paths
-				if (this.shouldIgnore(match)) {
+				// Skip matches outside the depth bound of the targets
+				if (rule.depth && !isInDepthRange(this.getDepth(match), rule.depth)) {
+					continue;
+				}
+				// Skip ignored paths, unless the rule takes precedence over the ignore rule like over another cleanup rule.
+				// Ignore patterns of the API are the caller's, so no rule can override them.
+				if (await this.shouldIgnore(match)) {
+					const ignoring = await this.findIgnoringMatcher(match);
+					if (!ignoring || !ignoring.rule || this.comparePrecedence(ignoring.rule, rule) < 0) {
+						if (ignoring) {
+							const ignored = this.ignoredMatches.get(match) || { matcher: ignoring, matches: [] };
+							ignored.matches.push({ rule, directory: dir });
+							this.ignoredMatches.set(match, ignored);
+						}
+						continue;
+					}
+				}
+				// Skip paths the rule spares
+				if (this.isExcepted(rule, dir, match)) {
 					continue;
 				}
 				// Skip paths inside skipped directories (but skipped directories themselves are allowed)
-				if (this.isInsideSkippedDirectory(match)) {
+				if (await this.isInsideSkippedDirectory(match)) {
+					continue;
+				}
+				// Never delete protected paths, or directories containing them; the decision for the path tells why
+				const protectedPath = await this.findProtectedPath(match);
+				if (protectedPath) {
+					const refused = this.protectedMatches.get(match) || {
+						error: new ProtectedPathError(match, protectedPath, rule.action),
+						matches: [],
+					};
+					refused.matches.push({ rule, directory: dir });
+					this.protectedMatches.set(match, refused);
+					continue;
+				}
+				// Never archive or move the destination directory, a directory holding it, or what was put there before,
+				// including into the destination of another anchor directory (e.g. '.arch' for the rule applied in '.arch')
+				if ((destination && isSameOrInside(match, destination)) || this.isInDestination(rule, match)) {
+					continue;
+				}
+				// Skip entries of the wrong kind for 'dir' / 'file' targets (simple patterns were checked above)
+				if (targetType !== "any" && !isSimplePattern(pattern) && !(await isEntryType(match, targetType))) {
 					continue;
 				}
+				let captures;
+				if (hasCaptures) {
+					const relativeMatch = path.relative(dir, match).split(path.sep).join("/");
+					captures = matchCaptures(rule.target, relativeMatch);
+					// A capture used twice in the target must match the same text
+					if (!captures) {
+						continue;
+					}
+				}
+				// Evaluate target-level predicates (with capture values substituted) against this match
+				if (perTarget) {
+					const condition = captures ? bindCaptures(/** @type {Condition} */ (rule.condition), captures) : rule.condition;
+					if (!(await this.evaluateCondition(/** @type {Condition} */ (condition), dir, match))) {
+						continue;
+					}
+				}
+				found.push(captures ? { path: match, captures } : { path: match });
+			}
+
+			// The retained matches of this anchor directory are not targets at all
+			const deletable = rule.keep ? await this.applyRetention(found, rule.keep) : found;
+			for (const { path: match, captures } of deletable) {
 				targets.push(match);
-				this.emit("file:found", { path: match, rule, directory: dir });
+				this.emit("file:found", captures ? { path: match, rule, directory: dir, captures } : { path: match, rule, directory: dir });
 			}
 		} catch (error) {
 			// Pattern matching failed, emit error event
@@ -524,6 +1190,49 @@ export class Evaluator extends EventEmitter {
 		return targets;
 	}
 
+	/**
+	 * Drop the matches a retention clause keeps, e.g. the 5 newest for 'keep newest 5'
+	 * Ties are broken by path so the result does not depend on directory listing order
+	 * @template {{path: string}} T
+	 * @param {T[]} matches - Matches of one rule in one anchor directory
+	 * @param {Retention} keep - The retention clause
+	 * @returns {Promise<T[]>} - The matches that are not kept, in their original order
+	 */
+	async applyRetention(matches, keep) {
+		const keys = new Map();
+		for (const match of matches) {
+			keys.set(match, await this.getRetentionKey(match.path, keep.by));
+		}
+
+		// Sort so that the entries to keep come first
+		const descending = keep.order !== "oldest";
+		const sorted = matches.slice().sort((a, b) => {
+			const difference = descending ? keys.get(b) - keys.get(a) : keys.get(a) - keys.get(b);
+			return difference || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+		});
+		const kept = new Set(sorted.slice(0, keep.count));
+
+		return matches.filter((match) => !kept.has(match));
+	}
+
+	/**
+	 * Get the value a retention clause sorts a match by
+	 * Timestamps are those of the match itself; sizes include everything inside directories
+	 * @param {string} filePath - The matched path
+	 * @param {RetentionKey} by - The sort key
+	 * @returns {Promise<number>} - 0 if the path cannot be read
+	 */
+	async getRetentionKey(filePath, by) {
+		if (by === "size") {
+			return this.getSize(filePath);
+		}
+		try {
+			return getTime(await fsp.stat(filePath), by);
+		} catch {
+			return 0;
+		}
+	}
+
 	/**
 	 * Evaluate all rules and collect targets to delete
 	 * @returns {Promise<string[]>} - Array of file paths to delete
@@ -533,23 +1242,73 @@ export class Evaluator extends EventEmitter {
 
 		this.emit("scan:start", { baseDir: this.baseDir, rulesCount: this.rules.length });
 
+		// Start from fresh condition results, the tree may have changed since the last scan
+		this.conditionResultCache.clear();
+		this.conditionResultDir = null;
+		this.targetMatches = new Map();
+		this.decisions = new Map();
+		this.ignoredMatches = new Map();
+		this.protectedMatches = new Map();
+
+		// Rules matching each target, in the order they were found
+		/** @type {Map<string, TargetMatch[]>} */
+		const candidates = new Map();
+
 		// Get all directories to evaluate
 		const directories = await this.getAllDirectories(this.baseDir);
+		this.ruleDestinations = new Map(
+			this.rules
+				.filter((rule) => rule.destination)
+				.map((rule) => [rule, new Set(directories.map((dir) => path.resolve(dir, /** @type {string} */ (rule.destination))))])
+		);
 
 		// For each directory, check all rules
 		for (const dir of directories) {
 			this.emit("scan:directory", { directory: dir });
 
 			for (const rule of this.rules) {
-				if (rule.action === "delete") {
+				if (CLEANUP_ACTIONS.includes(rule.action)) {
 					const targets = await this.findTargets(rule, dir);
 					for (const target of targets) {
 						allTargets.add(target);
+						const matches = candidates.get(target) || [];
+						matches.push({ rule, directory: dir });
+						candidates.set(target, matches);
 					}
 				}
 			}
 		}
 
+		// When several rules match a target, the highest priority wins, then the rule defined last.
+		// A rule matching from several anchor directories keeps the first one.
+		for (const [target, matches] of candidates) {
+			const [winner, ...others] = uniqueRules(matches.slice().sort((a, b) => this.comparePrecedence(a.rule, b.rule)));
+			this.targetMatches.set(target, winner);
+			this.decisions.set(target, {
+				action: winner.rule.action,
+				rule: winner.rule,
+				directory: winner.directory,
+				overridden: uniqueRules([...others, ...(this.ignoredMatches.get(target)?.matches || [])]),
+			});
+		}
+		for (const [protectedTarget, { error, matches }] of this.protectedMatches) {
+			const protecting = await this.findMatcher(this.protectMatchers, error.protectedPath);
+			this.decisions.set(protectedTarget, {
+				action: "protect",
+				rule: protecting?.rule || null,
+				directory: null,
+				overridden: uniqueRules([...matches, ...(this.ignoredMatches.get(protectedTarget)?.matches || [])]),
+				error,
+			});
+		}
+		for (const [ignoredPath, { matcher, matches }] of this.ignoredMatches) {
+			if (!this.decisions.has(ignoredPath)) {
+				this.decisions.set(ignoredPath, { action: "ignore", rule: matcher.rule, directory: null, overridden: uniqueRules(matches) });
+			}
+		}
+		this.ignoredMatches = new Map();
+		this.protectedMatches = new Map();
+
 		const targetsList = Array.from(allTargets);
 		this.emit("scan:complete", {
 			baseDir: this.baseDir,
@@ -560,15 +1319,50 @@ export class Evaluator extends EventEmitter {
 		return targetsList;
 	}
 
+	/**
+	 * Check if the targets of an action are moved rather than deleted: those of 'move' rules,
+	 * and those of 'delete' rules when a quarantine directory is set
+	 * @param {ActionType} action
+	 * @returns {boolean}
+	 */
+	isMoveAction(action) {
+		return action === "move" || (action === "delete" && this.quarantineDir !== null);
+	}
+
 	/**
 	 * Execute the deletion of targets
+	 * Targets of 'empty' rules have their contents deleted, targets of 'truncate' rules are truncated to zero length,
+	 * targets of 'archive' rules are packed into a tarball before being deleted and targets of 'move' rules are moved
+	 * (as are deleted targets when a quarantine directory is set)
 	 * @param {string[]} targets - Files/directories to delete
-	 * @returns {Promise<{deleted: string[], errors: Array<{path: string, error: Error}>}>}
+	 * @param {Map<string, TargetMatch>} [matches] - Rule matching each target, defaults to the matches of the last evaluate()
+	 * @returns {Promise<ExecutionResult>}
 	 */
-	async execute(targets) {
+	async execute(targets, matches = this.targetMatches) {
 		const deleted = [];
+		const emptied = [];
+		const truncated = [];
 		const errors = [];
 
+		// Protection is re-checked against the tree as it is now, not as it was scanned
+		this.protectedDescendantCache.clear();
+
+		// Archive first: a directory deleted by another rule may contain paths to archive
+		const archiveTargets = targets.filter((target) => matches.get(target)?.rule.action === "archive");
+		const { archived, errors: archiveErrors } = await this.archiveTargets(archiveTargets, matches);
+		for (const error of archiveErrors) {
+			errors.push(error);
+			this.emit("error", { ...error, phase: "deletion" });
+		}
+
+		// Then move, so a moved directory keeps the targets inside it rather than losing them to a deletion
+		const moveTargets = targets.filter((target) => this.isMoveAction(matches.get(target)?.rule.action || "delete"));
+		const { moved, errors: moveErrors } = await this.moveTargets(moveTargets, matches);
+		for (const error of moveErrors) {
+			errors.push(error);
+			this.emit("error", { ...error, phase: "deletion" });
+		}
+
 		// Sort targets by depth (deepest first) to avoid deleting parent before child
 		const sortedTargets = targets.slice().sort((a, b) => {
 			const depthA = a.split(path.sep).length;
@@ -577,6 +1371,11 @@ export class Evaluator extends EventEmitter {
 		});
 
 		for (const target of sortedTargets) {
+			const action = matches.get(target)?.rule.action || "delete";
+			if (action === "archive" || this.isMoveAction(action)) {
+				continue;
+			}
+
 			try {
 				// Check if file/directory still exists (may have been deleted with parent)
 				try {
@@ -585,6 +1384,24 @@ export class Evaluator extends EventEmitter {
 					continue; // File doesn't exist, skip
 				}
 
+				const protectedPath = await this.findProtectedPath(target);
+				if (protectedPath) {
+					throw new ProtectedPathError(target, protectedPath, action);
+				}
+
+				if (action === "empty") {
+					await emptyDirectory(target);
+					emptied.push(target);
+					this.emit("file:emptied", { path: target });
+					continue;
+				}
+				if (action === "truncate") {
+					await truncateFile(target);
+					truncated.push(target);
+					this.emit("file:truncated", { path: target });
+					continue;
+				}
+
 				// Check if it's a directory or file
 				const stats = await fsp.stat(target);
 				const isDirectory = stats.isDirectory();
@@ -608,25 +1425,458 @@ export class Evaluator extends EventEmitter {
 			}
 		}
 
-		return { deleted, errors };
+		return { deleted, emptied, truncated, archived, moved, errors };
+	}
+
+	/**
+	 * Pack targets of 'archive' rules into one gzipped tarball per destination directory, verify it, then delete them
+	 * Entries are stored relative to the base directory. Nothing is deleted unless its tarball was verified.
+	 * Errors are returned rather than emitted, so this can run without an 'error' listener.
+	 * @param {string[]} targets - Targets of 'archive' rules
+	 * @param {Map<string, TargetMatch>} [matches] - Rule matching each target, defaults to the matches of the last evaluate()
+	 * @returns {Promise<{archived: Array<{path: string, archive: string}>, errors: Array<{path: string, error: Error}>}>}
+	 */
+	async archiveTargets(targets, matches = this.targetMatches) {
+		const archived = [];
+		const errors = [];
+
+		// Group the targets by destination, dropping those already gone
+		/** @type {Map<string, string[]>} */
+		const groups = new Map();
+		for (const target of targets) {
+			const match = matches.get(target);
+			if (!match?.rule.destination) {
+				continue;
+			}
+			try {
+				await fsp.lstat(target);
+			} catch {
+				continue;
+			}
+			const protectedPath = await this.findProtectedPath(target);
+			if (protectedPath) {
+				errors.push({ path: target, error: new ProtectedPathError(target, protectedPath, "archive") });
+				continue;
+			}
+
+			const destination = path.resolve(match.directory, match.rule.destination);
+			const group = groups.get(destination) || [];
+			groups.set(destination, group);
+			group.push(target);
+		}
+
+		for (const [destination, group] of groups) {
+			// A nested target is packed with the directory containing it
+			const paths = group.filter((target) => !group.some((other) => target.startsWith(other + path.sep)));
+
+			let archive;
+			try {
+				await fsp.mkdir(destination, { recursive: true });
+				archive = await createArchive(destination, this.baseDir, paths);
+			} catch (error) {
+				for (const target of group) {
+					errors.push({ path: target, error: /** @type {Error} */ (error) });
+				}
+				continue;
+			}
+
+			for (const target of paths) {
+				try {
+					await fsp.rm(target, { recursive: true, force: true });
+				} catch (error) {
+					errors.push({ path: target, error: /** @type {Error} */ (error) });
+					continue;
+				}
+				// Nested targets were archived and deleted with it
+				for (const archivedPath of group.filter((other) => other === target || other.startsWith(target + path.sep))) {
+					archived.push({ path: archivedPath, archive });
+					this.emit("file:archived", { path: archivedPath, archive });
+				}
+			}
+		}
+
+		return { archived, errors };
+	}
+
+	/**
+	 * Move targets of 'move' rules into their destination directory, keeping their path relative to the directory
+	 * the rule applied in, and deleted targets into quarantine when a quarantine directory is set, keeping their
+	 * path relative to the base directory. Existing paths are never overwritten.
+	 * Errors are returned rather than emitted, so this can run without an 'error' listener.
+	 * @param {string[]} targets - Targets to move
+	 * @param {Map<string, TargetMatch>} [matches] - Rule matching each target, defaults to the matches of the last evaluate()
+	 * @returns {Promise<{moved: Array<{path: string, destination: string}>, errors: Array<{path: string, error: Error}>}>}
+	 */
+	async moveTargets(targets, matches = this.targetMatches) {
+		const moved = [];
+		const errors = [];
+
+		// A nested target is moved with the directory containing it
+		const outermost = targets.filter((target) => !targets.some((other) => target.startsWith(other + path.sep)));
+
+		for (const target of outermost) {
+			const match = matches.get(target);
+			const action = match?.rule.action || "delete";
+			try {
+				try {
+					await fsp.lstat(target);
+				} catch {
+					continue; // Already gone
+				}
+				const protectedPath = await this.findProtectedPath(target);
+				if (protectedPath) {
+					throw new ProtectedPathError(target, protectedPath, action);
+				}
+
+				const destination =
+					action === "move" && match?.rule.destination
+						? path.join(path.resolve(match.directory, match.rule.destination), path.relative(match.directory, target))
+						: path.join(await this.getQuarantineRunDir(), path.relative(this.baseDir, target));
+				await movePath(target, destination);
+
+				for (const movedPath of targets.filter((other) => other === target || other.startsWith(target + path.sep))) {
+					const entry = { path: movedPath, destination: path.join(destination, path.relative(target, movedPath)) };
+					moved.push(entry);
+					this.emit("file:moved", entry);
+				}
+			} catch (error) {
+				errors.push({ path: target, error: /** @type {Error} */ (error) });
+			}
+		}
+
+		return { moved, errors };
+	}
+
+	/**
+	 * Get the directory deleted targets are moved into for this run, e.g. .dedust-quarantine/20240102T030405Z
+	 * It is created on first use, with a counter if the name is taken
+	 * @returns {Promise<string>}
+	 */
+	async getQuarantineRunDir() {
+		if (!this.quarantineRunDir) {
+			const quarantineDir = /** @type {string} */ (this.quarantineDir);
+			const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+			await fsp.mkdir(quarantineDir, { recursive: true });
+			for (let attempt = 1; ; attempt++) {
+				const runDir = path.join(quarantineDir, attempt > 1 ? `${stamp}-${attempt}` : stamp);
+				try {
+					await fsp.mkdir(runDir);
+				} catch (error) {
+					if (/** @type {NodeJS.ErrnoException} */ (error).code === "EEXIST") {
+						continue;
+					}
+					throw error;
+				}
+				this.quarantineRunDir = runDir;
+				break;
+			}
+		}
+		return /** @type {string} */ (this.quarantineRunDir);
+	}
+}
+
+/**
+ * Error reported when deleting a target would delete a protected path
+ */
+export class ProtectedPathError extends Error {
+	/**
+	 * @param {string} target - The path that was to be deleted
+	 * @param {string} protectedPath - The protected path: the target itself or an entry inside it
+	 * @param {ActionType} [action] - The action that was refused ('delete', 'empty', 'truncate' or 'archive')
+	 */
+	constructor(target, protectedPath, action = "delete") {
+		super(
+			target === protectedPath
+				? `Refusing to ${action} protected path: ${target}`
+				: `Refusing to ${action} ${target}: it contains protected path ${protectedPath}`
+		);
+		this.name = "ProtectedPathError";
+		this.path = target;
+		this.protectedPath = protectedPath;
+	}
+}
+
+/**
+ * Delete the contents of a directory, keeping the directory itself (and so its permissions)
+ * Symbolic links are refused rather than followed, so nothing outside the scanned tree is cleared
+ * @param {string} dir - The directory to empty
+ * @returns {Promise<void>}
+ */
+export async function emptyDirectory(dir) {
+	const stats = await fsp.lstat(dir);
+	if (!stats.isDirectory()) {
+		throw new Error(`Cannot empty ${dir}: not a directory`);
+	}
+	for (const entry of await fsp.readdir(dir)) {
+		await fsp.rm(path.join(dir, entry), { recursive: true, force: true });
+	}
+}
+
+/**
+ * Truncate a file to zero length, keeping the file itself (and so its inode)
+ * Symbolic links are refused rather than followed, so nothing outside the scanned tree is cleared
+ * @param {string} file - The file to truncate
+ * @returns {Promise<void>}
+ */
+export async function truncateFile(file) {
+	const stats = await fsp.lstat(file);
+	if (!stats.isFile()) {
+		throw new Error(`Cannot truncate ${file}: not a regular file`);
+	}
+	await fsp.truncate(file, 0);
+}
+
+/**
+ * Move a file or directory, creating the parent directories of the destination
+ * Falls back to copying and removing the original when the destination is on another file system.
+ * Symbolic links are moved as links, not followed.
+ * @param {string} source - The path to move
+ * @param {string} destination - The new path, which must not exist
+ * @returns {Promise<void>}
+ */
+async function movePath(source, destination) {
+	let exists = true;
+	try {
+		await fsp.lstat(destination);
+	} catch {
+		exists = false;
+	}
+	if (exists) {
+		throw new Error(`Cannot move ${source}: ${destination} already exists`);
+	}
+	await fsp.mkdir(path.dirname(destination), { recursive: true });
+
+	try {
+		await fsp.rename(source, destination);
+	} catch (error) {
+		if (/** @type {NodeJS.ErrnoException} */ (error).code !== "EXDEV") {
+			throw error;
+		}
+		// The original is only removed once it is completely copied
+		try {
+			await copyPath(source, destination);
+		} catch (copyError) {
+			await fsp.rm(destination, { recursive: true, force: true });
+			throw copyError;
+		}
+		await fsp.rm(source, { recursive: true, force: true });
+	}
+}
+
+/**
+ * Copy a file or directory recursively, keeping permissions and timestamps
+ * Symbolic links are copied as links, not followed.
+ * @param {string} source - The path to copy
+ * @param {string} destination - The new path, which must not exist
+ * @returns {Promise<void>}
+ */
+async function copyPath(source, destination) {
+	const stats = await fsp.lstat(source);
+	if (stats.isSymbolicLink()) {
+		await fsp.symlink(await fsp.readlink(source), destination);
+		return;
 	}
+
+	if (stats.isDirectory()) {
+		await fsp.mkdir(destination);
+		for (const entry of await fsp.readdir(source)) {
+			await copyPath(path.join(source, entry), path.join(destination, entry));
+		}
+	} else if (stats.isFile()) {
+		await fsp.copyFile(source, destination, fsConstants.COPYFILE_EXCL);
+	} else {
+		throw new Error(`Cannot copy ${source}: not a file, directory or symbolic link`);
+	}
+	// Permissions are set last so a read-only directory can still be filled
+	await fsp.chmod(destination, stats.mode & 0o7777);
+	await fsp.utimes(destination, stats.atime, stats.mtime);
+}
+
+/**
+ * Check if two paths are the same or one is inside the other
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameOrInside(a, b) {
+	return a === b || a.startsWith(b + path.sep) || b.startsWith(a + path.sep);
 }
 
 /**
- * Evaluate rules and find targets
- * @param {Rule[]} rules
- * @param {string} baseDir
- * @param {boolean} dryRun
- * @param {string[]} ignorePatterns
- * @param {string[]} skipPatterns
- * @returns {Promise<string[]>}
+ * Check if a depth is within a depth range
+ * @param {number} depth
+ * @param {DepthRange} range
+ * @returns {boolean}
  */
-export async function evaluate(rules, baseDir, dryRun = true, ignorePatterns = [], skipPatterns = []) {
-	const evaluator = new Evaluator(rules, baseDir, ignorePatterns, skipPatterns);
-	return evaluator.evaluate(dryRun);
+function isInDepthRange(depth, range) {
+	return depth >= range.min && (range.max === null || depth <= range.max);
+}
+
+/**
+ * Compile ignore / skip / protect patterns into minimatch matchers, sorted in precedence order:
+ * highest priority first, then the last defined first
+ * @param {Array<Rule | {target: string, condition: null}>} entries - Rules, or API patterns without condition
+ * @returns {PatternMatcher[]}
+ */
+function compileMatchers(entries) {
+	const matchers = entries.map((entry) => {
+		const negated = isNegatedPattern(entry.target);
+		const pattern = negated ? entry.target.slice(1) : entry.target;
+		const hasRecursiveSuffix = pattern.endsWith(Evaluator.RECURSIVE_SUFFIX);
+		const rule = "action" in entry ? entry : null;
+		return {
+			pattern,
+			matcher: new minimatch.Minimatch(pattern, { dot: true, matchBase: true }),
+			// Pre-compile matcher for directory pattern if it has recursive suffix
+			dirMatcher: hasRecursiveSuffix
+				? new minimatch.Minimatch(pattern.slice(0, -Evaluator.RECURSIVE_SUFFIX.length), { dot: true, matchBase: true })
+				: null,
+			condition: entry.condition,
+			pendingDirs: new Set(),
+			negated,
+			priority: rule?.priority || 0,
+			rule,
+		};
+	});
+	// Array.prototype.sort is stable, so reversing first puts the last defined first among equal priorities
+	return matchers.reverse().sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Check if a pattern may match paths inside a directory
+ * @param {PatternMatcher} entry
+ * @param {string} dirPath - The directory, relative to the base directory
+ * @returns {boolean}
+ */
+function reachesBelow(entry, dirPath) {
+	// Patterns without a slash match names at any depth
+	if (!entry.pattern.includes("/")) {
+		return true;
+	}
+	// A partial match means the directory is a prefix of paths the pattern matches
+	return entry.matcher.match(dirPath, true);
+}
+
+/**
+ * Keep the first match of each rule
+ * @param {TargetMatch[]} matches
+ * @returns {TargetMatch[]}
+ */
+function uniqueRules(matches) {
+	return matches.filter((match, index) => matches.findIndex((other) => other.rule === match.rule) === index);
+}
+
+/**
+ * Substitute capture values into every pattern of a condition
+ * @param {Expression} expression
+ * @param {Record<string, string>} captures
+ * @returns {Expression}
+ */
+function bindCaptures(expression, captures) {
+	switch (expression.type) {
+		case "and":
+		case "or":
+			return {
+				...expression,
+				left: expression.left && bindCaptures(expression.left, captures),
+				right: expression.right && bindCaptures(expression.right, captures),
+			};
+		case "predicate":
+			return { ...expression, predicate: expression.predicate && /** @type {Predicate} */ (bindCaptures(expression.predicate, captures)) };
+		case "not":
+			return { ...expression, negated: expression.negated && bindCaptures(expression.negated, captures) };
+		default: {
+			const predicate = /** @type {Predicate} */ ({ ...expression });
+			if (predicate.pattern) {
+				predicate.pattern = substituteCaptures(predicate.pattern, captures);
+			}
+			if (predicate.reference) {
+				predicate.reference = substituteCaptures(predicate.reference, captures);
+			}
+			if (predicate.containing) {
+				// Content text is matched literally, so values are not glob-escaped
+				predicate.containing = substituteCaptures(predicate.containing, captures, false);
+			}
+			return predicate;
+		}
+	}
+}
+
+/**
+ * Check if a condition contains predicates that depend on the matched target
+ * @param {Expression} expression
+ * @returns {boolean}
+ */
+function hasTargetPredicates(expression) {
+	switch (expression.type) {
+		case "and":
+		case "or":
+			return (
+				(!!expression.left && hasTargetPredicates(expression.left)) || (!!expression.right && hasTargetPredicates(expression.right))
+			);
+		case "predicate":
+			return !!expression.predicate && hasTargetPredicates(expression.predicate);
+		case "not":
+			return !!expression.negated && hasTargetPredicates(expression.negated);
+		case "age":
+		case "size":
+		case "gitignored":
+		case "tracked":
+			return true;
+		default:
+			return false;
+	}
+}
+
+/**
+ * Check if file content looks binary (contains a NUL byte near the start, like git's heuristic)
+ * @param {Buffer} content
+ * @returns {boolean}
+ */
+function isBinary(content) {
+	return content.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Read the requested timestamp from file stats
+ * @param {import("node:fs").Stats} stats
+ * @param {TimeField} timeField
+ * @returns {number}
+ */
+function getTime(stats, timeField) {
+	switch (timeField) {
+		case "atime":
+			return stats.atimeMs;
+		case "ctime":
+			return stats.ctimeMs;
+		default:
+			return stats.mtimeMs;
+	}
+}
+
+/**
+ * Check if a path exists and is an entry of the given kind
+ * Symbolic links are followed, like the rest of the evaluator does
+ * @param {string} fullPath - The path to check
+ * @param {EntryType} type - Kind of entry required
+ * @returns {Promise<boolean>}
+ */
+async function isEntryType(fullPath, type) {
+	try {
+		const stats = await fsp.stat(fullPath);
+		if (type === "dir") {
+			return stats.isDirectory();
+		}
+		if (type === "file") {
+			return stats.isFile();
+		}
+		return true;
+	} catch {
+		return false;
+	}
 }
 
-let SIMPLE_PATTERN_REGEX = /[*?[\]{}]/;
+let SIMPLE_PATTERN_REGEX = /[*?[\]{}()]/;
 
 /**
  * Check if a pattern is simple (no glob characters)
@@ -0,0 +1,41 @@
+/**
+ * A git working tree and the directories holding its repository files
+ */
+export interface GitRepository {
+	/** The working tree: the directory holding '.git' */
+	root: string;
+	/** The git directory ('.git', or where a '.git' file points for worktrees and submodules) */
+	gitDir: string;
+	/** The directory shared by all worktrees, holding 'info/exclude' and 'config' */
+	commonDir: string;
+}
+
+/**
+ * Git's view of a tree, read from the repository files directly so no git binary is needed:
+ * ignore rules from '.gitignore' files and '.git/info/exclude', and tracked paths from the index (versions 2 to 4)
+ * Everything read is cached, so one instance should not outlive the tree it describes
+ */
+export class GitState {
+	constructor();
+
+	/**
+	 * Check if git ignores a path, with the precedence and nested '.gitignore' scoping of git itself
+	 * Tracked paths and paths outside a repository are not ignored.
+	 * @param filePath - Absolute path to check
+	 */
+	isIgnored(filePath: string): Promise<boolean>;
+
+	/**
+	 * Check if git tracks a path: it is in the index, or it is a directory holding a path in the index
+	 * The '.git' directory and nested repositories count as tracked; nothing outside a repository is.
+	 * @param filePath - Absolute path to check
+	 */
+	isTracked(filePath: string): Promise<boolean>;
+
+	/**
+	 * Find the repository a directory belongs to by looking for '.git' in it and its ancestors
+	 * @param dir - Absolute directory path
+	 * @returns The repository, or null outside a repository
+	 */
+	findRepository(dir: string): Promise<GitRepository | null>;
+}
@@ -0,0 +1,475 @@
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { minimatch } from "minimatch";
+
+/**
+ * @typedef {Object} GitRepository
+ * @property {string} root - The working tree: the directory holding '.git'
+ * @property {string} gitDir - The git directory ('.git', or where a '.git' file points for worktrees and submodules)
+ * @property {string} commonDir - The directory shared by all worktrees, holding 'info/exclude' and 'config'
+ */
+
+/**
+ * @typedef {Object} IgnorePattern
+ * @property {minimatch.Minimatch} matcher
+ * @property {boolean} negated - The pattern starts with '!' and re-includes what it matches
+ * @property {boolean} dirOnly - The pattern ends with '/' and only matches directories
+ * @property {boolean} anchored - The pattern contains a '/' and matches paths relative to its file, not names at any depth
+ */
+
+/**
+ * @typedef {Object} TrackedPaths
+ * @property {Set<string>} files - Paths of the index entries, relative to the working tree
+ * @property {Set<string>} dirs - Every directory holding an index entry
+ */
+
+/**
+ * Options making minimatch follow gitignore patterns: no brace expansion, extglobs, comments or negation
+ */
+const IGNORE_MATCH_OPTIONS = { dot: true, nobrace: true, noext: true, nocomment: true, nonegate: true };
+
+/**
+ * Git's view of a tree, read from the repository files directly so no git binary is needed:
+ * ignore rules from '.gitignore' files and '.git/info/exclude', and tracked paths from the index
+ * Everything read is cached, so one instance should not outlive the tree it describes
+ */
+export class GitState {
+	constructor() {
+		// Repository holding each directory, or null outside a repository
+		/** @type {Map<string, Promise<GitRepository | null>>} */
+		this.repositoryCache = new Map();
+
+		// Patterns of each ignore file, empty if it does not exist
+		/** @type {Map<string, Promise<IgnorePattern[]>>} */
+		this.ignoreFileCache = new Map();
+
+		// Paths in the index of each git directory
+		/** @type {Map<string, Promise<TrackedPaths>>} */
+		this.indexCache = new Map();
+	}
+
+	/**
+	 * Check if git ignores a path
+	 * The patterns of '.git/info/exclude', then of each '.gitignore' from the working tree down to the path's directory apply,
+	 * the last matching one deciding. A path inside an ignored directory is ignored whatever the patterns below say, and
+	 * tracked paths are never ignored, as with git itself. Paths outside a repository are not ignored.
+	 * @param {string} filePath - Absolute path to check
+	 * @returns {Promise<boolean>}
+	 */
+	async isIgnored(filePath) {
+		const repository = await this.findRepository(path.dirname(filePath));
+		if (!repository || isRepositoryPath(repository, filePath) || (await isRepositoryRoot(filePath))) {
+			return false;
+		}
+
+		const segments = path.relative(repository.root, filePath).split(path.sep);
+		for (let i = 1; i <= segments.length; i++) {
+			const isDir = i < segments.length || (await isDirectory(filePath));
+			if (await this.matchIgnorePatterns(repository, segments.slice(0, i), isDir)) {
+				return !(await this.isTracked(filePath));
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Check if git tracks a path: it is in the index, or it is a directory holding a path in the index
+	 * The '.git' directory and nested repositories count as tracked, so they are never taken for untracked work.
+	 * Nothing outside a repository is tracked.
+	 * @param {string} filePath - Absolute path to check
+	 * @returns {Promise<boolean>}
+	 */
+	async isTracked(filePath) {
+		const repository = await this.findRepository(path.dirname(filePath));
+		if (!repository) {
+			return false;
+		}
+		if (isRepositoryPath(repository, filePath) || (await isRepositoryRoot(filePath))) {
+			return true;
+		}
+
+		const relativePath = path.relative(repository.root, filePath).split(path.sep).join("/");
+		const tracked = await this.readIndex(repository);
+		return tracked.files.has(relativePath) || tracked.dirs.has(relativePath);
+	}
+
+	/**
+	 * Find the repository a directory belongs to by looking for '.git' in it and its ancestors
+	 * @param {string} dir - Absolute directory path
+	 * @returns {Promise<GitRepository | null>}
+	 */
+	findRepository(dir) {
+		let repository = this.repositoryCache.get(dir);
+		if (!repository) {
+			repository = this.readRepository(dir);
+			this.repositoryCache.set(dir, repository);
+		}
+		return repository;
+	}
+
+	/**
+	 * Read the repository of a directory, uncached
+	 * @private
+	 * @param {string} dir
+	 * @returns {Promise<GitRepository | null>}
+	 */
+	async readRepository(dir) {
+		const dotGit = path.join(dir, ".git");
+		let stats = null;
+		try {
+			stats = await fsp.stat(dotGit);
+		} catch {
+			// Not a working tree root
+		}
+
+		if (stats?.isDirectory()) {
+			return { root: dir, gitDir: dotGit, commonDir: dotGit };
+		}
+		if (stats?.isFile()) {
+			// Worktrees and submodules have a '.git' file pointing to their git directory
+			const content = await fsp.readFile(dotGit, "utf8");
+			const match = /^gitdir:\s*(.+?)\s*$/m.exec(content);
+			if (match) {
+				const gitDir = path.resolve(dir, match[1]);
+				let commonDir = gitDir;
+				try {
+					commonDir = path.resolve(gitDir, (await fsp.readFile(path.join(gitDir, "commondir"), "utf8")).trim());
+				} catch {
+					// Not a linked worktree: the git directory is not shared
+				}
+				return { root: dir, gitDir, commonDir };
+			}
+		}
+
+		const parent = path.dirname(dir);
+		return parent === dir ? null : this.findRepository(parent);
+	}
+
+	/**
+	 * Match a path against the ignore patterns that apply to it
+	 * @private
+	 * @param {GitRepository} repository
+	 * @param {string[]} segments - The path relative to the working tree, split on '/'
+	 * @param {boolean} isDir - The path is a directory
+	 * @returns {Promise<boolean>} - True if the last matching pattern ignores the path
+	 */
+	async matchIgnorePatterns(repository, segments, isDir) {
+		// Ignore files from lowest to highest precedence, with the number of path segments their patterns are relative to
+		const files = [{ file: path.join(repository.commonDir, "info", "exclude"), depth: 0 }];
+		for (let depth = 0; depth < segments.length; depth++) {
+			files.push({ file: path.join(repository.root, ...segments.slice(0, depth), ".gitignore"), depth });
+		}
+
+		for (let i = files.length - 1; i >= 0; i--) {
+			const patterns = await this.readIgnoreFile(files[i].file);
+			const relativePath = segments.slice(files[i].depth).join("/");
+			const name = segments[segments.length - 1];
+			for (let j = patterns.length - 1; j >= 0; j--) {
+				const pattern = patterns[j];
+				if (pattern.dirOnly && !isDir) {
+					continue;
+				}
+				if (pattern.matcher.match(pattern.anchored ? relativePath : name)) {
+					return !pattern.negated;
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Read the patterns of an ignore file, cached
+	 * @private
+	 * @param {string} file
+	 * @returns {Promise<IgnorePattern[]>}
+	 */
+	readIgnoreFile(file) {
+		let patterns = this.ignoreFileCache.get(file);
+		if (!patterns) {
+			patterns = fsp.readFile(file, "utf8").then(parseIgnorePatterns, () => []);
+			this.ignoreFileCache.set(file, patterns);
+		}
+		return patterns;
+	}
+
+	/**
+	 * Read the paths in the index of a repository, cached
+	 * @private
+	 * @param {GitRepository} repository
+	 * @returns {Promise<TrackedPaths>}
+	 */
+	readIndex(repository) {
+		let tracked = this.indexCache.get(repository.gitDir);
+		if (!tracked) {
+			tracked = readTrackedPaths(repository);
+			this.indexCache.set(repository.gitDir, tracked);
+		}
+		return tracked;
+	}
+}
+
+/**
+ * Parse the content of a '.gitignore' or 'info/exclude' file
+ * @param {string} content
+ * @returns {IgnorePattern[]}
+ */
+function parseIgnorePatterns(content) {
+	/** @type {IgnorePattern[]} */
+	const patterns = [];
+	for (const rawLine of content.split(/\r?\n/)) {
+		// Blank lines and comments match nothing; '\#' starts a pattern with '#'
+		if (rawLine === "" || rawLine.startsWith("#")) {
+			continue;
+		}
+
+		// Trailing spaces are ignored unless escaped with a backslash
+		let line = rawLine;
+		while (line.endsWith(" ") && !line.endsWith("\\ ")) {
+			line = line.slice(0, -1);
+		}
+
+		const negated = line.startsWith("!");
+		if (negated) {
+			line = line.slice(1);
+		}
+		const dirOnly = line.endsWith("/");
+		line = line.replace(/\/+$/, "");
+		// A slash at the start or in the middle anchors the pattern to the directory of its file
+		const anchored = line.includes("/");
+		line = line.replace(/^\//, "");
+		if (line === "") {
+			continue;
+		}
+
+		patterns.push({ matcher: new minimatch.Minimatch(line, IGNORE_MATCH_OPTIONS), negated, dirOnly, anchored });
+	}
+	return patterns;
+}
+
+/**
+ * @typedef {Object} IndexFile
+ * @property {string[]} names - Paths of the entries, in order; entries replacing a shared index entry have an empty name
+ * @property {{hash: string, deleted: Set<number>} | null} link - The shared index of a split index, and the positions
+ * of its entries that were removed
+ */
+
+/**
+ * Read the paths of a repository's index file (versions 2 to 4), and the directories holding them
+ * With a split index ('core.splitIndex'), most entries live in the shared index the 'link' extension names, which is
+ * merged in. A missing index tracks nothing.
+ * @param {GitRepository} repository
+ * @returns {Promise<TrackedPaths>}
+ */
+async function readTrackedPaths(repository) {
+	/** @type {TrackedPaths} */
+	const tracked = { files: new Set(), dirs: new Set() };
+
+	const indexFile = path.join(repository.gitDir, "index");
+	let buffer;
+	try {
+		buffer = await fsp.readFile(indexFile);
+	} catch (error) {
+		if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") {
+			return tracked;
+		}
+		throw error;
+	}
+	const hashSize = (await usesSha256(repository)) ? 32 : 20;
+	const index = parseIndex(buffer, indexFile, hashSize);
+
+	// Replaced shared entries keep their path, so only the entries added since the split carry a name
+	const names = index.names.filter((name) => name !== "");
+	if (index.link) {
+		// A missing shared index must not be read as tracking nothing
+		const sharedFile = path.join(repository.gitDir, `sharedindex.${index.link.hash}`);
+		let sharedBuffer;
+		try {
+			sharedBuffer = await fsp.readFile(sharedFile);
+		} catch (error) {
+			throw new Error(`Cannot read the shared index of split git index ${indexFile}: ${/** @type {Error} */ (error).message}`);
+		}
+		const shared = parseIndex(sharedBuffer, sharedFile, hashSize);
+		const deleted = index.link.deleted;
+		names.push(...shared.names.filter((_, position) => !deleted.has(position)));
+	}
+
+	for (const name of names) {
+		// Sparse directory entries end with '/'
+		const file = name.replace(/\/$/, "");
+		tracked.files.add(file);
+		for (let slash = file.indexOf("/"); slash !== -1; slash = file.indexOf("/", slash + 1)) {
+			tracked.dirs.add(file.slice(0, slash));
+		}
+		if (file !== "") {
+			tracked.dirs.add("");
+		}
+	}
+	return tracked;
+}
+
+/**
+ * Parse the entry names and the 'link' extension of an index file
+ * @param {Buffer} buffer - Content of the index file
+ * @param {string} file - Path of the index file, for error messages
+ * @param {number} hashSize - Length of object names in bytes
+ * @returns {IndexFile}
+ */
+function parseIndex(buffer, file, hashSize) {
+	if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== "DIRC") {
+		throw new Error(`Unsupported git index: ${file}`);
+	}
+	const version = buffer.readUInt32BE(4);
+	if (version < 2 || version > 4) {
+		throw new Error(`Unsupported git index version ${version}: ${file}`);
+	}
+	const count = buffer.readUInt32BE(8);
+
+	/** @type {string[]} */
+	const names = [];
+	let offset = 12;
+	let previousName = "";
+	for (let i = 0; i < count; i++) {
+		const entryStart = offset;
+		// ctime, mtime, dev, ino, mode, uid, gid and size take 40 bytes, followed by the object hash and the flags
+		const flags = buffer.readUInt16BE(offset + 40 + hashSize);
+		offset += 40 + hashSize + 2;
+		// Extended flags
+		if (version >= 3 && flags & 0x4000) {
+			offset += 2;
+		}
+
+		let name;
+		if (version === 4) {
+			// The name drops some characters from the end of the previous name, then adds its own
+			let byte = buffer[offset++];
+			let strip = byte & 0x7f;
+			while (byte & 0x80) {
+				byte = buffer[offset++];
+				strip = ((strip + 1) << 7) | (byte & 0x7f);
+			}
+			const end = buffer.indexOf(0, offset);
+			name = previousName.slice(0, previousName.length - strip) + buffer.toString("utf8", offset, end);
+			offset = end + 1;
+		} else {
+			// Entries are padded with 1 to 8 NUL bytes to a multiple of 8 bytes
+			const end = buffer.indexOf(0, offset);
+			name = buffer.toString("utf8", offset, end);
+			offset = entryStart + ((end - entryStart + 8) & ~7);
+		}
+		previousName = name;
+		names.push(name);
+	}
+
+	// Extensions follow the entries: a 4-byte signature and a 4-byte size, then the data; the checksum ends the file
+	let link = null;
+	while (offset + 8 <= buffer.length - hashSize) {
+		const signature = buffer.toString("latin1", offset, offset + 4);
+		const size = buffer.readUInt32BE(offset + 4);
+		const data = buffer.subarray(offset + 8, offset + 8 + size);
+		offset += 8 + size;
+		if (signature !== "link") {
+			continue;
+		}
+		const hash = data.toString("hex", 0, hashSize);
+		// An all-zero hash means the index does not use a shared index after all
+		if (/^0+$/.test(hash)) {
+			continue;
+		}
+		// The delete bitmap comes first, followed by the replace bitmap
+		link = { hash, deleted: data.length > hashSize ? readEwahBitmap(data, hashSize) : new Set() };
+	}
+	return { names, link };
+}
+
+/**
+ * Read the positions set in an EWAH compressed bitmap, as git stores them in index extensions
+ * The bitmap is its size in bits and its number of 64-bit words, then the words: each run-length word (a running bit,
+ * a 32-bit count of words full of that bit, and a 31-bit count of literal words to follow) is followed by its literal words
+ * @param {Buffer} data
+ * @param {number} offset - Position of the bitmap in data
+ * @returns {Set<number>}
+ */
+function readEwahBitmap(data, offset) {
+	/** @type {Set<number>} */
+	const positions = new Set();
+	const wordCount = data.readUInt32BE(offset + 4);
+	let position = 0;
+	for (let i = 0; i < wordCount; ) {
+		// Words are big-endian, read as two 32-bit halves
+		const markerOffset = offset + 8 + i * 8;
+		const high = data.readUInt32BE(markerOffset);
+		const low = data.readUInt32BE(markerOffset + 4);
+		i++;
+		const runningLength = (low >>> 1) + (high & 1) * 0x80000000;
+		const literalCount = high >>> 1;
+		if (low & 1) {
+			for (let bit = 0; bit < runningLength * 64; bit++) {
+				positions.add(position + bit);
+			}
+		}
+		position += runningLength * 64;
+		for (let j = 0; j < literalCount; j++, i++) {
+			const wordOffset = offset + 8 + i * 8;
+			const halves = [data.readUInt32BE(wordOffset + 4), data.readUInt32BE(wordOffset)];
+			for (let bit = 0; bit < 64; bit++) {
+				if ((halves[bit >> 5] >>> (bit & 31)) & 1) {
+					positions.add(position + bit);
+				}
+			}
+			position += 64;
+		}
+	}
+	return positions;
+}
+
+/**
+ * Check if a repository stores SHA-256 object names, which makes index entries longer
+ * @param {GitRepository} repository
+ * @returns {Promise<boolean>}
+ */
+async function usesSha256(repository) {
+	try {
+		const config = await fsp.readFile(path.join(repository.commonDir, "config"), "utf8");
+		return /^\s*objectformat\s*=\s*sha256\s*$/im.test(config);
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Check if a path is a directory (symbolic links are not followed, as git does not follow them)
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(filePath) {
+	try {
+		return (await fsp.lstat(filePath)).isDirectory();
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Check if a directory is the working tree of a repository
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+async function isRepositoryRoot(dir) {
+	try {
+		await fsp.lstat(path.join(dir, ".git"));
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Check if a path belongs to the repository files: the '.git' entry of the working tree, or the git directory
+ * @param {GitRepository} repository
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isRepositoryPath(repository, filePath) {
+	const dotGit = path.join(repository.root, ".git");
+	return [dotGit, repository.gitDir].some((dir) => filePath === dir || filePath.startsWith(dir + path.sep));
+}
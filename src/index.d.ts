@@ -18,6 +18,46 @@ export interface DedustOptions {
 	 * Skip safety validation of rules (use with caution)
 	 */
 	skipValidation?: boolean;
+	/**
+	 * Profile to apply: rules shared by all profiles plus the rules of its `profile <name>:` sections.
+	 * Without a profile only shared rules apply. Throws if the rules do not define the profile.
+	 * @example 'ci'
+	 */
+	profile?: string;
+	/**
+	 * Ids of the cleanup rules to apply (`as <id>`): only these, plus the rules selected by `tags`, apply.
+	 * Ignore, skip and protect rules always apply. Throws if no rule has one of the ids.
+	 * @example ['rust-target']
+	 */
+	enableRules?: string[];
+	/**
+	 * Ids of rules not to apply. Throws if no rule has one of the ids, or if one is the id of a protect rule, which cannot be disabled.
+	 * @example ['node-modules']
+	 */
+	disableRules?: string[];
+	/**
+	 * Tags of the cleanup rules to apply (`tags <tag>, ...`): only rules with one of these tags, plus the rules enabled by
+	 * `enableRules`, apply. Ignore, skip and protect rules always apply. Throws if no rule has one of the tags.
+	 * @example ['rust', 'build']
+	 */
+	tags?: string[];
+	/**
+	 * Move the targets of 'delete' rules into a timestamped directory inside this directory instead of deleting them,
+	 * keeping their path relative to the base directory. A relative path is resolved against each base directory.
+	 * The directory is never scanned, so quarantined paths are not found again.
+	 * @example '.dedust-quarantine'
+	 */
+	quarantine?: string;
+	/**
+	 * Environment variables checked by 'env' predicates instead of process.env
+	 * @example { CI: "true" }
+	 */
+	env?: Record<string, string | undefined>;
+	/**
+	 * Platform checked by 'platform' predicates instead of process.platform
+	 * @example "win32"
+	 */
+	platform?: string;
 	/**
 	 * Called when a file is found
 	 */
@@ -26,6 +66,22 @@ export interface DedustOptions {
 	 * Called when a file is deleted
 	 */
 	onFileDeleted?: (data: import("./evaluator.js").FileDeletedEvent) => void;
+	/**
+	 * Called when the contents of a directory are deleted by an 'empty' rule
+	 */
+	onFileEmptied?: (data: import("./evaluator.js").FileEmptiedEvent) => void;
+	/**
+	 * Called when a file is truncated to zero length by a 'truncate' rule
+	 */
+	onFileTruncated?: (data: import("./evaluator.js").FileTruncatedEvent) => void;
+	/**
+	 * Called when a path packed into a tarball by an 'archive' rule has been deleted
+	 */
+	onFileArchived?: (data: import("./evaluator.js").FileArchivedEvent) => void;
+	/**
+	 * Called when a path is moved by a 'move' rule, or moved into quarantine instead of being deleted
+	 */
+	onFileMoved?: (data: import("./evaluator.js").FileMovedEvent) => void;
 	/**
 	 * Called when an error occurs
 	 */
@@ -50,6 +106,20 @@ export interface DedustOptions {
 export interface ExecutionResult {
 	/** Successfully deleted paths */
 	deleted: string[];
+	/** Directories whose contents were deleted by 'empty' rules */
+	emptied: string[];
+	/** Files truncated to zero length by 'truncate' rules */
+	truncated: string[];
+	/** Paths packed into a tarball and deleted by 'archive' rules, with the tarball holding each */
+	archived: Array<{
+		path: string;
+		archive: string;
+	}>;
+	/** Paths moved by 'move' rules, or into quarantine instead of being deleted, with the path each was moved to */
+	moved: Array<{
+		path: string;
+		destination: string;
+	}>;
 	/** Errors encountered during deletion */
 	errors: Array<{
 		path: string;
@@ -63,12 +133,22 @@ export interface ExecutionResult {
 export interface DedustResult {
 	/**
 	 * Get the list of files that would be deleted
+	 * (or emptied / truncated / archived / moved by 'empty' / 'truncate' / 'archive' / 'move' rules)
 	 */
 	readonly targets: string[];
 	/**
 	 * Get the list of files that would be deleted (alias for targets)
 	 */
 	readonly files: string[];
+	/**
+	 * Get the rule matching each target (with its id, description and tags) and the directory it applied in
+	 */
+	readonly matches: Map<string, import("./evaluator.js").TargetMatch>;
+	/**
+	 * Get how the rules matching each path were resolved: the winning rule and action, and the rules it overrode
+	 * (covers the targets and the paths a cleanup rule matched but an ignore rule kept)
+	 */
+	readonly decisions: Map<string, import("./evaluator.js").Decision>;
 	/**
 	 * Execute the cleanup and actually delete the files
 	 */
@@ -94,9 +174,12 @@ declare function dedust(rulesOrDsl: string | Rule[], baseDirs: string | string[]
 export default dedust;
 
 // Re-export essential types only
-export type { Rule } from "./parser.js";
+export type { Rule, RuleSource, Retention, DepthRange } from "./parser.js";
 
 // Export classes for advanced usage
 export { Tokenizer } from "./tokenizer.js";
 export { Parser } from "./parser.js";
-export { Evaluator } from "./evaluator.js";
+export { Evaluator, ProtectedPathError } from "./evaluator.js";
+
+// Load rules files with 'include' support
+export { loadRules } from "./loader.js";
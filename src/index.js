@@ -1,11 +1,15 @@
 import { tokenize, Tokenizer } from "./tokenizer.js";
-import { parse, Parser } from "./parser.js";
-import { evaluate, Evaluator } from "./evaluator.js";
+import { parse, Parser, CLEANUP_ACTIONS } from "./parser.js";
+import { Evaluator, ProtectedPathError, emptyDirectory, truncateFile } from "./evaluator.js";
 import { validateRules, ValidationError } from "./validator.js";
+import { loadRules } from "./loader.js";
 import fs from "node:fs";
+import path from "node:path";
 
 /**
  * @typedef {import('./parser.js').Rule} Rule
+ * @typedef {import('./evaluator.js').TargetMatch} TargetMatch
+ * @typedef {import('./evaluator.js').Decision} Decision
  * @typedef {import('./index.js').DedustOptions} DedustOptions
  */
 
@@ -22,6 +26,18 @@ function attachEventListeners(evaluator, options) {
 	if (options.onFileDeleted) {
 		evaluator.on("file:deleted", options.onFileDeleted);
 	}
+	if (options.onFileEmptied) {
+		evaluator.on("file:emptied", options.onFileEmptied);
+	}
+	if (options.onFileTruncated) {
+		evaluator.on("file:truncated", options.onFileTruncated);
+	}
+	if (options.onFileArchived) {
+		evaluator.on("file:archived", options.onFileArchived);
+	}
+	if (options.onFileMoved) {
+		evaluator.on("file:moved", options.onFileMoved);
+	}
 	if (options.onError) {
 		evaluator.on("error", options.onError);
 	}
@@ -47,6 +63,10 @@ function hasListeners(options) {
 		options &&
 		(options.onFileFound ||
 			options.onFileDeleted ||
+			options.onFileEmptied ||
+			options.onFileTruncated ||
+			options.onFileArchived ||
+			options.onFileMoved ||
 			options.onError ||
 			options.onScanStart ||
 			options.onScanDirectory ||
@@ -64,15 +84,87 @@ function parseRules(input) {
 	return parse(tokens);
 }
 
+/**
+ * Select the rules that apply to a profile: rules shared by all profiles plus the rules of the profile's sections
+ * Without a profile, only shared rules apply
+ * @private
+ * @param {Rule[]} rules - Parsed rules
+ * @param {string} [profile] - Requested profile
+ * @returns {Rule[]} Rules that apply
+ */
+function selectProfile(rules, profile) {
+	if (!profile) {
+		return rules.filter((rule) => !rule.profile);
+	}
+
+	const profiles = new Set(rules.map((rule) => rule.profile).filter(Boolean));
+	if (!profiles.has(profile)) {
+		const available = profiles.size > 0 ? `Available profiles: ${Array.from(profiles).join(", ")}` : "The rules do not define any profiles";
+		throw new Error(`Unknown profile '${profile}'. ${available}`);
+	}
+
+	return rules.filter((rule) => !rule.profile || rule.profile === profile);
+}
+
+/**
+ * Select the rules a run applies: the rules of the requested profile, narrowed by rule id and tag
+ * With enableRules or tags, only the cleanup rules enabled by id or carrying one of the tags apply; ignore, skip and
+ * protect rules keep applying so narrowing a run never exposes what they guard. disableRules drops rules of any action
+ * but protect, since protection can never be turned off from the API.
+ * @private
+ * @param {Rule[]} rules - Parsed rules
+ * @param {DedustOptions} options - Options holding profile, enableRules, disableRules and tags
+ * @returns {Rule[]} Rules that apply
+ */
+function selectRules(rules, options) {
+	const selected = selectProfile(rules, options.profile);
+	const enableRules = options.enableRules || [];
+	const disableRules = options.disableRules || [];
+	const tags = options.tags || [];
+
+	// Unknown ids and tags are most likely typos, which would otherwise silently select nothing
+	const ids = new Set(rules.map((rule) => rule.id).filter(Boolean));
+	for (const id of [...enableRules, ...disableRules]) {
+		if (!ids.has(id)) {
+			const available = ids.size > 0 ? `Available rule ids: ${Array.from(ids).join(", ")}` : "The rules do not define any ids";
+			throw new Error(`Unknown rule id '${id}'. ${available}`);
+		}
+	}
+	for (const rule of rules) {
+		if (rule.action === "protect" && rule.id && disableRules.includes(rule.id)) {
+			throw new Error(`Rule '${rule.id}' is a protect rule, which cannot be disabled`);
+		}
+	}
+	const allTags = new Set(rules.flatMap((rule) => rule.tags || []));
+	for (const tag of tags) {
+		if (!allTags.has(tag)) {
+			const available = allTags.size > 0 ? `Available tags: ${Array.from(allTags).join(", ")}` : "The rules do not define any tags";
+			throw new Error(`Unknown tag '${tag}'. ${available}`);
+		}
+	}
+
+	const narrowed = enableRules.length > 0 || tags.length > 0;
+	return selected.filter((rule) => {
+		if (rule.id && disableRules.includes(rule.id)) {
+			return false;
+		}
+		if (!narrowed || !CLEANUP_ACTIONS.includes(rule.action)) {
+			return true;
+		}
+		return (!!rule.id && enableRules.includes(rule.id)) || (rule.tags || []).some((tag) => tags.includes(tag));
+	});
+}
+
 /**
  * Evaluate rules and find targets to delete (dry run)
  * @param {string | Rule[]} rulesOrDsl - DSL text or parsed rules
  * @param {string | string[]} baseDirs - Base directory or directories to evaluate from
  * @param {DedustOptions} [options] - Options including ignore patterns, skip patterns, and optional event listeners
- * @returns {Promise<string[]>} Array of file paths that would be deleted
+ * @returns {Promise<{targets: string[], matches: Map<string, TargetMatch>, decisions: Map<string, Decision>}>} Paths that would be
+ * deleted or cleared, the rule for each, and how the rules matching each path were resolved
  */
 async function findTargets(rulesOrDsl, baseDirs, options = {}) {
-	const rules = typeof rulesOrDsl === "string" ? parseRules(rulesOrDsl) : rulesOrDsl;
+	const rules = selectRules(typeof rulesOrDsl === "string" ? parseRules(rulesOrDsl) : rulesOrDsl, options);
 	const dirs = Array.isArray(baseDirs) ? baseDirs : [baseDirs];
 	const ignorePatterns = options.ignore || [];
 	const skipPatterns = options.skip || [];
@@ -87,39 +179,53 @@ async function findTargets(rulesOrDsl, baseDirs, options = {}) {
 	}
 
 	const allTargets = new Set();
+	/** @type {Map<string, TargetMatch>} */
+	const matches = new Map();
+	/** @type {Map<string, Decision>} */
+	const decisions = new Map();
 	for (const dir of dirs) {
-		// If listeners are provided, use event-based evaluation
-		if (hasListeners(options)) {
-			const evaluator = new Evaluator(rules, dir, ignorePatterns, skipPatterns);
+		const evaluator = new Evaluator(rules, dir, ignorePatterns, skipPatterns, options);
 
-			// Attach event listeners using helper function
-			attachEventListeners(evaluator, options);
+		// Attach event listeners, if any are provided
+		attachEventListeners(evaluator, options);
 
-			const targets = await evaluator.evaluate(true);
-			targets.forEach((target) => allTargets.add(target));
-		} else {
-			// Use direct evaluation without events for better performance
-			const targets = await evaluate(rules, dir, true, ignorePatterns, skipPatterns);
-			targets.forEach((target) => allTargets.add(target));
+		const targets = await evaluator.evaluate(true);
+		for (const target of targets) {
+			allTargets.add(target);
+			// Keep the first base directory's match for paths scanned from several base directories
+			const match = evaluator.targetMatches.get(target);
+			if (match && !matches.has(target)) {
+				matches.set(target, match);
+			}
+		}
+		for (const [decidedPath, decision] of evaluator.decisions) {
+			if (!decisions.has(decidedPath)) {
+				decisions.set(decidedPath, decision);
+			}
 		}
 	}
 
-	return Array.from(allTargets);
+	return { targets: Array.from(allTargets), matches, decisions };
 }
 
 /**
  * Result object returned from dedust function
  */
 class DedustResult {
-	constructor(rulesOrDsl, baseDirs, options, targets) {
+	constructor(rulesOrDsl, baseDirs, options, targets, matches = new Map(), decisions = new Map()) {
 		this.rulesOrDsl = rulesOrDsl;
 		this.baseDirs = baseDirs;
 		this.options = options;
 		this._targets = targets;
+		// Rule matching each target and the directory it applied in, the action is 'delete' if missing
+		this._matches = matches;
+		// How the rules matching each path were resolved
+		this._decisions = decisions;
 	}
 
 	/**
 	 * Get the list of files that would be deleted
+	 * (or emptied / truncated / archived / moved by 'empty' / 'truncate' / 'archive' / 'move' rules)
 	 */
 	get targets() {
 		return [...this._targets];
@@ -132,18 +238,42 @@ class DedustResult {
 		return this.targets;
 	}
 
+	/**
+	 * Get the rule matching each target and the directory it applied in, e.g. to report rule ids and descriptions
+	 * @returns {Map<string, TargetMatch>}
+	 */
+	get matches() {
+		return new Map(this._matches);
+	}
+
+	/**
+	 * Get how the rules matching each path were resolved: the winning rule and action, and the rules it overrode.
+	 * Covers the targets and the paths a cleanup rule matched but an ignore rule kept.
+	 * @returns {Map<string, Decision>}
+	 */
+	get decisions() {
+		return new Map(this._decisions);
+	}
+
 	/**
 	 * Execute the cleanup and actually delete the files
-	 * @returns {Promise<{deleted: string[], errors: Array<{path: string, error: Error}>}>}
+	 * Targets of 'empty' and 'truncate' rules are cleared instead of deleted, targets of 'archive' rules are packed
+	 * into a tarball before being deleted and targets of 'move' rules are moved. With the quarantine option,
+	 * targets of 'delete' rules are moved into quarantine instead of being deleted.
+	 * @returns {Promise<import('./evaluator.js').ExecutionResult>}
 	 */
 	async execute() {
 		// Use the pre-scanned targets to avoid re-scanning
 		const allDeleted = [];
+		const allEmptied = [];
+		const allTruncated = [];
+		const allArchived = [];
+		const allMoved = [];
 		const allErrors = [];
 
 		// If listeners are provided, need to use Evaluator to fire events
 		if (hasListeners(this.options)) {
-			const rules = typeof this.rulesOrDsl === "string" ? parseRules(this.rulesOrDsl) : this.rulesOrDsl;
+			const rules = selectRules(typeof this.rulesOrDsl === "string" ? parseRules(this.rulesOrDsl) : this.rulesOrDsl, this.options);
 			const dirs = Array.isArray(this.baseDirs) ? this.baseDirs : [this.baseDirs];
 			const ignorePatterns = this.options.ignore || [];
 			const skipPatterns = this.options.skip || [];
@@ -168,21 +298,63 @@ class DedustResult {
 
 				if (dirTargets.length === 0) continue;
 
-				const evaluator = new Evaluator(rules, dir, ignorePatterns, skipPatterns);
+				const evaluator = new Evaluator(rules, dir, ignorePatterns, skipPatterns, this.options);
 				attachEventListeners(evaluator, this.options);
 
 				// Use execute directly with pre-scanned targets (no re-scan)
-				const result = await evaluator.execute(dirTargets);
+				const result = await evaluator.execute(dirTargets, this._matches);
 				allDeleted.push(...result.deleted);
+				allEmptied.push(...result.emptied);
+				allTruncated.push(...result.truncated);
+				allArchived.push(...result.archived);
+				allMoved.push(...result.moved);
 				allErrors.push(...result.errors);
 			}
 		} else {
 			// No listeners - just delete files directly
+			// Protected paths are re-checked first, per base directory since protect patterns are relative to it
+			const rules = selectRules(typeof this.rulesOrDsl === "string" ? parseRules(this.rulesOrDsl) : this.rulesOrDsl, this.options);
+			const dirs = (Array.isArray(this.baseDirs) ? this.baseDirs : [this.baseDirs]).map((dir) => path.resolve(dir));
+			const evaluators = new Map();
+
 			// Group targets: directories and files
 			const directories = [];
 			const files = [];
 
+			// Targets of 'empty' and 'truncate' rules, cleared before anything is deleted
+			const cleared = [];
+			// Targets of 'archive' rules by base directory, archived first
+			const archives = new Map();
+			// Targets of 'move' rules (and of 'delete' rules in quarantine) by base directory, moved next
+			const moves = new Map();
+
 			for (const target of this._targets) {
+				const action = this._matches.get(target)?.rule.action || "delete";
+				const dir = dirs.find((d) => target === d || target.startsWith(d + path.sep));
+				if (dir) {
+					if (!evaluators.has(dir)) {
+						evaluators.set(dir, new Evaluator(rules, dir, [], [], this.options));
+					}
+					const protectedPath = await evaluators.get(dir).findProtectedPath(target);
+					if (protectedPath) {
+						allErrors.push({ path: target, error: new ProtectedPathError(target, protectedPath, action) });
+						continue;
+					}
+				}
+
+				if (action === "archive" && dir) {
+					archives.set(dir, [...(archives.get(dir) || []), target]);
+					continue;
+				}
+				if (dir && evaluators.get(dir).isMoveAction(action)) {
+					moves.set(dir, [...(moves.get(dir) || []), target]);
+					continue;
+				}
+				if (action === "empty" || action === "truncate") {
+					cleared.push(target);
+					continue;
+				}
+
 				try {
 					const stat = fs.statSync(target);
 					if (stat.isDirectory()) {
@@ -196,6 +368,32 @@ class DedustResult {
 				}
 			}
 
+			for (const [dir, targets] of archives) {
+				const result = await evaluators.get(dir).archiveTargets(targets, this._matches);
+				allArchived.push(...result.archived);
+				allErrors.push(...result.errors);
+			}
+
+			for (const [dir, targets] of moves) {
+				const result = await evaluators.get(dir).moveTargets(targets, this._matches);
+				allMoved.push(...result.moved);
+				allErrors.push(...result.errors);
+			}
+
+			for (const target of cleared) {
+				try {
+					if (this._matches.get(target)?.rule.action === "empty") {
+						await emptyDirectory(target);
+						allEmptied.push(target);
+					} else {
+						await truncateFile(target);
+						allTruncated.push(target);
+					}
+				} catch (error) {
+					allErrors.push({ path: target, error });
+				}
+			}
+
 			// Delete files first
 			for (const file of files) {
 				try {
@@ -206,6 +404,14 @@ class DedustResult {
 				}
 			}
 
+			// Nested targets that were archived, moved or cleared before are reported as such, not as deleted
+			const handled = new Set([
+				...allArchived.map((entry) => entry.path),
+				...allMoved.map((entry) => entry.path),
+				...allEmptied,
+				...allTruncated,
+			]);
+
 			// Then delete directories (might contain some of the files/dirs we already handled)
 			for (const dir of directories) {
 				try {
@@ -215,7 +421,7 @@ class DedustResult {
 
 						// Also mark child targets as deleted
 						for (const target of this._targets) {
-							if (target !== dir && target.startsWith(dir + "/") && !allDeleted.includes(target)) {
+							if (target !== dir && target.startsWith(dir + "/") && !allDeleted.includes(target) && !handled.has(target)) {
 								allDeleted.push(target);
 							}
 						}
@@ -226,7 +432,14 @@ class DedustResult {
 			}
 		}
 
-		return { deleted: allDeleted, errors: allErrors };
+		return {
+			deleted: allDeleted,
+			emptied: allEmptied,
+			truncated: allTruncated,
+			archived: allArchived,
+			moved: allMoved,
+			errors: allErrors,
+		};
 	}
 
 	/**
@@ -239,14 +452,17 @@ class DedustResult {
 
 async function dedust(rulesOrDsl, baseDirs, options = {}) {
 	// Always do dry run first to get targets
-	const targets = await findTargets(rulesOrDsl, baseDirs, options);
+	const { targets, matches, decisions } = await findTargets(rulesOrDsl, baseDirs, options);
 
 	// Return result object
-	return new DedustResult(rulesOrDsl, baseDirs, options, targets);
+	return new DedustResult(rulesOrDsl, baseDirs, options, targets, matches, decisions);
 }
 
 // Minimal public API - single dedust function
 export default dedust;
 
 // Export classes for advanced usage
-export { Tokenizer, Parser, Evaluator };
+export { Tokenizer, Parser, Evaluator, ProtectedPathError };
+
+// Load rules files with 'include' support
+export { loadRules };
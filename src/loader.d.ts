@@ -0,0 +1,11 @@
+import { Rule } from "./parser.js";
+
+/**
+ * Load rules from a rules file, expanding 'include' directives
+ * Included paths are resolved relative to the including file, and every rule records the file and line it came from
+ * A file included several times (e.g. a base shared by two included files) is loaded once, where it is first included
+ * Rule ids must be unique across all the loaded files
+ * @param filePath - Path of the rules file
+ * @returns Merged rules, in the order they appear once includes are expanded
+ */
+export function loadRules(filePath: string): Promise<Rule[]>;
@@ -0,0 +1,112 @@
+import path from "node:path";
+import fsp from "node:fs/promises";
+import { tokenize } from "./tokenizer.js";
+import { Parser } from "./parser.js";
+
+/**
+ * @typedef {import("./parser.js").Rule} Rule
+ */
+
+/**
+ * Load rules from a rules file, expanding 'include' directives
+ * Included paths are resolved relative to the including file, and every rule records the file and line it came from
+ * A file included several times (e.g. a base shared by two included files) is loaded once, where it is first included
+ * Rule ids must be unique across all the loaded files
+ * @param {string} filePath - Path of the rules file
+ * @returns {Promise<Rule[]>} Merged rules, in the order they appear once includes are expanded
+ */
+export async function loadRules(filePath) {
+	const rules = await loadRulesFile(path.resolve(filePath), [], new Set(), null);
+
+	// Each file checks its own rule ids, so only ids defined in several files are left to check
+	/** @type {Map<string, Rule>} */
+	const ids = new Map();
+	for (const rule of rules) {
+		if (!rule.id) {
+			continue;
+		}
+		const first = ids.get(rule.id);
+		// The same rule is loaded twice when its file is included both from a profile section and outside one
+		if (first && (first.source?.file !== rule.source?.file || first.source?.line !== rule.source?.line)) {
+			throw new Error(
+				`Duplicate rule id '${rule.id}' at line ${rule.source?.line} in ${rule.source?.file} ` +
+					`(first used at line ${first.source?.line} in ${first.source?.file})`
+			);
+		}
+		ids.set(rule.id, rule);
+	}
+
+	return rules;
+}
+
+/**
+ * Load one rules file and, recursively, the files it includes
+ * @param {string} file - Absolute path of the rules file
+ * @param {string[]} includeStack - Files currently being loaded, outermost first, to detect cycles
+ * @param {Set<string>} loaded - Files already loaded, with the profile their shared rules belong to
+ * @param {string | null} profile - Profile of the section the file is included from, if any
+ * @returns {Promise<Rule[]>}
+ */
+async function loadRulesFile(file, includeStack, loaded, profile) {
+	loaded.add(loadedKey(file, profile));
+	const text = await fsp.readFile(file, "utf-8");
+
+	let parser;
+	let rules;
+	try {
+		parser = new Parser(tokenize(text), { file });
+		rules = parser.parse();
+	} catch (error) {
+		throw new Error(`${error.message} in ${file}`);
+	}
+
+	const stack = [...includeStack, file];
+	const merged = [];
+	let next = 0;
+	for (const include of parser.includes) {
+		merged.push(...rules.slice(next, include.index));
+		next = include.index;
+
+		const includedFile = path.resolve(path.dirname(file), include.path);
+		const position = `at line ${include.line}, column ${include.column} in ${file}`;
+
+		if (stack.includes(includedFile)) {
+			const cycle = [...stack.slice(stack.indexOf(includedFile)), includedFile].join(" -> ");
+			throw new Error(`Include cycle detected: ${cycle} ${position}`);
+		}
+
+		try {
+			await fsp.access(includedFile);
+		} catch {
+			throw new Error(`Included file not found: ${includedFile} ${position}`);
+		}
+
+		// A file already loaded for the same profile adds nothing but duplicates
+		const includedProfile = include.profile || profile;
+		if (loaded.has(loadedKey(includedFile, includedProfile))) {
+			continue;
+		}
+
+		const includedRules = await loadRulesFile(includedFile, stack, loaded, includedProfile);
+		// Shared rules of a file included from a profile section belong to that profile
+		for (const rule of includedRules) {
+			if (!rule.profile && include.profile) {
+				rule.profile = include.profile;
+			}
+		}
+		merged.push(...includedRules);
+	}
+	merged.push(...rules.slice(next));
+
+	return merged;
+}
+
+/**
+ * Key of a loaded file: a file included from a profile section gives other rules than the same file included outside
+ * @param {string} file - Absolute path of the rules file
+ * @param {string | null} profile - Profile the shared rules of the file belong to
+ * @returns {string}
+ */
+function loadedKey(file, profile) {
+	return profile ? `${profile}:${file}` : file;
+}
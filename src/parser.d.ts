@@ -3,12 +3,33 @@ import { Token } from "./tokenizer.js";
 /**
  * Action types supported by the DSL
  */
-export type ActionType = "delete" | "ignore" | "skip";
+export type ActionType = "delete" | "empty" | "truncate" | "archive" | "move" | "ignore" | "skip" | "protect";
+
+/**
+ * Actions that clear matched paths: their targets are collected by the evaluator and handled by execute()
+ */
+export const CLEANUP_ACTIONS: ActionType[];
 
 /**
  * Location modifiers for condition predicates
  */
-export type LocationType = "here" | "parent" | "parents" | "child" | "children" | "sibling";
+export type LocationType = "here" | "parent" | "parents" | "child" | "children" | "sibling" | "root" | "ancestors-or-self";
+
+/**
+ * Kind of filesystem entry a pattern may match
+ * - any: files and directories (default)
+ * - file: regular files only
+ * - dir: directories only (also written as a trailing slash, e.g. `build/`)
+ */
+export type EntryType = "any" | "file" | "dir";
+
+/**
+ * File timestamp compared by age predicates
+ * - mtime: last modification (`modified`, default)
+ * - atime: last access (`accessed`)
+ * - ctime: last status change (`changed`)
+ */
+export type TimeField = "mtime" | "atime" | "ctime";
 
 /**
  * Represents a DSL rule
@@ -18,8 +39,108 @@ export interface Rule {
 	action: ActionType;
 	/** The target pattern (glob) */
 	target: string;
+	/** Kind of entry the target may match (defaults to 'any') */
+	targetType?: EntryType;
 	/** Optional condition for the rule */
 	condition: Condition | null;
+	/** Depth bound of the targets (`at depth <= 2`), counted in path segments below the base directory */
+	depth?: DepthRange | null;
+	/** Patterns of matches the rule spares (`except important.log, audit-*.log`), relative to the directory the rule applies in */
+	except?: string[];
+	/** Optional retention clause of a delete rule (`keep newest 5`) */
+	keep?: Retention | null;
+	/**
+	 * Destination directory of an archive rule (`into .dedust-archive/`) or a move rule (`to .trash/`),
+	 * relative to the directory the rule applies in
+	 */
+	destination?: string | null;
+	/**
+	 * Precedence of the rule (`priority 10`, defaults to 0): when rules conflict on a path, the highest priority wins,
+	 * then the rule defined last. A cleanup rule only overrides an ignore rule with a strictly higher priority.
+	 */
+	priority?: number;
+	/** Profile the rule belongs to (`profile <name>:` section), or null if it is shared by all profiles */
+	profile?: string | null;
+	/** Identifier of the rule (`as rust-target`), unique within its rules file, or null */
+	id?: string | null;
+	/** Human-readable description of the rule (`as rust-target "Cargo build output"`), or null */
+	description?: string | null;
+	/** Tags of the rule (`tags rust, build`), used to select rules with the `tags` option */
+	tags?: string[];
+	/** Where the rule was defined */
+	source?: RuleSource;
+}
+
+/**
+ * Which matches a retention clause keeps
+ * - newest: the most recent timestamps
+ * - oldest: the least recent timestamps
+ * - largest: the biggest entries (directories are measured recursively)
+ */
+export type RetentionOrder = "newest" | "oldest" | "largest";
+
+/**
+ * Value a retention clause sorts matches by
+ */
+export type RetentionKey = TimeField | "size";
+
+/**
+ * Retention clause of a delete rule, e.g. `keep newest 3 by mtime`
+ * The first `count` matches of each anchor directory, in `order`, are not deleted
+ */
+export interface Retention {
+	/** Which matches are kept */
+	order: RetentionOrder;
+	/** Number of matches kept per anchor directory */
+	count: number;
+	/** Value the matches are sorted by */
+	by: RetentionKey;
+}
+
+/**
+ * Inclusive range of depths, e.g. `1..3`; `max` is null when unbounded (`>= 2`)
+ * Depths start at 1: a direct child of the base directory for target depths,
+ * the parent or a direct child of the anchor directory for location depths
+ */
+export interface DepthRange {
+	/** Smallest depth, at least 1 */
+	min: number;
+	/** Largest depth, or null for no limit */
+	max: number | null;
+}
+
+/**
+ * Location of a rule in the DSL text it was parsed from
+ */
+export interface RuleSource {
+	/** Absolute path of the rules file, or null for DSL text */
+	file: string | null;
+	/** Line of the rule's action keyword */
+	line: number;
+}
+
+/**
+ * An 'include' directive recorded by the parser, resolved by loadRules()
+ */
+export interface Include {
+	/** Included path as written, relative to the including file */
+	path: string;
+	/** Number of rules parsed before the directive, i.e. where the included rules are inserted */
+	index: number;
+	/** Profile section the directive appears in, or null */
+	profile: string | null;
+	/** Line of the directive */
+	line: number;
+	/** Column of the directive */
+	column: number;
+}
+
+/**
+ * Options for the parser
+ */
+export interface ParserOptions {
+	/** Path of the rules file being parsed, recorded in each rule's source */
+	file?: string;
 }
 
 /**
@@ -27,27 +148,58 @@ export interface Rule {
  */
 export interface Condition {
 	/** Condition type */
-	type: "and" | "predicate";
-	/** Left predicate for 'and' conditions */
-	left: Predicate | null;
-	/** Right predicate for 'and' conditions */
-	right: Predicate | null;
+	type: "and" | "or" | "predicate";
+	/** Left operand for 'and' / 'or' conditions */
+	left: Expression | null;
+	/** Right operand for 'and' / 'or' conditions */
+	right: Expression | null;
 	/** Single predicate for 'predicate' type */
 	predicate: Predicate | null;
 }
 
 /**
- * Represents a predicate (exists or not)
+ * A node in a condition's boolean expression tree
+ */
+export type Expression = Condition | Predicate;
+
+/**
+ * Represents a predicate (exists, not, environment checks, or a target-level age / size / git check)
  */
 export interface Predicate {
 	/** Predicate type */
-	type: "exists" | "not";
+	type: "exists" | "not" | "age" | "size" | "env" | "platform" | "gitignored" | "tracked";
 	/** Location modifier for 'exists' */
 	location: LocationType;
 	/** Pattern for 'exists' */
 	pattern: string | null;
-	/** Negated predicate for 'not' */
-	negated: Predicate | null;
+	/** Kind of entry the 'exists' pattern may match (defaults to 'any') */
+	patternType?: EntryType;
+	/** Depth bound of a 'parents' / 'children' location (`parents within 2`, `children depth 1..3`) */
+	depth?: DepthRange;
+	/** Smallest number of matches of a quantified 'exists' across its location directories (`at least 20 exists *.dmp`) */
+	minCount?: number;
+	/** Largest number of matches of a quantified 'exists' across its location directories (`no more than 3 exists *.lock`) */
+	maxCount?: number;
+	/** Text that a file matched by 'exists' must contain */
+	containing?: string;
+	/** Negated expression for 'not' */
+	negated: Expression | null;
+	/** Timestamp compared by 'age' predicates */
+	timeField?: TimeField;
+	/** Comparison for 'age' and 'size' predicates */
+	comparison?: "older" | "newer" | "larger" | "smaller";
+	/** Duration in milliseconds for 'age' predicates */
+	duration?: number;
+	/** Reference path (glob, relative to the anchor directory) for 'age' predicates without a duration */
+	reference?: string;
+	/** Size in bytes for 'size' predicates */
+	size?: number;
+	/** Environment variable checked by 'env' predicates */
+	variable?: string;
+	/** Exact value an 'env' predicate requires (`env CI is "true"`); without it the variable must be set and non-empty */
+	value?: string;
+	/** Value of process.platform a 'platform' predicate requires */
+	platform?: string;
 }
 
 /**
@@ -57,8 +209,21 @@ export class Parser {
 	/**
 	 * Create a new parser
 	 * @param tokens - Array of tokens to parse
+	 * @param options - Parser options
 	 */
-	constructor(tokens: Token[]);
+	constructor(tokens: Token[], options?: ParserOptions);
+
+	/** Path of the rules file being parsed, or null for DSL text */
+	file: string | null;
+
+	/** Include directives found by parse(), in order */
+	includes: Include[];
+
+	/** Profile of the section being parsed, or null for rules shared by all profiles */
+	profile: string | null;
+
+	/** Line of the rule defining each rule id, to reject duplicates */
+	ruleIds: Map<string, number>;
 
 	/**
 	 * Get current token without advancing
@@ -75,11 +240,27 @@ export class Parser {
 	 */
 	match(value: string): boolean;
 
+	/**
+	 * Check if current token is the given punctuation, e.g. '(' or '}'
+	 */
+	matchPunctuation(value: string): boolean;
+
 	/**
 	 * Consume a token with expected value or throw error
 	 */
 	expect(value: string): Token;
 
+	/**
+	 * Check if a token can be used as a path pattern
+	 */
+	isPatternToken(token: Token | undefined): boolean;
+
+	/**
+	 * Parse a path pattern with an optional entry type qualifier ('dir' / 'file')
+	 * @param errorMessage - Message used when no pattern is found
+	 */
+	parsePattern(errorMessage: string): { pattern: string; type: EntryType };
+
 	/**
 	 * Parse a location modifier
 	 */
@@ -91,7 +272,62 @@ export class Parser {
 	parsePredicate(): Predicate;
 
 	/**
-	 * Parse a condition (predicate with optional 'and' chains)
+	 * Parse an age predicate: [modified | accessed | changed] (older | newer) than (<duration> | <reference>)
+	 */
+	parseAgePredicate(): Predicate;
+
+	/**
+	 * Check if current tokens start the quantifier of an 'exists' predicate: at least <n> / no more than <n>
+	 */
+	matchQuantifier(): boolean;
+
+	/**
+	 * Parse the quantifier of an 'exists' predicate: at least <n> / no more than <n>
+	 */
+	parseQuantifier(): { minCount: number } | { maxCount: number };
+
+	/**
+	 * Parse a size predicate: (larger | smaller) than <size>
+	 */
+	parseSizePredicate(): Predicate;
+
+	/**
+	 * Check if the current token starts an environment predicate ('env' or 'platform')
+	 */
+	matchEnvironmentPredicate(): boolean;
+
+	/**
+	 * Parse an environment predicate: env <name> [is <value>] or platform <name>
+	 */
+	parseEnvironmentPredicate(): Predicate;
+
+	/**
+	 * Check if the current token is a git predicate ('gitignored' or 'tracked')
+	 */
+	matchGitPredicate(): boolean;
+
+	/**
+	 * Parse a git predicate: gitignored or tracked
+	 */
+	parseGitPredicate(): Predicate;
+
+	/**
+	 * Parse a unary expression: a parenthesized group or a predicate
+	 */
+	parseUnary(): Expression;
+
+	/**
+	 * Parse a chain of expressions joined by 'and'
+	 */
+	parseAnd(): Expression;
+
+	/**
+	 * Parse a chain of expressions joined by 'or' (lowest precedence)
+	 */
+	parseOr(): Expression;
+
+	/**
+	 * Parse a condition (boolean expression of predicates)
 	 */
 	parseCondition(): Condition;
 
@@ -100,12 +336,142 @@ export class Parser {
 	 */
 	parseRule(): Rule | null;
 
+	/**
+	 * Check if current token starts the precedence of a rule, e.g. `priority 10`
+	 */
+	matchPriority(): boolean;
+
+	/**
+	 * Parse the precedence of a rule: priority <n>, where <n> is an integer and may be negative
+	 * @param action - Action of the rule being parsed
+	 */
+	parsePriority(action: ActionType): number;
+
+	/**
+	 * Check if current token starts the metadata ending a rule: as <id> or tags <tag>
+	 */
+	matchMetadata(): boolean;
+
+	/**
+	 * Parse the metadata ending a rule: as <id> ["<description>"] [tags <tag>, <tag>, ...]
+	 * Rule ids are unique within the parsed text
+	 */
+	parseMetadata(): { id: string | null; description: string | null; tags: string[] };
+
+	/**
+	 * Check if current tokens start the exceptions of a rule: except <pattern>
+	 */
+	matchExcept(): boolean;
+
+	/**
+	 * Parse the exceptions of a rule: except <pattern> [, <pattern>]*
+	 * @returns The patterns, without trailing slash
+	 */
+	parseExcept(): string[];
+
+	/**
+	 * Check if current tokens start the depth bound of a rule's targets: at depth <range>
+	 */
+	matchTargetDepth(): boolean;
+
+	/**
+	 * Parse the depth bound of a rule's targets: at depth <range>
+	 */
+	parseTargetDepth(): DepthRange;
+
+	/**
+	 * Check if current token starts the depth bound of a location: within <n> / depth <range>
+	 */
+	matchLocationDepth(): boolean;
+
+	/**
+	 * Parse the depth bound of a location: within <n> (same as depth <= n) or depth <range>
+	 * @param location - The location being bounded, 'parents' or 'children'
+	 */
+	parseLocationDepth(location: LocationType): DepthRange;
+
+	/**
+	 * Parse a depth range: <n>, <min>..<max>, or a comparison such as <= 2
+	 */
+	parseDepthRange(): DepthRange;
+
+	/**
+	 * Parse the number of a depth comparison
+	 */
+	parseDepthNumber(): number;
+
+	/**
+	 * Check that a depth range contains at least one depth (depths start at 1)
+	 * @param range - The parsed range
+	 * @param token - Token the range starts at, for the error position
+	 */
+	checkDepthRange(range: DepthRange, token: Token): DepthRange;
+
+	/**
+	 * Check if current token starts a retention clause, e.g. `keep newest 5`
+	 */
+	matchKeep(): boolean;
+
+	/**
+	 * Parse a retention clause: keep (newest | oldest | largest) <count> [by (mtime | atime | ctime)]
+	 */
+	parseKeep(): Retention;
+
+	/**
+	 * Check if current token starts the destination of an archive or move rule, e.g. `into .dedust-archive/` or `to .trash/`
+	 */
+	matchDestination(): boolean;
+
+	/**
+	 * Parse the destination of an archive or move rule: into <dir> / to <dir>
+	 * @param action - Action of the rule being parsed
+	 * @returns The destination directory, without trailing slash
+	 */
+	parseDestination(action: ActionType): string;
+
+	/**
+	 * Parse a block sharing one condition across several rules, desugared into rules whose
+	 * conditions are AND-ed to the block condition
+	 */
+	parseBlock(outerCondition: Condition | null): Rule[];
+
+	/**
+	 * Parse a statement: a single rule or a 'when' block
+	 */
+	parseStatement(outerCondition?: Condition | null): Rule[];
+
+	/**
+	 * Check if current token starts an include directive
+	 */
+	matchInclude(): boolean;
+
+	/**
+	 * Parse an include directive and record it in `includes`
+	 * @param index - Number of rules parsed before the directive
+	 */
+	parseInclude(index: number): void;
+
+	/**
+	 * Check if current token starts a profile header, e.g. `profile ci:`
+	 */
+	matchProfile(): boolean;
+
+	/**
+	 * Parse a profile header; the rules following it, up to the next header, only apply to that profile
+	 */
+	parseProfile(): void;
+
 	/**
 	 * Parse all rules from tokens
 	 */
 	parse(): Rule[];
 }
 
+/**
+ * Check if a pattern is negated ('!logs/keep.log'), as opposed to starting with an extglob ('!(*.keep)')
+ */
+export function isNegatedPattern(pattern: string): boolean;
+
 /**
  * Parse DSL tokens into rules
  * @param tokens - Array of tokens
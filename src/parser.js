@@ -1,11 +1,146 @@
+import { getCaptureNames } from "./captures.js";
+
 /**
  * @typedef {import("./parser.js").Rule} Rule
  * @typedef {import("./parser.js").Condition} Condition
  * @typedef {import("./parser.js").Predicate} Predicate
+ * @typedef {import("./parser.js").Expression} Expression
  * @typedef {import("./tokenizer.js").Token} Token
  * @typedef {import("./parser.js").ActionType} ActionType
  * @typedef {import("./parser.js").LocationType} LocationType
+ * @typedef {import("./parser.js").EntryType} EntryType
+ * @typedef {import("./parser.js").TimeField} TimeField
+ * @typedef {import("./parser.js").Include} Include
+ * @typedef {import("./parser.js").ParserOptions} ParserOptions
+ * @typedef {import("./parser.js").Retention} Retention
+ * @typedef {import("./parser.js").RetentionOrder} RetentionOrder
+ * @typedef {import("./parser.js").RetentionKey} RetentionKey
+ * @typedef {import("./parser.js").DepthRange} DepthRange
+ */
+
+/**
+ * Keywords that qualify a pattern with the kind of entry it may match
+ */
+const ENTRY_TYPE_KEYWORDS = ["dir", "file"];
+
+/**
+ * Keywords that can follow a pattern, so a qualifier followed by one of them (or by the action starting the next rule)
+ * is the pattern itself: 'delete dir when ...'
+ */
+const PATTERN_FOLLOWING_KEYWORDS = ["when", "and", "or", "containing"];
+
+/**
+ * Keywords selecting which timestamp an age predicate compares
+ * @type {Map<string, TimeField>}
+ */
+const TIME_FIELD_KEYWORDS = new Map([
+	["modified", "mtime"],
+	["accessed", "atime"],
+	["changed", "ctime"],
+]);
+
+/**
+ * Actions a rule may start with
+ * @type {ActionType[]}
+ */
+const ACTIONS = ["delete", "empty", "truncate", "archive", "move", "ignore", "skip", "protect"];
+
+/**
+ * Actions that clear matched paths: their targets are collected by the evaluator and handled by execute()
+ * @type {ActionType[]}
+ */
+export const CLEANUP_ACTIONS = ["delete", "empty", "truncate", "archive", "move"];
+
+/**
+ * Word introducing the destination directory of actions that need one: archive ... into <dir>, move ... to <dir>
+ * @type {Partial<Record<ActionType, string>>}
+ */
+const DESTINATION_WORDS = {
+	archive: "into",
+	move: "to",
+};
+
+/**
+ * Profile names, rule ids and tags: letters, digits, '_' and '-'
+ */
+const NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Kind of entry implied by actions that only apply to one kind
+ * @type {Partial<Record<ActionType, EntryType>>}
+ */
+const IMPLIED_TARGET_TYPES = {
+	empty: "dir",
+	truncate: "file",
+};
+
+/**
+ * Orders of a retention clause ('keep newest 5'), with the key they sort by when no 'by' is given
+ * @type {Map<string, RetentionKey>}
+ */
+const RETENTION_ORDERS = new Map([
+	["newest", "mtime"],
+	["oldest", "mtime"],
+	["largest", "size"],
+]);
+
+/**
+ * Timestamps a 'keep newest' / 'keep oldest' clause may sort by
+ */
+const RETENTION_TIME_KEYS = ["mtime", "atime", "ctime"];
+
+/**
+ * Comparison operators of a depth range (at depth <= 2)
+ */
+const DEPTH_COMPARISONS = ["<", "<=", ">", ">=", "="];
+
+/**
+ * Values of process.platform a 'platform' predicate may name
  */
+const PLATFORMS = ["aix", "android", "cygwin", "darwin", "freebsd", "haiku", "linux", "netbsd", "openbsd", "sunos", "win32"];
+
+/**
+ * Predicates on the git status of the matched target
+ */
+const GIT_PREDICATES = ["gitignored", "tracked"];
+
+/**
+ * Location modifiers a predicate can start with
+ */
+const LOCATIONS = ["here", "parent", "parents", "child", "children", "sibling", "root", "ancestors-or-self"];
+
+/**
+ * Locations whose directories can be bounded by depth (parents within 2, children depth 1..3)
+ */
+const DEPTH_LOCATIONS = ["parents", "children"];
+
+/**
+ * Milliseconds per duration unit
+ * @type {Record<string, number>}
+ */
+const DURATION_UNITS = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Bytes per size unit (lowercase): decimal KB/MB/GB/TB and binary KiB/MiB/GiB/TiB
+ * @type {Record<string, number>}
+ */
+const SIZE_UNITS = {
+	b: 1,
+	kb: 1000,
+	mb: 1000 * 1000,
+	gb: 1000 * 1000 * 1000,
+	tb: 1000 * 1000 * 1000 * 1000,
+	kib: 1024,
+	mib: 1024 * 1024,
+	gib: 1024 * 1024 * 1024,
+	tib: 1024 * 1024 * 1024 * 1024,
+};
 
 /**
  * Parser for the dedust DSL
@@ -14,10 +149,24 @@
 export class Parser {
 	/**
 	 * @param {Token[]} tokens
+	 * @param {ParserOptions} [options]
 	 */
-	constructor(tokens) {
+	constructor(tokens, options = {}) {
 		this.tokens = tokens.filter((t) => t.type !== "comment");
 		this.pos = 0;
+		this.file = options.file || null;
+		/** @type {Include[]} */
+		this.includes = [];
+		/**
+		 * Profile of the section being parsed (null for rules shared by all profiles)
+		 * @type {string | null}
+		 */
+		this.profile = null;
+		/**
+		 * Line of the rule defining each rule id, to reject duplicates
+		 * @type {Map<string, number>}
+		 */
+		this.ruleIds = new Map();
 	}
 
 	/**
@@ -45,6 +194,16 @@ export class Parser {
 		return this.peek()?.value === value;
 	}
 
+	/**
+	 * Check if current token is the given punctuation, e.g. '(' or '}' (a quoted "}" is a string, not punctuation)
+	 * @param {string} value
+	 * @returns {boolean}
+	 */
+	matchPunctuation(value) {
+		const token = this.peek();
+		return token?.type === "punctuation" && token.value === value;
+	}
+
 	/**
 	 * Consume a token with expected value or throw error
 	 * @param {string} value
@@ -58,13 +217,70 @@ export class Parser {
 		return this.advance();
 	}
 
+	/**
+	 * Check if a token can be used as a path pattern
+	 * Keywords only have their meaning where they are expected, so entries named e.g. 'dir', 'archive' or 'root' can
+	 * still be matched. 'when' is never a pattern, so a rule missing its target is reported as such.
+	 * @param {Token | undefined} token
+	 * @returns {boolean}
+	 */
+	isPatternToken(token) {
+		if (["identifier", "string", "number", "duration", "size"].includes(token?.type)) {
+			return true;
+		}
+		return token?.type === "keyword" && token.value !== "when";
+	}
+
+	/**
+	 * Parse a path pattern with an optional entry type qualifier ('dir' / 'file')
+	 * A trailing slash (gitignore-style) also restricts the pattern to directories
+	 * @param {string} errorMessage - Message used when no pattern is found
+	 * @returns {{pattern: string, type: EntryType}}
+	 */
+	parsePattern(errorMessage) {
+		/** @type {EntryType} */
+		let type = "any";
+
+		// The qualifier keyword is only a qualifier when a pattern follows it
+		const token = this.peek();
+		const next = this.tokens[this.pos + 1];
+		if (
+			token?.type === "keyword" &&
+			ENTRY_TYPE_KEYWORDS.includes(token.value) &&
+			this.isPatternToken(next) &&
+			!(next?.type === "keyword" && (PATTERN_FOLLOWING_KEYWORDS.includes(next.value) || ACTIONS.includes(next.value)))
+		) {
+			this.advance();
+			type = /** @type {EntryType} */ (token.value);
+		}
+
+		const patternToken = this.peek();
+		if (!this.isPatternToken(patternToken)) {
+			throw new Error(`${errorMessage} at line ${patternToken?.line}, column ${patternToken?.column}`);
+		}
+		let pattern = this.advance().value;
+
+		// Trailing slash means directory only: 'build/' is the same as 'dir build'
+		if (pattern.length > 1 && pattern.endsWith("/")) {
+			if (type === "file") {
+				throw new Error(
+					`Pattern '${pattern}' ends with '/' but is qualified as 'file' at line ${patternToken.line}, column ${patternToken.column}`
+				);
+			}
+			pattern = pattern.replace(/\/+$/, "");
+			type = "dir";
+		}
+
+		return { pattern, type };
+	}
+
 	/**
 	 * Parse a location modifier
 	 * @returns {LocationType}
 	 */
 	parseLocation() {
 		const token = this.peek();
-		if (token?.type === "keyword" && ["here", "parent", "parents", "child", "children", "sibling"].includes(token.value)) {
+		if (token?.type === "keyword" && LOCATIONS.includes(token.value)) {
 			this.advance();
 			return /** @type {LocationType} */ (token.value);
 		}
@@ -77,81 +293,379 @@ export class Parser {
 	 * @returns {Predicate}
 	 */
 	parsePredicate() {
-		// Check for 'not'
+		// Check for 'not' (binds tighter than 'and' / 'or')
 		if (this.match("not")) {
 			this.advance();
-			const negated = this.parsePredicate();
+			const negated = this.parseUnary();
 			return {
 				type: "not",
 				location: "here",
 				pattern: null,
+				patternType: "any",
 				negated,
 			};
 		}
 
+		// Target-level age predicate
+		if (this.match("older") || this.match("newer") || TIME_FIELD_KEYWORDS.has(this.peek()?.value)) {
+			return this.parseAgePredicate();
+		}
+
+		// Target-level size predicate
+		if (this.match("larger") || this.match("smaller")) {
+			return this.parseSizePredicate();
+		}
+
+		// Environment predicates: env <name> [is <value>], platform <name>
+		if (this.matchEnvironmentPredicate()) {
+			return this.parseEnvironmentPredicate();
+		}
+
+		// Git predicates: gitignored, tracked
+		if (this.matchGitPredicate()) {
+			return this.parseGitPredicate();
+		}
+
+		// Parse optional quantifier: at least <n> / no more than <n>
+		const quantifier = this.matchQuantifier() ? this.parseQuantifier() : null;
+
 		// Parse location modifier (optional)
 		const location = this.parseLocation();
 
+		// Parse optional depth bound of 'parents' / 'children': within <n> or depth <range>
+		const depth = this.matchLocationDepth() ? this.parseLocationDepth(location) : null;
+
 		// Expect 'exists'
 		this.expect("exists");
 
-		// Parse pattern
-		const patternToken = this.peek();
-		if (patternToken?.type !== "identifier" && patternToken?.type !== "string") {
-			throw new Error(`Expected pattern after 'exists' at line ${patternToken?.line}, column ${patternToken?.column}`);
-		}
-		const pattern = this.advance().value;
+		// Parse pattern (with optional 'dir' / 'file' qualifier)
+		const { pattern, type: patternType } = this.parsePattern("Expected pattern after 'exists'");
 
-		return {
+		/** @type {Predicate} */
+		const predicate = {
 			type: "exists",
 			location,
 			pattern,
+			patternType,
 			negated: null,
 		};
+		if (depth) {
+			predicate.depth = depth;
+		}
+		if (quantifier) {
+			Object.assign(predicate, quantifier);
+		}
+
+		// Parse optional content match: containing "<text>"
+		if (this.match("containing")) {
+			const containingToken = this.advance();
+			if (patternType === "dir") {
+				throw new Error(
+					`'containing' cannot be used with a directory pattern at line ${containingToken.line}, column ${containingToken.column}`
+				);
+			}
+			const textToken = this.peek();
+			if (textToken?.type !== "string" && textToken?.type !== "identifier" && textToken?.type !== "number") {
+				throw new Error(`Expected text after 'containing' at line ${textToken?.line}, column ${textToken?.column}`);
+			}
+			predicate.containing = this.advance().value;
+		}
+
+		return predicate;
 	}
 
 	/**
-	 * Parse a condition (predicate with optional 'and' chains)
-	 * @returns {Condition}
+	 * Check if current tokens start the quantifier of an 'exists' predicate: at least <n> / no more than <n>
+	 * None of these words are keywords, so entries with those names can still be matched
+	 * @returns {boolean}
 	 */
-	parseCondition() {
-		const predicates = [this.parsePredicate()];
+	matchQuantifier() {
+		const [token, next, last] = this.tokens.slice(this.pos, this.pos + 3);
+		if (token?.type !== "identifier" || next?.type !== "identifier") {
+			return false;
+		}
+		if (token.value === "at") {
+			return next.value === "least";
+		}
+		return token.value === "no" && next.value === "more" && last?.type === "keyword" && last.value === "than";
+	}
 
-		// Collect all 'and' chained predicates
-		while (this.match("and")) {
+	/**
+	 * Parse the quantifier of an 'exists' predicate: at least <n> / no more than <n>
+	 * @returns {{minCount: number} | {maxCount: number}}
+	 */
+	parseQuantifier() {
+		const atLeast = this.advance().value === "at";
+		this.advance();
+		if (!atLeast) {
 			this.advance();
-			predicates.push(this.parsePredicate());
 		}
+		const words = atLeast ? "at least" : "no more than";
 
-		// Single predicate
-		if (predicates.length === 1) {
+		// 'at least 0' would always hold
+		const countToken = this.peek();
+		if (countToken?.type !== "number" || (atLeast && Number(countToken.value) === 0)) {
+			const expected = atLeast ? "a positive number" : "a number";
+			throw new Error(`Expected ${expected} after '${words}' at line ${countToken?.line}, column ${countToken?.column}`);
+		}
+		this.advance();
+
+		const count = Number(countToken.value);
+		return atLeast ? { minCount: count } : { maxCount: count };
+	}
+
+	/**
+	 * Parse an age predicate: [modified | accessed | changed] (older | newer) than (<duration> | <reference>)
+	 * Age predicates apply to each matched target rather than to the anchor directory.
+	 * With a reference path, the newest timestamp inside the target is compared with the newest
+	 * timestamp inside the reference (resolved relative to the anchor directory).
+	 * @returns {Predicate}
+	 */
+	parseAgePredicate() {
+		/** @type {TimeField} */
+		let timeField = "mtime";
+		const fieldToken = this.peek();
+		if (TIME_FIELD_KEYWORDS.has(fieldToken.value)) {
+			this.advance();
+			timeField = /** @type {TimeField} */ (TIME_FIELD_KEYWORDS.get(fieldToken.value));
+		}
+
+		const comparisonToken = this.peek();
+		if (!this.match("older") && !this.match("newer")) {
+			throw new Error(
+				`Expected 'older' or 'newer' after '${fieldToken.value}' at line ${comparisonToken?.line}, column ${comparisonToken?.column}`
+			);
+		}
+		this.advance();
+		const comparison = /** @type {"older" | "newer"} */ (comparisonToken.value);
+
+		this.expect("than");
+
+		const valueToken = this.peek();
+		if (valueToken?.type !== "duration" && !this.isPatternToken(valueToken)) {
+			throw new Error(
+				`Expected duration (e.g. 14d) or reference path after '${comparison} than' at line ${valueToken?.line}, column ${valueToken?.column}`
+			);
+		}
+		this.advance();
+
+		/** @type {Predicate} */
+		const predicate = {
+			type: "age",
+			location: "here",
+			pattern: null,
+			patternType: "any",
+			negated: null,
+			timeField,
+			comparison,
+		};
+
+		if (valueToken.type === "duration") {
+			predicate.duration = parseDuration(valueToken.value);
+		} else {
+			predicate.reference = valueToken.value;
+		}
+
+		return predicate;
+	}
+
+	/**
+	 * Parse a size predicate: (larger | smaller) than <size>
+	 * Directories are measured recursively; like age predicates, this applies to each matched target
+	 * @returns {Predicate}
+	 */
+	parseSizePredicate() {
+		const comparison = /** @type {"larger" | "smaller"} */ (this.advance().value);
+
+		this.expect("than");
+
+		const sizeToken = this.peek();
+		if (sizeToken?.type !== "size") {
+			throw new Error(`Expected size (e.g. 500MB) after '${comparison} than' at line ${sizeToken?.line}, column ${sizeToken?.column}`);
+		}
+		this.advance();
+
+		return {
+			type: "size",
+			location: "here",
+			pattern: null,
+			patternType: "any",
+			negated: null,
+			comparison,
+			size: parseSize(sizeToken.value),
+		};
+	}
+
+	/**
+	 * Check if the current token starts an environment predicate
+	 * 'env' and 'platform' are not keywords, so they stay usable as patterns (delete env when exists pyvenv.cfg)
+	 * @returns {boolean}
+	 */
+	matchEnvironmentPredicate() {
+		const token = this.peek();
+		return token?.type === "identifier" && (token.value === "env" || token.value === "platform");
+	}
+
+	/**
+	 * Parse an environment predicate: env <name> [is <value>] or platform <name>
+	 * These do not depend on the anchor directory or the matched target
+	 * @returns {Predicate}
+	 */
+	parseEnvironmentPredicate() {
+		const word = this.advance().value;
+		const nameToken = this.peek();
+
+		if (word === "platform") {
+			if (nameToken?.type !== "identifier" && nameToken?.type !== "string") {
+				throw new Error(`Expected platform name after 'platform' at line ${nameToken?.line}, column ${nameToken?.column}`);
+			}
+			if (!PLATFORMS.includes(nameToken.value)) {
+				throw new Error(
+					`Unknown platform '${nameToken.value}' (expected one of ${PLATFORMS.join(", ")}) ` +
+						`at line ${nameToken.line}, column ${nameToken.column}`
+				);
+			}
+			this.advance();
 			return {
-				type: "predicate",
-				left: null,
-				right: null,
-				predicate: predicates[0],
+				type: "platform",
+				location: "here",
+				pattern: null,
+				patternType: "any",
+				negated: null,
+				platform: nameToken.value,
 			};
 		}
 
-		// Multiple predicates - chain them with 'and'
-		// Build from right to left: (a AND (b AND c))
-		let condition = {
+		if (nameToken?.type !== "identifier" && nameToken?.type !== "string") {
+			throw new Error(`Expected environment variable name after 'env' at line ${nameToken?.line}, column ${nameToken?.column}`);
+		}
+		this.advance();
+
+		/** @type {Predicate} */
+		const predicate = {
+			type: "env",
+			location: "here",
+			pattern: null,
+			patternType: "any",
+			negated: null,
+			variable: nameToken.value,
+		};
+
+		// Optional exact value: is "<value>"
+		const isToken = this.peek();
+		if (isToken?.type === "identifier" && isToken.value === "is") {
+			this.advance();
+			const valueToken = this.peek();
+			if (valueToken?.type !== "string" && valueToken?.type !== "identifier" && valueToken?.type !== "number") {
+				throw new Error(`Expected value after 'is' at line ${valueToken?.line}, column ${valueToken?.column}`);
+			}
+			predicate.value = this.advance().value;
+		}
+
+		return predicate;
+	}
+
+	/**
+	 * Check if the current token is a git predicate ('gitignored' or 'tracked')
+	 * Neither is a keyword, so both stay usable as patterns
+	 * @returns {boolean}
+	 */
+	matchGitPredicate() {
+		const token = this.peek();
+		return token?.type === "identifier" && GIT_PREDICATES.includes(token.value);
+	}
+
+	/**
+	 * Parse a git predicate: gitignored or tracked
+	 * Like age and size predicates, these check the matched target
+	 * @returns {Predicate}
+	 */
+	parseGitPredicate() {
+		return {
+			type: /** @type {"gitignored" | "tracked"} */ (this.advance().value),
+			location: "here",
+			pattern: null,
+			patternType: "any",
+			negated: null,
+		};
+	}
+
+	/**
+	 * Parse a unary expression: a parenthesized group or a predicate
+	 * @returns {Expression}
+	 */
+	parseUnary() {
+		if (this.matchPunctuation("(")) {
+			this.advance();
+			const expression = this.parseOr();
+			this.expect(")");
+			return expression;
+		}
+
+		return this.parsePredicate();
+	}
+
+	/**
+	 * Parse a chain of expressions joined by 'and'
+	 * Chains are built from right to left: (a AND (b AND c))
+	 * @returns {Expression}
+	 */
+	parseAnd() {
+		const left = this.parseUnary();
+
+		if (!this.match("and")) {
+			return left;
+		}
+		this.advance();
+
+		return {
 			type: "and",
-			left: predicates[predicates.length - 2],
-			right: predicates[predicates.length - 1],
+			left,
+			right: this.parseAnd(),
 			predicate: null,
 		};
+	}
 
-		for (let i = predicates.length - 3; i >= 0; i--) {
-			condition = {
-				type: "and",
-				left: predicates[i],
-				right: /** @type {Predicate} */ (/** @type {unknown} */ (condition)),
-				predicate: null,
+	/**
+	 * Parse a chain of expressions joined by 'or' (lowest precedence)
+	 * Chains are built from right to left: (a OR (b OR c))
+	 * @returns {Expression}
+	 */
+	parseOr() {
+		const left = this.parseAnd();
+
+		if (!this.match("or")) {
+			return left;
+		}
+		this.advance();
+
+		return {
+			type: "or",
+			left,
+			right: this.parseOr(),
+			predicate: null,
+		};
+	}
+
+	/**
+	 * Parse a condition (boolean expression of predicates)
+	 * Precedence from highest to lowest: 'not', 'and', 'or'
+	 * @returns {Condition}
+	 */
+	parseCondition() {
+		const expression = this.parseOr();
+
+		// Single predicate - wrap it so the rule always holds a Condition
+		if (expression.type !== "and" && expression.type !== "or") {
+			return {
+				type: "predicate",
+				left: null,
+				right: null,
+				predicate: /** @type {Predicate} */ (expression),
 			};
 		}
 
-		return condition;
+		return /** @type {Condition} */ (expression);
 	}
 
 	/**
@@ -166,53 +680,703 @@ export class Parser {
 			return null;
 		}
 
-		// Parse action ('delete', 'ignore', or 'skip')
-		if (!this.match("delete") && !this.match("ignore") && !this.match("skip")) {
-			throw new Error(`Expected 'delete', 'ignore', or 'skip' action at line ${token?.line}, column ${token?.column}`);
+		// Parse action
+		if (!ACTIONS.some((action) => this.match(action))) {
+			throw new Error(
+				`Expected 'delete', 'empty', 'truncate', 'archive', 'move', 'ignore', 'skip', or 'protect' action ` +
+					`at line ${token?.line}, column ${token?.column}`
+			);
 		}
 		const actionToken = this.advance();
 		const action = /** @type {ActionType} */ (actionToken.value);
 
 		// Parse target
+		// Note: only delete, empty, truncate, archive and move targets support the 'dir' / 'file' qualifier and trailing slash
+		let target;
+		/** @type {EntryType} */
+		let targetType = "any";
 		const targetToken = this.peek();
-		if (targetToken?.type !== "identifier" && targetToken?.type !== "string") {
-			throw new Error(`Expected target pattern at line ${targetToken?.line}, column ${targetToken?.column}`);
+		if (CLEANUP_ACTIONS.includes(action)) {
+			({ pattern: target, type: targetType } = this.parsePattern("Expected target pattern"));
+
+			// 'empty' clears a directory and 'truncate' clears a file, so each implies the kind of entry
+			const impliedType = IMPLIED_TARGET_TYPES[action];
+			if (impliedType) {
+				if (targetType !== "any" && targetType !== impliedType) {
+					const kind = impliedType === "dir" ? "directories" : "files";
+					throw new Error(`'${action}' only applies to ${kind} at line ${targetToken?.line}, column ${targetToken?.column}`);
+				}
+				targetType = impliedType;
+			}
+		} else {
+			if (!this.isPatternToken(targetToken)) {
+				throw new Error(`Expected target pattern at line ${targetToken?.line}, column ${targetToken?.column}`);
+			}
+			target = this.advance().value;
+		}
+
+		// '!pattern' re-includes paths matched by earlier ignore / skip patterns ('!(...)' is an extglob, not a negation)
+		if (isNegatedPattern(target) && action !== "ignore" && action !== "skip") {
+			throw new Error(
+				`'!' re-inclusion is only supported on 'ignore' and 'skip' rules at line ${targetToken.line}, column ${targetToken.column}`
+			);
+		}
+
+		// Parse optional depth bound of the targets
+		/** @type {DepthRange | null} */
+		let depth = null;
+		if (this.matchTargetDepth()) {
+			if (!CLEANUP_ACTIONS.includes(action)) {
+				const atToken = this.peek();
+				throw new Error(`'at depth' is not supported on '${action}' rules at line ${atToken?.line}, column ${atToken?.column}`);
+			}
+			depth = this.parseTargetDepth();
+		}
+
+		// Parse optional exceptions: except <pattern>, <pattern>, ...
+		/** @type {string[]} */
+		let except = [];
+		if (this.matchExcept()) {
+			if (!CLEANUP_ACTIONS.includes(action)) {
+				const exceptToken = this.peek();
+				throw new Error(`'except' is not supported on '${action}' rules at line ${exceptToken?.line}, column ${exceptToken?.column}`);
+			}
+			except = this.parseExcept();
 		}
-		const target = this.advance().value;
 
-		// Parse optional condition (only delete rules support conditions)
-		// Note: skip and ignore actions do not support conditions
+		// Parse optional retention clause
+		/** @type {Retention | null} */
+		let keep = null;
+		if (this.matchKeep()) {
+			if (action !== "delete") {
+				const keepToken = this.peek();
+				throw new Error(`'keep' is only supported on 'delete' rules at line ${keepToken?.line}, column ${keepToken?.column}`);
+			}
+			keep = this.parseKeep();
+		}
+
+		// Parse optional precedence, which may also follow the condition
+		let priority = this.matchPriority() ? this.parsePriority(action) : null;
+
+		// Parse the destination of an archive or move rule, which may also follow the condition
+		let destination = this.matchDestination() ? this.parseDestination(action) : null;
+
+		// Parse optional condition
 		let condition = null;
-		if (action === "delete" && this.match("when")) {
-			this.advance();
+		if (this.match("when")) {
+			const start = this.pos;
+			const whenToken = this.advance();
 			condition = this.parseCondition();
+
+			if (this.matchPunctuation("{")) {
+				// The condition opens a block, so it starts the next statement rather than ending this rule:
+				// delete dist
+				// when exists package.json { ... }
+				this.pos = start;
+				condition = null;
+			} else if (action === "protect") {
+				// A protected path must stay protected whatever the state of the tree
+				throw new Error(`'protect' rules do not support conditions at line ${whenToken.line}, column ${whenToken.column}`);
+			} else {
+				checkConditionCaptures(target, condition, whenToken);
+			}
 		}
+		if (destination === null && this.matchDestination()) {
+			destination = this.parseDestination(action);
+		}
+		if (priority === null && this.matchPriority()) {
+			priority = this.parsePriority(action);
+		}
+		const destinationWord = DESTINATION_WORDS[action];
+		if (destinationWord && destination === null) {
+			throw new Error(
+				`'${action}' rules need a destination ('${destinationWord} <dir>') at line ${actionToken.line}, column ${actionToken.column}`
+			);
+		}
+
+		// Parse optional metadata: as <id> ["<description>"] [tags <tag>, <tag>, ...]
+		const { id, description, tags } = this.matchMetadata() ? this.parseMetadata() : { id: null, description: null, tags: [] };
 
 		return {
 			action,
 			target,
+			targetType,
 			condition,
+			depth,
+			except,
+			keep,
+			destination,
+			priority: priority || 0,
+			profile: this.profile,
+			id,
+			description,
+			tags,
+			source: { file: this.file, line: actionToken.line },
 		};
 	}
 
+	/**
+	 * Check if current token starts the precedence of a rule, e.g. `priority 10`
+	 * 'priority' is not a keyword, so entries named 'priority' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchPriority() {
+		const token = this.peek();
+		return token?.type === "identifier" && token.value === "priority";
+	}
+
+	/**
+	 * Parse the precedence of a rule: priority <n>, where <n> is an integer and may be negative
+	 * When rules conflict on a path, the highest priority wins, then the rule defined last
+	 * @param {ActionType} action - Action of the rule being parsed
+	 * @returns {number}
+	 */
+	parsePriority(action) {
+		const priorityToken = this.advance();
+		if (action === "protect") {
+			throw new Error(
+				`'priority' is not supported on 'protect' rules, which always apply at line ${priorityToken.line}, column ${priorityToken.column}`
+			);
+		}
+		const token = this.peek();
+		if (token?.type !== "number" && !(token?.type === "identifier" && /^-\d+$/.test(token.value))) {
+			throw new Error(`Expected a number after 'priority' at line ${token?.line}, column ${token?.column}`);
+		}
+		return Number(this.advance().value);
+	}
+
+	/**
+	 * Check if current token starts the metadata ending a rule: as <id> or tags <tag>
+	 * 'as' and 'tags' are not keywords, so entries with those names can still be targeted
+	 * @returns {boolean}
+	 */
+	matchMetadata() {
+		const token = this.peek();
+		return token?.type === "identifier" && (token.value === "as" || token.value === "tags");
+	}
+
+	/**
+	 * Parse the metadata ending a rule: as <id> ["<description>"] [tags <tag>, <tag>, ...]
+	 * Rule ids are unique within the parsed text
+	 * @returns {{id: string | null, description: string | null, tags: string[]}}
+	 */
+	parseMetadata() {
+		let id = null;
+		let description = null;
+		const tags = [];
+
+		if (this.peek().value === "as") {
+			this.advance();
+			const idToken = this.peek();
+			if ((idToken?.type !== "identifier" && idToken?.type !== "number") || !NAME_REGEX.test(idToken.value)) {
+				throw new Error(`Expected rule id after 'as' at line ${idToken?.line}, column ${idToken?.column}`);
+			}
+			const line = this.ruleIds.get(idToken.value);
+			if (line !== undefined) {
+				throw new Error(
+					`Duplicate rule id '${idToken.value}' (first used at line ${line}) at line ${idToken.line}, column ${idToken.column}`
+				);
+			}
+			this.ruleIds.set(idToken.value, idToken.line);
+			id = this.advance().value;
+
+			if (this.peek()?.type === "string") {
+				description = this.advance().value;
+			}
+		}
+
+		const tagsToken = this.peek();
+		if (tagsToken?.type === "identifier" && tagsToken.value === "tags") {
+			let separator = this.advance();
+			for (;;) {
+				const tagToken = this.peek();
+				if ((tagToken?.type !== "identifier" && tagToken?.type !== "number") || !NAME_REGEX.test(tagToken.value)) {
+					throw new Error(`Expected tag after '${separator.value}' at line ${tagToken?.line}, column ${tagToken?.column}`);
+				}
+				const tag = this.advance().value;
+				if (!tags.includes(tag)) {
+					tags.push(tag);
+				}
+				if (!this.matchPunctuation(",")) {
+					break;
+				}
+				separator = this.advance();
+			}
+		}
+
+		return { id, description, tags };
+	}
+
+	/**
+	 * Check if current tokens start the exceptions of a rule: except <pattern>
+	 * 'except' is not a keyword, so entries named 'except' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchExcept() {
+		const token = this.peek();
+		return token?.type === "identifier" && token.value === "except";
+	}
+
+	/**
+	 * Parse the exceptions of a rule: except <pattern> [, <pattern>]*
+	 * @returns {string[]} - The patterns, without trailing slash
+	 */
+	parseExcept() {
+		let separator = this.advance();
+		const patterns = [];
+		for (;;) {
+			const token = this.peek();
+			if (!this.isPatternToken(token)) {
+				throw new Error(`Expected pattern after '${separator.value}' at line ${token?.line}, column ${token?.column}`);
+			}
+			const pattern = this.advance().value;
+			patterns.push(pattern.length > 1 && pattern.endsWith("/") ? pattern.slice(0, -1) : pattern);
+			if (!this.matchPunctuation(",")) {
+				return patterns;
+			}
+			separator = this.advance();
+		}
+	}
+
+	/**
+	 * Check if current tokens start the depth bound of a rule's targets: at depth <range>
+	 * 'at' and 'depth' are not keywords, so entries named 'at' or 'depth' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchTargetDepth() {
+		const token = this.peek();
+		const next = this.tokens[this.pos + 1];
+		return token?.type === "identifier" && token.value === "at" && next?.type === "identifier" && next.value === "depth";
+	}
+
+	/**
+	 * Parse the depth bound of a rule's targets: at depth <range>
+	 * The depth of a target is its number of path segments below the base directory
+	 * @returns {DepthRange}
+	 */
+	parseTargetDepth() {
+		this.advance();
+		this.advance();
+		return this.parseDepthRange();
+	}
+
+	/**
+	 * Check if current token starts the depth bound of a location: within <n> / depth <range>
+	 * @returns {boolean}
+	 */
+	matchLocationDepth() {
+		const token = this.peek();
+		return token?.type === "identifier" && (token.value === "within" || token.value === "depth");
+	}
+
+	/**
+	 * Parse the depth bound of a location: within <n> (same as depth <= n) or depth <range>
+	 * Depths count directory levels from the anchor directory: 1 is the parent for 'parents' and a direct child for 'children'
+	 * @param {LocationType} location - The location being bounded
+	 * @returns {DepthRange}
+	 */
+	parseLocationDepth(location) {
+		const wordToken = this.advance();
+		if (!DEPTH_LOCATIONS.includes(location)) {
+			throw new Error(
+				`'${wordToken.value}' is only supported after 'parents' or 'children' at line ${wordToken.line}, column ${wordToken.column}`
+			);
+		}
+		if (wordToken.value === "within") {
+			const token = this.peek();
+			return this.checkDepthRange({ min: 1, max: this.parseDepthNumber() }, token);
+		}
+		return this.parseDepthRange();
+	}
+
+	/**
+	 * Parse a depth range: <n>, <min>..<max>, or a comparison such as <= 2
+	 * @returns {DepthRange}
+	 */
+	parseDepthRange() {
+		const token = this.peek();
+
+		if (token?.type === "punctuation" && DEPTH_COMPARISONS.includes(token.value)) {
+			this.advance();
+			const depth = this.parseDepthNumber();
+			switch (token.value) {
+				case "<":
+					return this.checkDepthRange({ min: 1, max: depth - 1 }, token);
+				case "<=":
+					return this.checkDepthRange({ min: 1, max: depth }, token);
+				case ">":
+					return this.checkDepthRange({ min: depth + 1, max: null }, token);
+				case ">=":
+					return this.checkDepthRange({ min: depth, max: null }, token);
+				default:
+					return this.checkDepthRange({ min: depth, max: depth }, token);
+			}
+		}
+
+		const range = token?.type === "identifier" || token?.type === "number" ? /^(\d+)(?:\.\.(\d+))?$/.exec(token.value) : null;
+		if (!range) {
+			throw new Error(`Expected depth (e.g. 2, 1..3 or <= 2) at line ${token?.line}, column ${token?.column}`);
+		}
+		this.advance();
+		const min = Number(range[1]);
+		return this.checkDepthRange({ min, max: range[2] === undefined ? min : Number(range[2]) }, token);
+	}
+
+	/**
+	 * Parse the number of a depth comparison
+	 * @returns {number}
+	 */
+	parseDepthNumber() {
+		const token = this.peek();
+		if (token?.type !== "number") {
+			throw new Error(`Expected depth (e.g. 2, 1..3 or <= 2) at line ${token?.line}, column ${token?.column}`);
+		}
+		this.advance();
+		return Number(token.value);
+	}
+
+	/**
+	 * Check that a depth range contains at least one depth (depths start at 1)
+	 * @param {DepthRange} range
+	 * @param {Token} token - Token the range starts at, for the error position
+	 * @returns {DepthRange}
+	 */
+	checkDepthRange(range, token) {
+		if (range.min < 1 || (range.max !== null && range.max < range.min)) {
+			throw new Error(`Depth range matches no depth (depths start at 1) at line ${token.line}, column ${token.column}`);
+		}
+		return range;
+	}
+
+	/**
+	 * Check if current token starts a retention clause
+	 * 'keep' is not a keyword, so entries named 'keep' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchKeep() {
+		const token = this.peek();
+		return token?.type === "identifier" && token.value === "keep";
+	}
+
+	/**
+	 * Parse a retention clause: keep (newest | oldest | largest) <count> [by (mtime | atime | ctime)]
+	 * @returns {Retention}
+	 */
+	parseKeep() {
+		this.advance();
+
+		const orderToken = this.peek();
+		if (orderToken?.type !== "identifier" || !RETENTION_ORDERS.has(orderToken.value)) {
+			throw new Error(`Expected 'newest', 'oldest', or 'largest' after 'keep' at line ${orderToken?.line}, column ${orderToken?.column}`);
+		}
+		this.advance();
+		const order = /** @type {RetentionOrder} */ (orderToken.value);
+
+		const countToken = this.peek();
+		if (countToken?.type !== "number" || Number(countToken.value) === 0) {
+			throw new Error(`Expected a positive number of entries to keep at line ${countToken?.line}, column ${countToken?.column}`);
+		}
+		this.advance();
+
+		let by = /** @type {RetentionKey} */ (RETENTION_ORDERS.get(order));
+		const byToken = this.peek();
+		if (byToken?.type === "identifier" && byToken.value === "by") {
+			this.advance();
+			const keyToken = this.peek();
+			// Only the age orders can pick a timestamp; 'largest' always sorts by size
+			if (order === "largest" || keyToken?.type !== "identifier" || !RETENTION_TIME_KEYS.includes(keyToken.value)) {
+				const expected = order === "largest" ? "'largest' always sorts by size" : "Expected 'mtime', 'atime', or 'ctime' after 'by'";
+				throw new Error(`${expected} at line ${keyToken?.line}, column ${keyToken?.column}`);
+			}
+			this.advance();
+			by = /** @type {RetentionKey} */ (keyToken.value);
+		}
+
+		return { order, count: Number(countToken.value), by };
+	}
+
+	/**
+	 * Check if current token starts the destination of an archive or move rule
+	 * 'into' and 'to' are not keywords, so entries named 'into' or 'to' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchDestination() {
+		const token = this.peek();
+		return token?.type === "identifier" && Object.values(DESTINATION_WORDS).includes(token.value);
+	}
+
+	/**
+	 * Parse the destination of an archive or move rule: into <dir> / to <dir>
+	 * @param {ActionType} action - Action of the rule being parsed
+	 * @returns {string} - The destination directory, without trailing slash
+	 */
+	parseDestination(action) {
+		const wordToken = this.advance();
+		if (DESTINATION_WORDS[action] !== wordToken.value) {
+			const owner = wordToken.value === DESTINATION_WORDS.archive ? "archive" : "move";
+			throw new Error(`'${wordToken.value}' is only supported on '${owner}' rules at line ${wordToken.line}, column ${wordToken.column}`);
+		}
+
+		const dirToken = this.peek();
+		if (dirToken?.type !== "identifier" && dirToken?.type !== "string" && dirToken?.type !== "number") {
+			throw new Error(
+				`Expected destination directory after '${wordToken.value}' at line ${dirToken?.line}, column ${dirToken?.column}`
+			);
+		}
+		this.advance();
+
+		// 'archive/' and 'archive' are the same directory
+		return dirToken.value.length > 1 ? dirToken.value.replace(/\/+$/, "") : dirToken.value;
+	}
+
+	/**
+	 * Parse a block sharing one condition across several rules, e.g. when exists package.json { delete dist; delete coverage }
+	 * The block is desugared: each inner rule's condition is AND-ed to the block condition.
+	 * All rules of a block reference the same block condition node, so it can be evaluated once per directory.
+	 * @param {Condition | null} outerCondition - Condition of the enclosing block, if nested
+	 * @returns {Rule[]}
+	 */
+	parseBlock(outerCondition) {
+		const whenToken = this.expect("when");
+		const blockCondition = combineConditions(outerCondition, this.parseCondition());
+		this.expect("{");
+
+		const rules = [];
+		while (!this.matchPunctuation("}")) {
+			const token = this.peek();
+			if (token?.type === "eof") {
+				throw new Error(`Unterminated block: expected '}' for 'when' at line ${whenToken.line}, column ${whenToken.column}`);
+			}
+			rules.push(...this.parseStatement(blockCondition));
+		}
+		this.advance();
+
+		return rules;
+	}
+
+	/**
+	 * Parse a statement: a single rule or a 'when' block, with an optional ';' separator
+	 * @param {Condition | null} [outerCondition] - Condition of the enclosing block, if any
+	 * @returns {Rule[]}
+	 */
+	parseStatement(outerCondition = null) {
+		let rules;
+
+		if (this.matchInclude() || this.matchProfile()) {
+			const token = this.peek();
+			throw new Error(`'${token.value}' must be at the top level of a rules file at line ${token.line}, column ${token.column}`);
+		}
+
+		if (this.match("when")) {
+			rules = this.parseBlock(outerCondition);
+		} else {
+			const token = this.peek();
+			const rule = this.parseRule();
+			rules = rule ? [rule] : [];
+
+			if (rule && outerCondition) {
+				// Note: protect rules do not support conditions
+				if (rule.action === "protect") {
+					throw new Error(`'${rule.action}' rules cannot be used inside a 'when' block at line ${token?.line}, column ${token?.column}`);
+				}
+				rule.condition = combineConditions(outerCondition, rule.condition);
+				checkConditionCaptures(rule.target, outerCondition, token);
+			}
+		}
+
+		// Rules may be separated by ';', e.g. inside a one-line block
+		while (this.matchPunctuation(";")) {
+			this.advance();
+		}
+
+		return rules;
+	}
+
+	/**
+	 * Check if current token starts an include directive
+	 * 'include' is not a keyword, so directories named 'include' can still be targeted
+	 * @returns {boolean}
+	 */
+	matchInclude() {
+		const token = this.peek();
+		return token?.type === "identifier" && token.value === "include";
+	}
+
+	/**
+	 * Parse an include directive, e.g. include ./shared/node.rules
+	 * The included file is not read here: the directive is recorded in `includes` with the position
+	 * its rules are spliced in at, so that the caller (see loadRules) resolves it
+	 * @param {number} index - Number of rules parsed before the directive
+	 */
+	parseInclude(index) {
+		const includeToken = this.advance();
+		const pathToken = this.peek();
+		if (pathToken?.type !== "identifier" && pathToken?.type !== "string" && pathToken?.type !== "number") {
+			throw new Error(`Expected file path after 'include' at line ${pathToken?.line}, column ${pathToken?.column}`);
+		}
+		this.advance();
+
+		this.includes.push({
+			path: pathToken.value,
+			index,
+			profile: this.profile,
+			line: includeToken.line,
+			column: includeToken.column,
+		});
+
+		while (this.matchPunctuation(";")) {
+			this.advance();
+		}
+	}
+
+	/**
+	 * Check if current token starts a profile header, e.g. profile ci:
+	 * Like 'include', 'profile' is not a keyword: it only starts a header when followed by a name and ':'
+	 * @returns {boolean}
+	 */
+	matchProfile() {
+		const token = this.peek();
+		const next = this.tokens[this.pos + 2];
+		return token?.type === "identifier" && token.value === "profile" && next?.type === "punctuation" && next.value === ":";
+	}
+
+	/**
+	 * Parse a profile header: the rules following it, up to the next header, only apply to that profile
+	 */
+	parseProfile() {
+		this.advance();
+		const nameToken = this.peek();
+		if ((nameToken?.type !== "identifier" && nameToken?.type !== "number") || !NAME_REGEX.test(nameToken.value)) {
+			throw new Error(`Expected profile name after 'profile' at line ${nameToken?.line}, column ${nameToken?.column}`);
+		}
+		this.advance();
+		this.expect(":");
+		this.profile = nameToken.value;
+	}
+
 	/**
 	 * Parse all rules from tokens
+	 * Include directives are collected in `includes`, not expanded
 	 * @returns {Rule[]}
 	 */
 	parse() {
 		const rules = [];
 
 		while (this.peek()?.type !== "eof") {
-			const rule = this.parseRule();
-			if (rule) {
-				rules.push(rule);
+			if (this.matchPunctuation("}")) {
+				const token = this.peek();
+				throw new Error(`Unexpected '}' without a matching block at line ${token?.line}, column ${token?.column}`);
+			}
+			if (this.matchInclude()) {
+				this.parseInclude(rules.length);
+				continue;
 			}
+			if (this.matchProfile()) {
+				this.parseProfile();
+				continue;
+			}
+			rules.push(...this.parseStatement());
 		}
 
 		return rules;
 	}
 }
 
+/**
+ * Check if a pattern is negated ('!logs/keep.log'), as opposed to starting with an extglob ('!(*.keep)')
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isNegatedPattern(pattern) {
+	return pattern.startsWith("!") && !pattern.startsWith("!(");
+}
+
+/**
+ * AND a rule's own condition to the condition of its enclosing block
+ * The outer node is shared, not copied, so the evaluator can reuse its result per directory
+ * @param {Condition | null} outer
+ * @param {Condition | null} inner
+ * @returns {Condition | null}
+ */
+function combineConditions(outer, inner) {
+	if (!outer || !inner) {
+		return outer || inner;
+	}
+	return {
+		type: "and",
+		left: outer,
+		right: inner,
+		predicate: null,
+	};
+}
+
+/**
+ * Check that every capture used in a condition is defined by the target, e.g. delete {name}.o when exists {name}.c
+ * 'containing' text is not checked: it is matched literally, with only the captures of the target substituted
+ * @param {string} target
+ * @param {Condition} condition
+ * @param {Token | undefined} token - Token to report the error position at
+ */
+function checkConditionCaptures(target, condition, token) {
+	const targetCaptures = getCaptureNames(target);
+	for (const pattern of collectConditionPatterns(condition)) {
+		for (const name of getCaptureNames(pattern)) {
+			if (!targetCaptures.includes(name)) {
+				throw new Error(
+					`Unknown capture '{${name}}' in condition: it is not defined by target '${target}' at line ${token?.line}, column ${token?.column}`
+				);
+			}
+		}
+	}
+}
+
+/**
+ * Collect every pattern used in a condition (exists patterns and reference paths)
+ * @param {Expression} expression
+ * @returns {string[]}
+ */
+function collectConditionPatterns(expression) {
+	switch (expression.type) {
+		case "and":
+		case "or":
+			return [
+				...(expression.left ? collectConditionPatterns(expression.left) : []),
+				...(expression.right ? collectConditionPatterns(expression.right) : []),
+			];
+		case "predicate":
+			return expression.predicate ? collectConditionPatterns(expression.predicate) : [];
+		case "not":
+			return expression.negated ? collectConditionPatterns(expression.negated) : [];
+		default: {
+			const predicate = /** @type {Predicate} */ (expression);
+			return [predicate.pattern, predicate.reference].filter((value) => typeof value === "string");
+		}
+	}
+}
+
+/**
+ * Convert a duration literal (e.g. 14d, 1.5h) into milliseconds
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+	const unit = value[value.length - 1];
+	return parseFloat(value.slice(0, -1)) * DURATION_UNITS[unit];
+}
+
+/**
+ * Convert a size literal (e.g. 500MB, 1.5GiB) into bytes
+ * @param {string} value
+ * @returns {number}
+ */
+function parseSize(value) {
+	const match = /^([\d.]+)(.*)$/.exec(value);
+	if (!match) {
+		return NaN;
+	}
+	return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
 /**
  * Parse DSL tokens into rules
  * @param {Token[]} tokens
@@ -220,5 +1384,13 @@ export class Parser {
  */
 export function parse(tokens) {
 	const parser = new Parser(tokens);
-	return parser.parse();
+	const rules = parser.parse();
+
+	// Includes are resolved relative to the including file, so plain DSL text cannot use them
+	if (parser.includes.length > 0) {
+		const include = parser.includes[0];
+		throw new Error(`'include' is only supported in rules files loaded with loadRules() at line ${include.line}, column ${include.column}`);
+	}
+
+	return rules;
 }
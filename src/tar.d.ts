@@ -0,0 +1,43 @@
+/**
+ * An entry of a tarball written by dedust
+ */
+export interface ArchiveEntry {
+	/** Name in the tarball, relative to the archived base directory; directories end with '/' */
+	name: string;
+	/** Kind of entry */
+	type: "file" | "dir" | "symlink";
+	/** Size of the content in bytes (0 for directories and links) */
+	size: number;
+	/** Permission bits */
+	mode: number;
+	/** Owner user id (0 if too large for the header) */
+	uid: number;
+	/** Owner group id (0 if too large for the header) */
+	gid: number;
+	/** Modification time in seconds since the epoch */
+	mtime: number;
+	/** Target of a symbolic link */
+	linkname?: string;
+	/** SHA-256 of the content of a file, hex encoded */
+	hash?: string;
+	/** Path the entry was read from, when writing */
+	path?: string;
+}
+
+/**
+ * Pack paths into a new gzipped tarball in a directory, then read the tarball back to verify it
+ * The tarball is named after the current time (dedust-20240102T030405Z.tar.gz), with a counter if the name is taken.
+ * Entries are stored relative to `baseDir`; symbolic links are stored as links, not followed.
+ * The tarball is removed again if writing or verifying it fails.
+ * @param destination - Directory to create the tarball in (must exist)
+ * @param baseDir - Directory the entry names are relative to
+ * @param paths - Files and directories to pack, recursively
+ * @returns Path of the verified tarball
+ */
+export function createArchive(destination: string, baseDir: string, paths: string[]): Promise<string>;
+
+/**
+ * List the entries of a gzipped tarball, hashing the content of each file
+ * @param archivePath - The tarball to read
+ */
+export function readArchive(archivePath: string): Promise<ArchiveEntry[]>;
@@ -0,0 +1,464 @@
+import path from "node:path";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { Readable, pipeline } from "node:stream";
+import { promisify } from "node:util";
+import { createGzip, createGunzip } from "node:zlib";
+
+/**
+ * @typedef {import("./tar.js").ArchiveEntry} ArchiveEntry
+ */
+
+const pipelineAsync = promisify(pipeline);
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Largest size that fits the 11 octal digits of a ustar header, larger files get a pax 'size' record
+ */
+const MAX_OCTAL_SIZE = 0o77777777777;
+
+/**
+ * Largest uid / gid that fits the 7 octal digits of a ustar header, larger ids are written as 0
+ */
+const MAX_OCTAL_ID = 0o7777777;
+
+/**
+ * ustar type flags of the entries written by dedust
+ */
+const TYPE_FLAGS = {
+	file: "0",
+	dir: "5",
+	symlink: "2",
+};
+
+/**
+ * Pack paths into a new gzipped tarball in a directory, then read the tarball back to verify it
+ * The tarball is named after the current time (dedust-20240102T030405Z.tar.gz), with a counter if the name is taken.
+ * Entries are stored relative to `baseDir`; symbolic links are stored as links, not followed.
+ * The tarball is removed again if writing or verifying it fails.
+ * @param {string} destination - Directory to create the tarball in (must exist)
+ * @param {string} baseDir - Directory the entry names are relative to
+ * @param {string[]} paths - Files and directories to pack, recursively
+ * @returns {Promise<string>} - Path of the verified tarball
+ */
+export async function createArchive(destination, baseDir, paths) {
+	/** @type {ArchiveEntry[]} */
+	const entries = [];
+	for (const filePath of paths) {
+		await collectEntries(filePath, baseDir, entries);
+	}
+
+	const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+	for (let attempt = 1; ; attempt++) {
+		const archivePath = path.join(destination, `dedust-${stamp}${attempt > 1 ? `-${attempt}` : ""}.tar.gz`);
+		try {
+			// 'wx' fails if the file exists, so an existing archive is never overwritten
+			await pipelineAsync(Readable.from(tarBlocks(entries)), createGzip(), fs.createWriteStream(archivePath, { flags: "wx" }));
+		} catch (error) {
+			if (/** @type {NodeJS.ErrnoException} */ (error).code === "EEXIST") {
+				continue;
+			}
+			await fsp.rm(archivePath, { force: true });
+			throw error;
+		}
+
+		try {
+			await verifyArchive(archivePath, entries);
+		} catch (error) {
+			await fsp.rm(archivePath, { force: true });
+			throw error;
+		}
+		return archivePath;
+	}
+}
+
+/**
+ * Read a gzipped tarball back and check it holds exactly the expected entries with the expected content
+ * @param {string} archivePath - The tarball to check
+ * @param {ArchiveEntry[]} expected - Entries written to it, with the hash of each file's content
+ * @returns {Promise<void>}
+ */
+async function verifyArchive(archivePath, expected) {
+	const actual = await readArchive(archivePath);
+
+	const fail = (/** @type {string} */ detail) => new Error(`Archive verification failed for ${archivePath}: ${detail}`);
+	if (actual.length !== expected.length) {
+		throw fail(`expected ${expected.length} entries, found ${actual.length}`);
+	}
+	for (let i = 0; i < expected.length; i++) {
+		const want = expected[i];
+		const got = actual[i];
+		if (got.name !== want.name || got.type !== want.type) {
+			throw fail(`expected ${want.type} '${want.name}', found ${got.type} '${got.name}'`);
+		}
+		if (got.size !== want.size || got.hash !== want.hash || got.linkname !== want.linkname) {
+			throw fail(`content of '${want.name}' does not match`);
+		}
+	}
+}
+
+/**
+ * List the entries of a gzipped tarball, hashing the content of each file
+ * Only the entry types written by dedust (files, directories, symbolic links, pax headers) are accepted
+ * @param {string} archivePath - The tarball to read
+ * @returns {Promise<ArchiveEntry[]>}
+ */
+export async function readArchive(archivePath) {
+	/** @type {ArchiveEntry[]} */
+	const entries = [];
+
+	const gunzip = createGunzip();
+	const source = fs.createReadStream(archivePath);
+	source.on("error", (error) => gunzip.destroy(error));
+	source.pipe(gunzip);
+
+	/** @type {Record<string, string>} */
+	let pax = {};
+	/**
+	 * Entry whose content is being read
+	 * @type {{entry: ArchiveEntry, remaining: number, padding: number, hash: import("node:crypto").Hash | null, data: Buffer[] | null} | null}
+	 */
+	let current = null;
+	let ended = false;
+	let pending = Buffer.alloc(0);
+
+	const finishEntry = (/** @type {NonNullable<typeof current>} */ entry) => {
+		if (entry.data) {
+			// A pax header: its records apply to the next entry
+			pax = parsePaxRecords(Buffer.concat(entry.data));
+			return;
+		}
+		if (entry.hash) {
+			entry.entry.hash = entry.hash.digest("hex");
+		}
+		entries.push(entry.entry);
+	};
+
+	for await (const chunk of gunzip) {
+		pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+		let offset = 0;
+
+		for (;;) {
+			if (current) {
+				const available = pending.length - offset;
+				if (current.remaining > 0 || current.padding > 0) {
+					if (available === 0) {
+						break;
+					}
+					if (current.remaining > 0) {
+						const data = pending.subarray(offset, offset + Math.min(current.remaining, available));
+						current.hash?.update(data);
+						current.data?.push(Buffer.from(data));
+						current.remaining -= data.length;
+						offset += data.length;
+					} else {
+						const skipped = Math.min(current.padding, available);
+						current.padding -= skipped;
+						offset += skipped;
+					}
+					continue;
+				}
+				finishEntry(current);
+				current = null;
+				continue;
+			}
+
+			if (ended) {
+				// Everything after the end-of-archive marker is zero padding
+				offset = pending.length;
+				break;
+			}
+			if (pending.length - offset < BLOCK_SIZE) {
+				break;
+			}
+
+			const header = pending.subarray(offset, offset + BLOCK_SIZE);
+			offset += BLOCK_SIZE;
+			if (header.every((byte) => byte === 0)) {
+				ended = true;
+				continue;
+			}
+
+			current = parseHeader(header, pax);
+			pax = {};
+		}
+
+		pending = pending.subarray(offset);
+	}
+
+	if (current && current.remaining === 0 && current.padding === 0) {
+		finishEntry(current);
+		current = null;
+	}
+	if (current || !ended) {
+		throw new Error(`Unexpected end of archive ${archivePath}`);
+	}
+
+	return entries;
+}
+
+/**
+ * Collect the archive entries for a path, recursing into directories in sorted order
+ * @param {string} filePath - Path to pack
+ * @param {string} baseDir - Directory the entry names are relative to
+ * @param {ArchiveEntry[]} entries - Entries collected so far
+ * @returns {Promise<void>}
+ */
+async function collectEntries(filePath, baseDir, entries) {
+	const stats = await fsp.lstat(filePath);
+	const name = path.relative(baseDir, filePath).split(path.sep).join("/");
+	const common = {
+		path: filePath,
+		mode: stats.mode & 0o7777,
+		uid: stats.uid,
+		gid: stats.gid,
+		mtime: Math.floor(stats.mtimeMs / 1000),
+	};
+
+	if (stats.isDirectory()) {
+		entries.push({ ...common, name: `${name}/`, type: "dir", size: 0 });
+		const children = (await fsp.readdir(filePath)).sort();
+		for (const child of children) {
+			await collectEntries(path.join(filePath, child), baseDir, entries);
+		}
+	} else if (stats.isFile()) {
+		entries.push({ ...common, name, type: "file", size: stats.size });
+	} else if (stats.isSymbolicLink()) {
+		entries.push({ ...common, name, type: "symlink", size: 0, linkname: await fsp.readlink(filePath) });
+	} else {
+		throw new Error(`Cannot archive ${filePath}: unsupported file type`);
+	}
+}
+
+/**
+ * Produce the blocks of a tar file for the entries, hashing each file's content as it is read
+ * @param {ArchiveEntry[]} entries - Entries to write; `hash` is set on each file entry
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* tarBlocks(entries) {
+	for (const entry of entries) {
+		/** @type {Record<string, string>} */
+		const records = {};
+		if (Buffer.byteLength(entry.name) > 100) {
+			records.path = entry.name;
+		}
+		if (entry.linkname !== undefined && Buffer.byteLength(entry.linkname) > 100) {
+			records.linkpath = entry.linkname;
+		}
+		if (entry.size > MAX_OCTAL_SIZE) {
+			records.size = String(entry.size);
+		}
+		if (Object.keys(records).length > 0) {
+			const data = formatPaxRecords(records);
+			yield createHeader({
+				name: `PaxHeader/${entry.name}`,
+				typeflag: "x",
+				size: data.length,
+				mode: 0o644,
+				uid: 0,
+				gid: 0,
+				mtime: entry.mtime,
+			});
+			yield data;
+			yield padding(data.length);
+		}
+
+		yield createHeader({ ...entry, typeflag: TYPE_FLAGS[entry.type] });
+
+		if (entry.type === "file") {
+			const hash = createHash("sha256");
+			let size = 0;
+			for await (const chunk of fs.createReadStream(entry.path)) {
+				hash.update(chunk);
+				size += chunk.length;
+				if (size > entry.size) {
+					break;
+				}
+				yield chunk;
+			}
+			if (size !== entry.size) {
+				throw new Error(`Cannot archive ${entry.path}: the file changed while it was being archived`);
+			}
+			entry.hash = hash.digest("hex");
+			yield padding(size);
+		}
+	}
+
+	// End-of-archive marker: two zero blocks
+	yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Create a ustar header block
+ * Fields that do not fit (long names, huge sizes) are truncated here and carried by a preceding pax header
+ * @param {{name: string, typeflag: string, size: number, mode: number, uid: number, gid: number, mtime: number, linkname?: string}} fields
+ * @returns {Buffer}
+ */
+function createHeader(fields) {
+	const header = Buffer.alloc(BLOCK_SIZE);
+	header.write(truncateBytes(fields.name, 100), 0, "utf8");
+	writeOctal(header, fields.mode, 100, 8);
+	writeOctal(header, fields.uid > MAX_OCTAL_ID ? 0 : fields.uid, 108, 8);
+	writeOctal(header, fields.gid > MAX_OCTAL_ID ? 0 : fields.gid, 116, 8);
+	writeOctal(header, fields.size > MAX_OCTAL_SIZE ? 0 : fields.size, 124, 12);
+	writeOctal(header, fields.mtime, 136, 12);
+	header.write(fields.typeflag, 156, "ascii");
+	header.write(truncateBytes(fields.linkname || "", 100), 157, "utf8");
+	header.write("ustar\u000000", 257, "ascii");
+
+	// The checksum is computed with the checksum field filled with spaces
+	header.fill(" ", 148, 156);
+	let checksum = 0;
+	for (const byte of header) {
+		checksum += byte;
+	}
+	header.write(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, "ascii");
+
+	return header;
+}
+
+/**
+ * Parse a ustar header block
+ * @param {Buffer} header - The header block
+ * @param {Record<string, string>} pax - Records of a preceding pax header, overriding header fields
+ * @returns {{entry: ArchiveEntry, remaining: number, padding: number, hash: import("node:crypto").Hash | null, data: Buffer[] | null}}
+ */
+function parseHeader(header, pax) {
+	const stored = readOctal(header, 148, 8);
+	header.fill(" ", 148, 156);
+	let checksum = 0;
+	for (const byte of header) {
+		checksum += byte;
+	}
+	if (checksum !== stored) {
+		throw new Error("Invalid tar header checksum");
+	}
+
+	const typeflag = String.fromCharCode(header[156]);
+	const size = pax.size !== undefined ? Number(pax.size) : readOctal(header, 124, 12);
+	const padded = Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+	if (typeflag === "x") {
+		return { entry: /** @type {ArchiveEntry} */ ({}), remaining: size, padding: padded - size, hash: null, data: [] };
+	}
+
+	const type = typeflag === "0" || typeflag === "\u0000" ? "file" : typeflag === "5" ? "dir" : typeflag === "2" ? "symlink" : null;
+	if (!type) {
+		throw new Error(`Unsupported tar entry type '${typeflag}'`);
+	}
+
+	/** @type {ArchiveEntry} */
+	const entry = {
+		name: pax.path !== undefined ? pax.path : readString(header, 0, 100),
+		type,
+		size,
+		mode: readOctal(header, 100, 8),
+		uid: readOctal(header, 108, 8),
+		gid: readOctal(header, 116, 8),
+		mtime: readOctal(header, 136, 12),
+	};
+	if (type === "symlink") {
+		entry.linkname = pax.linkpath !== undefined ? pax.linkpath : readString(header, 157, 100);
+	}
+
+	return { entry, remaining: size, padding: padded - size, hash: type === "file" ? createHash("sha256") : null, data: null };
+}
+
+/**
+ * Encode pax extended header records ("<length> <key>=<value>\n", the length counting itself)
+ * @param {Record<string, string>} records
+ * @returns {Buffer}
+ */
+function formatPaxRecords(records) {
+	const lines = Object.entries(records).map(([key, value]) => {
+		const body = ` ${key}=${value}\n`;
+		let length = Buffer.byteLength(body);
+		while (String(length).length + Buffer.byteLength(body) !== length) {
+			length = String(length).length + Buffer.byteLength(body);
+		}
+		return `${length}${body}`;
+	});
+	return Buffer.from(lines.join(""), "utf8");
+}
+
+/**
+ * Decode pax extended header records
+ * @param {Buffer} data
+ * @returns {Record<string, string>}
+ */
+function parsePaxRecords(data) {
+	/** @type {Record<string, string>} */
+	const records = {};
+	let offset = 0;
+	while (offset < data.length) {
+		const space = data.indexOf(0x20, offset);
+		const length = Number(data.toString("ascii", offset, space));
+		if (space === -1 || !(length > 0)) {
+			throw new Error("Invalid pax header record");
+		}
+		const record = data.toString("utf8", space + 1, offset + length - 1);
+		const equals = record.indexOf("=");
+		records[record.slice(0, equals)] = record.slice(equals + 1);
+		offset += length;
+	}
+	return records;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} value
+ * @param {number} offset
+ * @param {number} length - Field length, including the terminating NUL
+ */
+function writeOctal(buffer, value, offset, length) {
+	buffer.write(`${value.toString(8).padStart(length - 1, "0")}\u0000`, offset, "ascii");
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number}
+ */
+function readOctal(buffer, offset, length) {
+	const text = readString(buffer, offset, length).trim();
+	return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Read a NUL-terminated string field
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readString(buffer, offset, length) {
+	const field = buffer.subarray(offset, offset + length);
+	const end = field.indexOf(0);
+	return field.toString("utf8", 0, end === -1 ? length : end);
+}
+
+/**
+ * Cut a string to at most `length` bytes of UTF-8 without splitting a character
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncateBytes(text, length) {
+	let result = text;
+	while (Buffer.byteLength(result) > length) {
+		result = result.slice(0, -1);
+	}
+	return result;
+}
+
+/**
+ * Zero padding completing a block of `size` bytes of data
+ * @param {number} size
+ * @returns {Buffer}
+ */
+function padding(size) {
+	return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
@@ -1,7 +1,7 @@
 /**
  * Token type enumeration
  */
-export type TokenType = "keyword" | "identifier" | "string" | "whitespace" | "newline" | "comment" | "eof";
+export type TokenType = "keyword" | "identifier" | "string" | "number" | "duration" | "size" | "punctuation" | "whitespace" | "newline" | "comment" | "eof";
 
 /**
  * Represents a token in the DSL
@@ -48,12 +48,23 @@ export class Tokenizer {
 	readComment(): Token;
 
 	/**
-	 * Read an identifier or keyword
+	 * Read an identifier or keyword; unquoted patterns may use braces, bracket expressions and extglob groups
 	 */
 	readIdentifier(): Token;
 
+	/**
+	 * Read a bracket expression of a pattern ([abc], [!0-9], [[:alpha:]]) starting at the current '['
+	 */
+	readBracketExpression(): string;
+
+	/**
+	 * Check if the '{' at the current position opens a pattern (e.g. {name}.o) rather than a block
+	 */
+	isPatternBrace(): boolean;
+
 	/**
 	 * Tokenize the entire input into an array of tokens
+	 * @throws {Error} On a character that cannot start a token
 	 */
 	tokenize(): Token[];
 }
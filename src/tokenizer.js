@@ -6,9 +6,15 @@ const KEYWORDS = new Set([
 	"delete",
 	"ignore",
 	"skip",
+	"protect",
+	"empty",
+	"truncate",
+	"archive",
+	"move",
 	"when",
 	"exists",
 	"and",
+	"or",
 	"not",
 	"here",
 	"parent",
@@ -16,8 +22,46 @@ const KEYWORDS = new Set([
 	"child",
 	"children",
 	"sibling",
+	"root",
+	"ancestors-or-self",
+	"dir",
+	"file",
+	"older",
+	"newer",
+	"than",
+	"modified",
+	"accessed",
+	"changed",
+	"larger",
+	"smaller",
+	"containing",
 ]);
 
+/**
+ * Number literal: a non-negative integer, e.g. 20 in 'at least 20 exists *.dmp'
+ */
+const NUMBER_REGEX = /^\d+$/;
+
+/**
+ * Duration literal: a number followed by a unit (s, m, h, d, w), e.g. 30s, 14d
+ */
+const DURATION_REGEX = /^\d+(\.\d+)?[smhdw]$/;
+
+/**
+ * Size literal: a number followed by a byte unit (B, KB, MB, GB, TB, KiB, MiB, GiB, TiB), e.g. 500MB
+ */
+const SIZE_REGEX = /^\d+(\.\d+)?([kmgt]i?)?b$/i;
+
+/**
+ * Characters an identifier or unquoted pattern may start with
+ */
+const IDENTIFIER_START_REGEX = /[\p{L}\p{N}_.\-*/{?[!+@~]/u;
+
+/**
+ * Characters an identifier or unquoted pattern may contain outside of braces, brackets and extglob groups
+ */
+const IDENTIFIER_CHAR_REGEX = /[\p{L}\p{N}_.\-*/?!+@~]/u;
+
 /**
  * Tokenizer for the dedust DSL
  * Converts raw text into a stream of tokens
@@ -168,24 +212,69 @@ export class Tokenizer {
 
 	/**
 	 * Read an identifier or keyword
+	 * Unquoted patterns may use the full glob syntax: braces ({a,b}), bracket expressions ([a-z]) and
+	 * extglob groups (+(a|b)), which are read up to their matching closing character
 	 * @returns {Token}
 	 */
 	readIdentifier() {
 		const line = this.line;
 		const column = this.column;
 		let value = "";
+		// Closing characters of the braces and extglob groups opened inside the identifier, innermost last
+		const closers = [];
 
 		while (this.peek() !== null) {
 			const char = this.peek();
-			// Identifier can contain letters, numbers, underscore, dot, hyphen, asterisk, slash
-			if (/[a-zA-Z0-9_.\-*/]/.test(char)) {
+			// A closing brace or parenthesis only belongs to the identifier if it closes one opened inside it
+			// (e.g. {name}.o, +(a|b)), otherwise it ends a block or a group of conditions
+			if (char === "}" || char === ")") {
+				if (closers[closers.length - 1] !== char) {
+					break;
+				}
+				closers.pop();
+				value += this.advance();
+				continue;
+			}
+			if (char === "{") {
+				closers.push("}");
+				value += this.advance();
+				continue;
+			}
+			// An opening parenthesis starts an extglob group after '+', '@', '!', '?' or '*', and a group of conditions otherwise
+			if (char === "(") {
+				if (!/[+@!?*]$/.test(value)) {
+					break;
+				}
+				closers.push(")");
+				value += this.advance();
+				continue;
+			}
+			if (char === "[") {
+				value += this.readBracketExpression();
+				continue;
+			}
+			// Alternatives are separated by ',' in braces and '|' in extglob groups
+			if ((char === "," || char === "|") && closers.length > 0) {
+				value += this.advance();
+				continue;
+			}
+			if (IDENTIFIER_CHAR_REGEX.test(char)) {
 				value += this.advance();
 			} else {
 				break;
 			}
 		}
 
-		const type = KEYWORDS.has(value) ? "keyword" : "identifier";
+		let type = "identifier";
+		if (KEYWORDS.has(value)) {
+			type = "keyword";
+		} else if (NUMBER_REGEX.test(value)) {
+			type = "number";
+		} else if (DURATION_REGEX.test(value)) {
+			type = "duration";
+		} else if (SIZE_REGEX.test(value)) {
+			type = "size";
+		}
 
 		return {
 			type,
@@ -195,6 +284,64 @@ export class Tokenizer {
 		};
 	}
 
+	/**
+	 * Read a bracket expression of a pattern ([abc], [!0-9], [[:alpha:]]) starting at the current '['
+	 * A ']' right after the opening '[' (or '[!' / '[^') belongs to the class. A '[' that is not closed
+	 * before whitespace is read alone, and matches literally
+	 * @returns {string}
+	 */
+	readBracketExpression() {
+		let end = this.pos + 1;
+		if (this.input[end] === "!" || this.input[end] === "^") {
+			end++;
+		}
+		if (this.input[end] === "]") {
+			end++;
+		}
+		while (end < this.input.length && !/\s/.test(this.input[end])) {
+			// POSIX character classes such as [:alpha:] contain brackets themselves
+			if (this.input.startsWith("[:", end)) {
+				const close = this.input.indexOf(":]", end + 2);
+				if (close !== -1 && !/\s/.test(this.input.slice(end, close))) {
+					end = close + 2;
+					continue;
+				}
+			}
+			if (this.input[end] === "]") {
+				let value = "";
+				while (this.pos <= end) {
+					value += this.advance();
+				}
+				return value;
+			}
+			end++;
+		}
+		return /** @type {string} */ (this.advance());
+	}
+
+	/**
+	 * Check if the '{' at the current position opens a pattern (e.g. {name}.o) rather than a block
+	 * A pattern brace is closed before any whitespace or rule separator, possibly after nested braces ({a,{b,c}})
+	 * @returns {boolean}
+	 */
+	isPatternBrace() {
+		let depth = 0;
+		for (let i = this.pos + 1; i < this.input.length; i++) {
+			const char = this.input[i];
+			if (char === "}") {
+				if (depth === 0) {
+					return true;
+				}
+				depth--;
+			} else if (char === "{") {
+				depth++;
+			} else if (/[\s;]/.test(char)) {
+				return false;
+			}
+		}
+		return false;
+	}
+
 	/**
 	 * Tokenize the entire input into an array of tokens
 	 * @returns {Token[]}
@@ -229,14 +376,47 @@ export class Tokenizer {
 				continue;
 			}
 
+			// Handle grouping parentheses, block braces, rule separators, the colon ending a profile header
+			// and the commas separating pattern lists (except a, b)
+			if (
+				char === "(" ||
+				char === ")" ||
+				char === "}" ||
+				char === ";" ||
+				char === ":" ||
+				char === "," ||
+				(char === "{" && !this.isPatternBrace())
+			) {
+				tokens.push({
+					type: "punctuation",
+					value: char,
+					line: this.line,
+					column: this.column,
+				});
+				this.advance();
+				continue;
+			}
+
+			// Handle the comparison operators of depth bounds (at depth <= 2)
+			if (char === "<" || char === ">" || char === "=") {
+				const line = this.line;
+				const column = this.column;
+				let value = this.advance();
+				if (value !== "=" && this.peek() === "=") {
+					value += this.advance();
+				}
+				tokens.push({ type: "punctuation", value, line, column });
+				continue;
+			}
+
 			// Handle identifiers and keywords
-			if (/[a-zA-Z0-9_.*/]/.test(char)) {
+			if (IDENTIFIER_START_REGEX.test(char)) {
 				tokens.push(this.readIdentifier());
 				continue;
 			}
 
-			// Unknown character - skip it
-			this.advance();
+			// Dropping the character would silently change a pattern, so it must be quoted
+			throw new Error(`Unexpected character '${char}' at line ${this.line}, column ${this.column} (quote patterns containing it)`);
 		}
 
 		// Add EOF token
@@ -1,5 +1,9 @@
+import { toGlobPattern } from "./captures.js";
+import { CLEANUP_ACTIONS } from "./parser.js";
+
 /**
  * @typedef {import('./parser.js').Rule} Rule
+ * @typedef {import('./parser.js').Expression} Expression
  */
 
 /**
@@ -13,6 +17,18 @@ const DANGEROUS_PATTERNS = [
 	"**/*", // All files in all subdirectories
 ];
 
+/**
+ * What a dangerous rule of each action would do, for validation messages
+ * @type {Record<string, string>}
+ */
+const DANGER_EFFECTS = {
+	delete: "delete all files",
+	empty: "empty all directories",
+	truncate: "truncate all files",
+	archive: "archive and delete all files",
+	move: "move all files",
+};
+
 /**
  * Check if a pattern is potentially dangerous
  * A pattern is dangerous if it matches too broadly without any conditions
@@ -34,28 +50,54 @@ export function isDangerousPattern(pattern) {
 	return false;
 }
 
+/**
+ * Check if a condition depends on the paths it is evaluated at
+ * 'env' and 'platform' predicates hold or fail for the whole run, so a condition built only from them narrows nothing
+ * @param {Expression} expression - The condition or one of its parts
+ * @returns {boolean}
+ */
+function narrowsPaths(expression) {
+	switch (expression.type) {
+		case "and":
+		case "or":
+			return (!!expression.left && narrowsPaths(expression.left)) || (!!expression.right && narrowsPaths(expression.right));
+		case "predicate":
+			return !!expression.predicate && narrowsPaths(expression.predicate);
+		case "not":
+			return !!expression.negated && narrowsPaths(expression.negated);
+		case "env":
+		case "platform":
+			return false;
+		default:
+			return true;
+	}
+}
+
 /**
  * Validate a single rule for safety
  * @param {Rule} rule - The rule to validate
  * @returns {{valid: boolean, error: string | null}}
  */
 export function validateRule(rule) {
-	// Only validate delete rules
-	if (rule.action !== "delete") {
+	// Only validate rules that delete, clear or move paths ('delete', 'empty', 'truncate', 'archive', 'move')
+	if (!CLEANUP_ACTIONS.includes(rule.action)) {
 		return { valid: true, error: null };
 	}
 
-	// Check if the pattern is dangerous
-	if (isDangerousPattern(rule.target)) {
-		// If there's a condition, it's safer
-		if (rule.condition) {
+	// Check if the pattern is dangerous (captures such as {name} match like '*')
+	if (isDangerousPattern(toGlobPattern(rule.target))) {
+		// If there's a condition on the paths, it's safer
+		if (rule.condition && narrowsPaths(rule.condition)) {
 			return { valid: true, error: null };
 		}
 
 		// Dangerous pattern without condition
+		const missing = rule.condition
+			? "without any condition on paths ('env' and 'platform' do not narrow the matches)"
+			: "without any condition";
 		return {
 			valid: false,
-			error: `Dangerous pattern detected: 'delete ${rule.target}' without any condition. This would delete all files. Please add a condition (e.g., 'when exists <file>') or use a more specific pattern.`,
+			error: `Dangerous pattern detected: '${rule.action} ${rule.target}' ${missing}. This would ${DANGER_EFFECTS[rule.action]}. Please add a condition (e.g., 'when exists <file>') or use a more specific pattern.`,
 		};
 	}
 
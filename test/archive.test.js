@@ -0,0 +1,174 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { readArchive } from "../src/tar.js";
+import { createStructure as createStructureHelper, age as ageHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-archive");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const age = (relativePath, days) => ageHelper(relativePath, days, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Archive - parse archive rules", () => {
+	const rules = parse(
+		tokenize(`
+			archive runs/* when older than 30d into .dedust-archive/
+			archive dir logs into "old logs" when exists .rotate
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target, r.targetType, r.destination, r.condition?.type]),
+		[
+			["archive", "runs/*", "any", ".dedust-archive", "predicate"],
+			["archive", "logs", "dir", "old logs", "predicate"],
+		]
+	);
+	assert.throws(() => parse(tokenize("archive runs/*")), /'archive' rules need a destination \('into <dir>'\) at line 1, column 1/);
+	assert.throws(() => parse(tokenize("archive runs/* into")), /Expected destination directory after 'into'/);
+	assert.throws(() => parse(tokenize("delete runs/* into archive/")), /'into' is only supported on 'archive' rules/);
+});
+
+test("Archive - targets are packed into a verified tarball, then deleted", async () => {
+	createStructure({
+		runs: {
+			old: { "metrics.json": "{}", logs: { "train.log": "epoch 1" } },
+			recent: { "metrics.json": "{}" },
+		},
+	});
+	age("runs/old", 40);
+
+	const result = await dedust("archive runs/* when older than 30d into .dedust-archive/", testDir);
+	assert.deepStrictEqual(result.targets, [path.join(testDir, "runs", "old")]);
+
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.errors, []);
+	assert.deepStrictEqual(stats.deleted, []);
+	assert.strictEqual(stats.archived.length, 1);
+	assert.strictEqual(stats.archived[0].path, path.join(testDir, "runs", "old"));
+	assert.strictEqual(path.dirname(stats.archived[0].archive), path.join(testDir, ".dedust-archive"));
+	assert.match(path.basename(stats.archived[0].archive), /^dedust-\d{8}T\d{6}Z\.tar\.gz$/);
+
+	assert.ok(!fs.existsSync(path.join(testDir, "runs", "old")));
+	assert.ok(fs.existsSync(path.join(testDir, "runs", "recent")));
+
+	const entries = await readArchive(stats.archived[0].archive);
+	assert.deepStrictEqual(
+		entries.map((entry) => [entry.name, entry.type, entry.size]),
+		[
+			["runs/old/", "dir", 0],
+			["runs/old/logs/", "dir", 0],
+			["runs/old/logs/train.log", "file", 7],
+			["runs/old/metrics.json", "file", 2],
+		]
+	);
+});
+
+test("Archive - events report the archive, which is never a target itself", async () => {
+	createStructure({
+		build1: { "out.js": "1" },
+		build2: { "out.js": "2" },
+		"build-archive": { "dedust-20000101T000000Z.tar.gz": "" },
+	});
+
+	const archivedEvents = [];
+	const result = await dedust("archive build* into build-archive/", testDir, {
+		onFileArchived: (data) => archivedEvents.push(data),
+	});
+	assert.deepStrictEqual(result.targets.map((t) => path.basename(t)).sort(), ["build1", "build2"]);
+
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(archivedEvents, stats.archived);
+	assert.deepStrictEqual(archivedEvents.map((event) => path.basename(event.path)).sort(), ["build1", "build2"]);
+	// Both targets of the destination share one tarball
+	assert.strictEqual(new Set(archivedEvents.map((event) => event.archive)).size, 1);
+	assert.strictEqual(fs.readdirSync(path.join(testDir, "build-archive")).length, 2);
+});
+
+test("Archive - archives are not archived again by the next run", async () => {
+	createStructure({
+		"a.gz": "a",
+		logs: { "b.gz": "b" },
+	});
+
+	const rules = "archive *.gz into .arch";
+	let result = await dedust(rules, testDir);
+	assert.deepStrictEqual(result.targets.map((t) => path.relative(testDir, t)).sort(), ["a.gz", path.join("logs", "b.gz")]);
+	const stats = await result.execute();
+	assert.deepStrictEqual(stats.errors, []);
+	assert.strictEqual(fs.readdirSync(path.join(testDir, ".arch")).length, 1);
+
+	// The rule also applies in '.arch' and 'logs/.arch', whose tarballs are inside a destination of the rule
+	result = await dedust(rules, testDir);
+	assert.deepStrictEqual(result.targets, []);
+});
+
+test("Archive - a target archived inside a deleted directory is reported once", async () => {
+	createStructure({
+		a: { b: { "data.txt": "data" }, "c.txt": "c" },
+	});
+
+	const rules = "delete a\narchive a/b into m";
+	// Without listeners
+	let stats = await (await dedust(rules, testDir)).execute();
+	assert.deepStrictEqual(stats.errors, []);
+	assert.deepStrictEqual(stats.archived.map((entry) => entry.path), [path.join(testDir, "a", "b")]);
+	assert.deepStrictEqual(stats.deleted, [path.join(testDir, "a")]);
+
+	// With listeners
+	cleanup();
+	createStructure({
+		a: { b: { "data.txt": "data" }, "c.txt": "c" },
+	});
+	stats = await (await dedust(rules, testDir, { onFileArchived: () => {} })).execute();
+	assert.deepStrictEqual(stats.archived.map((entry) => entry.path), [path.join(testDir, "a", "b")]);
+	assert.deepStrictEqual(stats.deleted, [path.join(testDir, "a")]);
+});
+
+test("Archive - nothing is deleted when the archive cannot be written", async () => {
+	createStructure({
+		runs: { old: { "metrics.json": "{}" } },
+		// The destination exists as a file
+		blocker: "",
+	});
+
+	const errors = [];
+	const result = await dedust("archive runs/* into blocker", testDir, {
+		onError: (data) => errors.push(data),
+	});
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.archived, []);
+	assert.strictEqual(stats.errors.length, 1);
+	assert.strictEqual(errors.length, 1);
+	assert.strictEqual(errors[0].phase, "deletion");
+	assert.ok(fs.existsSync(path.join(testDir, "runs", "old", "metrics.json")));
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert";
+import { getCaptureNames, toGlobPattern, matchCaptures, substituteCaptures } from "../src/captures.js";
+
+test("Captures - getCaptureNames", () => {
+	assert.deepStrictEqual(getCaptureNames("{name}.o"), ["name"]);
+	assert.deepStrictEqual(getCaptureNames("{dir}/{name}.{name}.map"), ["dir", "name"]);
+	assert.deepStrictEqual(getCaptureNames("*.log"), []);
+	// Brace expansions are not captures
+	assert.deepStrictEqual(getCaptureNames("*.{log,tmp}"), []);
+});
+
+test("Captures - toGlobPattern", () => {
+	assert.strictEqual(toGlobPattern("{name}.o"), "*.o");
+	assert.strictEqual(toGlobPattern("**/{name}.pyc"), "**/*.pyc");
+	assert.strictEqual(toGlobPattern("*.{log,tmp}"), "*.{log,tmp}");
+});
+
+test("Captures - matchCaptures", () => {
+	assert.deepStrictEqual(matchCaptures("{name}.o", "foo.o"), { name: "foo" });
+	assert.deepStrictEqual(matchCaptures("{name}.js.map", "app.min.js.map"), { name: "app.min" });
+	assert.deepStrictEqual(matchCaptures("**/{name}.pyc", "pkg/sub/mod.pyc"), { name: "mod" });
+	assert.deepStrictEqual(matchCaptures("{dir}/{name}.o", "src/main.o"), { dir: "src", name: "main" });
+	assert.strictEqual(matchCaptures("{name}.o", "foo.c"), null);
+});
+
+test("Captures - matchCaptures with glob syntax around captures", () => {
+	assert.deepStrictEqual(matchCaptures("{name}.{o,obj}", "main.obj"), { name: "main" });
+	assert.deepStrictEqual(matchCaptures("{name}.[oa]", "lib.a"), { name: "lib" });
+	assert.deepStrictEqual(matchCaptures("+(build|dist)/{name}.js", "dist/app.js"), { name: "app" });
+	assert.strictEqual(matchCaptures("{name}.{o,obj}", "main.c"), null);
+});
+
+test("Captures - repeated capture must match the same text", () => {
+	assert.deepStrictEqual(matchCaptures("{name}/{name}.o", "foo/foo.o"), { name: "foo" });
+	assert.strictEqual(matchCaptures("{name}/{name}.o", "foo/bar.o"), null);
+});
+
+test("Captures - substituteCaptures", () => {
+	assert.strictEqual(substituteCaptures("{name}.c", { name: "foo" }), "foo.c");
+	assert.strictEqual(substituteCaptures("{other}.c", { name: "foo" }), "{other}.c");
+	// Glob characters in values are escaped unless asked otherwise
+	assert.notStrictEqual(substituteCaptures("{name}.c", { name: "a*b" }), "a*b.c");
+	assert.strictEqual(substituteCaptures("{name}", { name: "a*b" }, false), "a*b");
+});
@@ -0,0 +1,143 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust, { Evaluator } from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { validateRules } from "../src/validator.js";
+import { createStructure as createStructureHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-clear");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Clear - parse empty and truncate rules", () => {
+	const rules = parse(tokenize("empty .cache when exists package.json\ntruncate *.log when larger than 100MB"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target, r.targetType]),
+		[
+			["empty", ".cache", "dir"],
+			["truncate", "*.log", "file"],
+		]
+	);
+	assert.throws(() => parse(tokenize("empty file *.log")), /'empty' only applies to directories at line 1, column 7/);
+	assert.throws(() => parse(tokenize("truncate logs/")), /'truncate' only applies to files at line 1, column 10/);
+});
+
+test("Clear - dangerous patterns are rejected for empty and truncate", () => {
+	const result = validateRules(parse(tokenize("empty *\ntruncate **/*\ntruncate *.log")));
+
+	assert.strictEqual(result.errors.length, 2);
+	assert.match(result.errors[0].error, /'empty \*' without any condition\. This would empty all directories/);
+	assert.match(result.errors[1].error, /'truncate \*\*\/\*' without any condition\. This would truncate all files/);
+});
+
+test("Clear - empty keeps the directory and truncate keeps the file", async () => {
+	createStructure({
+		"package.json": "{}",
+		".cache": {
+			"a.bin": "data",
+			nested: { "b.bin": "data" },
+		},
+		"app.log": "a long log",
+		logs: { "debug.txt": "not a file target" },
+		"old.tmp": "tmp",
+	});
+	// Windows has no POSIX permissions to keep
+	if (process.platform !== "win32") {
+		fs.chmodSync(path.join(testDir, ".cache"), 0o750);
+	}
+	const inode = fs.statSync(path.join(testDir, "app.log")).ino;
+
+	const rules = "empty .cache when exists package.json\ntruncate *.log\ntruncate logs\ndelete *.tmp";
+	const result = await dedust(rules, testDir);
+	assert.deepStrictEqual(result.targets.map((t) => path.relative(testDir, t)).sort(), [".cache", "app.log", "old.tmp"]);
+
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.emptied, [path.join(testDir, ".cache")]);
+	assert.deepStrictEqual(stats.truncated, [path.join(testDir, "app.log")]);
+	assert.deepStrictEqual(stats.deleted, [path.join(testDir, "old.tmp")]);
+	assert.deepStrictEqual(stats.errors, []);
+
+	assert.deepStrictEqual(fs.readdirSync(path.join(testDir, ".cache")), []);
+	if (process.platform !== "win32") {
+		assert.strictEqual(fs.statSync(path.join(testDir, ".cache")).mode & 0o777, 0o750);
+	}
+	assert.strictEqual(fs.readFileSync(path.join(testDir, "app.log"), "utf8"), "");
+	assert.strictEqual(fs.statSync(path.join(testDir, "app.log")).ino, inode);
+	assert.ok(!fs.existsSync(path.join(testDir, "old.tmp")));
+});
+
+test("Clear - events for emptied and truncated paths", async () => {
+	createStructure({
+		".cache": { "a.bin": "data" },
+		"app.log": "log",
+	});
+
+	const events = [];
+	const result = await dedust("delete .cache\nempty .cache\ntruncate app.log", testDir, {
+		onFileEmptied: (data) => events.push(["emptied", path.basename(data.path)]),
+		onFileTruncated: (data) => events.push(["truncated", path.basename(data.path)]),
+		onFileDeleted: (data) => events.push(["deleted", path.basename(data.path)]),
+	});
+	const stats = await result.execute();
+
+	// A path both deleted and emptied gets the action of the rule defined last
+	assert.deepStrictEqual(events.sort(), [
+		["emptied", ".cache"],
+		["truncated", "app.log"],
+	]);
+	assert.deepStrictEqual(stats.deleted, []);
+	assert.ok(fs.existsSync(path.join(testDir, ".cache")));
+});
+
+test("Clear - Evaluator.execute uses the actions of the last scan", async () => {
+	createStructure({
+		cache: { "a.bin": "data" },
+		tmp: { "b.bin": "data" },
+	});
+
+	const evaluator = new Evaluator(parse(tokenize("protect *.keep\nempty cache\nempty tmp")), testDir);
+	const errors = [];
+	evaluator.on("error", (data) => errors.push(data));
+	const targets = await evaluator.evaluate();
+	assert.deepStrictEqual(targets.sort(), [path.join(testDir, "cache"), path.join(testDir, "tmp")]);
+
+	// A protected file appears after the scan
+	fs.writeFileSync(path.join(testDir, "cache", "release.keep"), "keep");
+
+	const result = await evaluator.execute(targets);
+
+	assert.deepStrictEqual(result.emptied, [path.join(testDir, "tmp")]);
+	assert.strictEqual(errors.length, 1);
+	assert.strictEqual(
+		errors[0].error.message,
+		`Refusing to empty ${path.join(testDir, "cache")}: it contains protected path ${path.join(testDir, "cache", "release.keep")}`
+	);
+	assert.ok(fs.existsSync(path.join(testDir, "cache", "a.bin")));
+});
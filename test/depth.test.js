@@ -0,0 +1,121 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-depth");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules) => findRelativeTargetsHelper(rules, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Depth - parse depth bounds", () => {
+	const rules = parse(
+		tokenize(`
+			delete target when parents within 2 exists .git
+			delete .turbo when children depth 1..3 exists package.json
+			delete cache when children depth 2 exists package.json
+			delete node_modules at depth <= 2
+			delete **/*.log at depth > 1 keep newest 1
+			delete depth
+		`)
+	);
+
+	assert.deepStrictEqual(rules[0].condition?.predicate?.depth, { min: 1, max: 2 });
+	assert.deepStrictEqual(rules[1].condition?.predicate?.depth, { min: 1, max: 3 });
+	assert.deepStrictEqual(rules[2].condition?.predicate?.depth, { min: 2, max: 2 });
+	assert.deepStrictEqual(
+		rules.slice(3).map((r) => r.depth),
+		[{ min: 1, max: 2 }, { min: 2, max: null }, null]
+	);
+	assert.strictEqual(rules[4].keep?.count, 1);
+	// 'depth' is not a keyword, so it can still be a target
+	assert.strictEqual(rules[5].target, "depth");
+	// Without a bound, predicates are unchanged
+	assert.ok(!("depth" in /** @type {object} */ (parse(tokenize("delete a when parents exists b"))[0].condition?.predicate)));
+});
+
+test("Depth - parse errors", () => {
+	assert.throws(
+		() => parse(tokenize("delete a when parent within 2 exists b")),
+		/'within' is only supported after 'parents' or 'children' at line 1, column 22/
+	);
+	assert.throws(
+		() => parse(tokenize("delete a when children depth exists b")),
+		/Expected depth \(e\.g\. 2, 1\.\.3 or <= 2\) at line 1, column 30/
+	);
+	assert.throws(() => parse(tokenize("delete a at depth 3..1")), /Depth range matches no depth \(depths start at 1\)/);
+	assert.throws(() => parse(tokenize("delete a at depth < 1")), /Depth range matches no depth/);
+	assert.throws(() => parse(tokenize("delete a when parents within 0 exists b")), /Depth range matches no depth/);
+	assert.throws(() => parse(tokenize("ignore a at depth 1")), /'at depth' is not supported on 'ignore' rules/);
+});
+
+test("Depth - parents within N only looks N levels up", async () => {
+	createStructure({
+		".git": {},
+		app: { target: { "out.o": "" } },
+		deep: { a: { b: { target: { "out.o": "" } } } },
+	});
+
+	// deep/a/b is 3 levels below the repository root
+	assert.deepStrictEqual(await findRelativeTargets("delete target when parents within 2 exists .git"), ["app/target"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete target when parents exists .git"), ["app/target", "deep/a/b/target"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete target when parents depth 3 exists .git"), ["deep/a/b/target"]);
+});
+
+test("Depth - children depth bounds the levels searched", async () => {
+	createStructure({
+		monorepo: {
+			".turbo": {},
+			packages: { app: { "package.json": "{}" } },
+		},
+		nested: {
+			".turbo": {},
+			a: { b: { c: { "package.json": "{}" } } },
+		},
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete .turbo when children depth 2 exists package.json"), ["monorepo/.turbo"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete .turbo when children within 2 exists package.json"), ["monorepo/.turbo"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete .turbo when children depth >= 3 exists package.json"), ["nested/.turbo"]);
+});
+
+test("Depth - at depth bounds the targets below the base directory", async () => {
+	createStructure({
+		node_modules: {},
+		app: {
+			node_modules: {},
+			"debug.log": "",
+			lib: { node_modules: {}, "trace.log": "" },
+		},
+		"root.log": "",
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete node_modules at depth <= 2"), ["app/node_modules", "node_modules"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.log at depth 2"), ["app/debug.log"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete *.log at depth 2..3"), ["app/debug.log", "app/lib/trace.log"]);
+});
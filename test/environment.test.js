@@ -0,0 +1,94 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { Evaluator } from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-environment");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules, env) => findRelativeTargetsHelper(rules, testDir, { env });
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Environment - parse env and platform predicates", () => {
+	const rules = parse(
+		tokenize(`
+			delete node_modules when env CI and exists package.json
+			delete .cache when env DEDUST_AGGRESSIVE is "1"
+			delete build when platform linux or not env "KEEP BUILDS"
+			delete env when exists pyvenv.cfg
+		`)
+	);
+
+	const predicate = { location: "here", pattern: null, patternType: "any", negated: null };
+	assert.deepStrictEqual(rules[0].condition?.left, { type: "env", ...predicate, variable: "CI" });
+	assert.deepStrictEqual(rules[1].condition?.predicate, { type: "env", ...predicate, variable: "DEDUST_AGGRESSIVE", value: "1" });
+	assert.deepStrictEqual(rules[2].condition?.left, { type: "platform", ...predicate, platform: "linux" });
+	assert.deepStrictEqual(rules[2].condition?.right?.negated, { type: "env", ...predicate, variable: "KEEP BUILDS" });
+	// 'env' and 'platform' are not keywords, so they can still be targets
+	assert.strictEqual(rules[3].target, "env");
+
+	assert.throws(() => parse(tokenize("delete a when env")), /Expected environment variable name after 'env' at line 1, column 18/);
+	assert.throws(() => parse(tokenize("delete a when env CI is")), /Expected value after 'is' at line 1, column 24/);
+	assert.throws(() => parse(tokenize("delete a when platform windows")), /Unknown platform 'windows' \(expected one of .*win32/);
+});
+
+test("Environment - env predicates read the injected environment", async () => {
+	createStructure({
+		app: { "package.json": "{}", node_modules: {}, ".cache": {} },
+	});
+
+	const rules = `
+		delete node_modules when env CI and exists package.json
+		delete .cache when env DEDUST_AGGRESSIVE is "1"
+	`;
+
+	assert.deepStrictEqual(await findRelativeTargets(rules, {}), []);
+	// An empty value is the same as unset
+	assert.deepStrictEqual(await findRelativeTargets(rules, { CI: "", DEDUST_AGGRESSIVE: "true" }), []);
+	assert.deepStrictEqual(await findRelativeTargets(rules, { CI: "true", DEDUST_AGGRESSIVE: "1" }), ["app/.cache", "app/node_modules"]);
+});
+
+test("Environment - platform predicates read the injected platform", async () => {
+	createStructure({ build: {} });
+
+	const findTargets = (rules, platform) => findRelativeTargetsHelper(rules, testDir, { platform });
+
+	assert.deepStrictEqual(await findTargets("delete build when platform win32", "win32"), ["build"]);
+	assert.deepStrictEqual(await findTargets("delete build when platform win32", "linux"), []);
+	assert.deepStrictEqual(await findTargets("delete build when not platform darwin", "linux"), ["build"]);
+	assert.deepStrictEqual(await findTargets("delete build when not platform darwin", "darwin"), []);
+	// Without a platform option, the running platform is checked
+	assert.deepStrictEqual(await findTargets(`delete build when platform ${process.platform}`), ["build"]);
+
+	// The Evaluator takes the platform and the environment in its options
+	const evaluator = new Evaluator(parse(tokenize("delete build when platform win32 and env CI")), testDir, [], [], {
+		platform: "win32",
+		env: { CI: "true" },
+	});
+	assert.deepStrictEqual(await evaluator.evaluate(), [path.join(testDir, "build")]);
+});
@@ -4,6 +4,9 @@ import path from "node:path";
 import fs from "node:fs";
 import { fileURLToPath } from "node:url";
 import dedust from "../src/index.js";
+import { Evaluator } from "../src/evaluator.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
 import { createStructure as createStructureHelper } from "./helper.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -163,6 +166,61 @@ test("Evaluator - delete with parents exists", async () => {
 	assert.ok(targets.length >= 2);
 });
 
+test("Evaluator - delete with root exists", async () => {
+	createStructure({
+		"pnpm-workspace.yaml": "",
+		packages: {
+			app: { node_modules: {} },
+		},
+		node_modules: {},
+	});
+
+	const result = await dedust("delete node_modules when root exists pnpm-workspace.yaml", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	// The base directory is checked wherever the rule applies
+	assert.deepStrictEqual(targets, ["node_modules", path.join("packages", "app", "node_modules")]);
+	assert.deepStrictEqual((await dedust("delete node_modules when root exists lerna.json", testDir)).targets, []);
+});
+
+test("Evaluator - entries named root are still targets", async () => {
+	createStructure({
+		root: {},
+		app: { root: { "x.txt": "" }, cache: {} },
+	});
+
+	const rules = parse(tokenize("delete root\ndelete cache when exists root\ndelete * when root exists root"));
+	assert.deepStrictEqual(
+		rules.map((r) => [r.target, r.condition?.predicate?.location ?? null, r.condition?.predicate?.pattern ?? null]),
+		[
+			["root", null, null],
+			["cache", "here", "root"],
+			["*", "root", "root"],
+		]
+	);
+
+	const result = await dedust("delete root at depth 1\ndelete cache when exists root", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+	assert.deepStrictEqual(targets, [path.join("app", "cache"), "root"]);
+});
+
+test("Evaluator - delete with ancestors-or-self exists", async () => {
+	createStructure({
+		repo: {
+			".git": {},
+			"out.tmp": "",
+			src: { "file.tmp": "" },
+		},
+		loose: { "other.tmp": "" },
+	});
+
+	const result = await dedust("delete *.tmp when ancestors-or-self exists .git", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	// 'parents' alone would miss repo/out.tmp, 'here' alone would miss repo/src/file.tmp
+	assert.deepStrictEqual(targets, [path.join("repo", "out.tmp"), path.join("repo", "src", "file.tmp")]);
+});
+
 test("Evaluator - execute cleanup", async () => {
 	createStructure({
 		"test.log": "log",
@@ -374,3 +432,604 @@ test("Evaluator - condition with whitespace in pattern", async () => {
 	assert.ok(targets.some((t) => t.includes("project") && t.endsWith("node_modules")));
 	assert.ok(targets.some((t) => t.includes("My Project") && t.endsWith("node_modules")));
 });
+
+test("Evaluator - delete with OR condition", async () => {
+	createStructure({
+		project1: {
+			"Cargo.toml": "[package]",
+			target: {},
+		},
+		workspace: {
+			"Cargo.toml": "[workspace]",
+			crate: {
+				target: {},
+			},
+		},
+		other: {
+			target: {},
+		},
+	});
+
+	const dsl = "delete target when exists Cargo.toml or parent exists Cargo.toml";
+	const result = await dedust(dsl, testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 2);
+	assert.ok(targets.some((t) => t.includes("project1")));
+	assert.ok(targets.some((t) => t.includes("crate")));
+	assert.ok(!targets.some((t) => t.includes("other")));
+});
+
+test("Evaluator - grouped condition with precedence", async () => {
+	createStructure({
+		project1: {
+			"Cargo.toml": "[package]",
+			target: {},
+		},
+		project2: {
+			"Cargo.toml": "[package]",
+			".keep": "",
+			target: {},
+		},
+		workspace: {
+			"Cargo.toml": "[workspace]",
+			crate: {
+				".keep": "",
+				target: {},
+			},
+		},
+	});
+
+	const dsl = "delete target when (exists Cargo.toml or parent exists Cargo.toml) and not exists .keep";
+	const result = await dedust(dsl, testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+test("Evaluator - dir qualifier does not match files", async () => {
+	createStructure({
+		project1: {
+			build: {},
+		},
+		project2: {
+			build: "a regular file named build",
+		},
+	});
+
+	const result = await dedust("delete dir build", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+test("Evaluator - trailing slash matches directories only", async () => {
+	createStructure({
+		"build-a": {},
+		"build-b": "file",
+	});
+
+	const result = await dedust("delete build-*/", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("build-a"));
+});
+
+test("Evaluator - file qualifier does not match directories", async () => {
+	createStructure({
+		"app.log": "log",
+		"archive.log": {
+			"old.txt": "old",
+		},
+	});
+
+	const result = await dedust("delete file *.log", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("app.log"));
+});
+
+test("Evaluator - exists with dir qualifier", async () => {
+	createStructure({
+		project1: {
+			src: {},
+			out: {},
+		},
+		project2: {
+			src: "not a directory",
+			out: {},
+		},
+	});
+
+	const result = await dedust("delete out when exists dir src", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+test("Evaluator - exists glob with file qualifier", async () => {
+	createStructure({
+		project1: {
+			"main.c": "int main() {}",
+			out: {},
+		},
+		project2: {
+			"lib.c": {},
+			out: {},
+		},
+	});
+
+	const result = await dedust("delete out when exists file *.c", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+/**
+ * Set the access and modification time of a path to a number of days ago
+ * @param {string} filePath
+ * @param {number} days
+ */
+function setAgeInDays(filePath, days) {
+	const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+	fs.utimesSync(filePath, time, time);
+}
+
+test("Evaluator - older than checks each matched target", async () => {
+	createStructure({
+		"old.log": "old",
+		"new.log": "new",
+		logs: {
+			"stale.log": "stale",
+		},
+	});
+	setAgeInDays(path.join(testDir, "old.log"), 30);
+	setAgeInDays(path.join(testDir, "logs", "stale.log"), 20);
+
+	const result = await dedust("delete *.log when older than 14d", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 2);
+	assert.ok(targets.some((t) => t.endsWith("old.log")));
+	assert.ok(targets.some((t) => t.endsWith("stale.log")));
+	assert.ok(!targets.some((t) => t.endsWith("new.log")));
+});
+
+test("Evaluator - newer than", async () => {
+	createStructure({
+		"old.tmp": "old",
+		"new.tmp": "new",
+	});
+	setAgeInDays(path.join(testDir, "old.tmp"), 3);
+
+	const result = await dedust("delete *.tmp when newer than 1d", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("new.tmp"));
+});
+
+test("Evaluator - accessed older than uses atime", async () => {
+	createStructure({
+		project: {
+			"cache.bin": "cached",
+		},
+	});
+	const cacheFile = path.join(testDir, "project", "cache.bin");
+	fs.utimesSync(cacheFile, new Date(Date.now() - 40 * 24 * 60 * 60 * 1000), new Date());
+
+	const accessed = await dedust("delete *.bin when accessed older than 30d", testDir);
+	assert.strictEqual(accessed.targets.length, 1);
+
+	const modified = await dedust("delete *.bin when older than 30d", testDir);
+	assert.strictEqual(modified.targets.length, 0);
+});
+
+test("Evaluator - age predicate combined with directory condition", async () => {
+	createStructure({
+		project1: {
+			"package.json": "{}",
+			node_modules: {},
+		},
+		project2: {
+			node_modules: {},
+		},
+		project3: {
+			"package.json": "{}",
+			node_modules: {},
+		},
+	});
+	setAgeInDays(path.join(testDir, "project1", "node_modules"), 60);
+	setAgeInDays(path.join(testDir, "project2", "node_modules"), 60);
+
+	const result = await dedust("delete node_modules when exists package.json and older than 30d", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+test("Evaluator - larger than on files", async () => {
+	createStructure({
+		"big.core": "x".repeat(2048),
+		"small.core": "x".repeat(100),
+	});
+
+	const result = await dedust("delete *.core when larger than 1KB", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("big.core"));
+});
+
+test("Evaluator - smaller than on files", async () => {
+	createStructure({
+		"big.log": "x".repeat(2048),
+		"small.log": "x".repeat(100),
+	});
+
+	const result = await dedust("delete *.log when smaller than 1KiB", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("small.log"));
+});
+
+test("Evaluator - larger than measures directories recursively", async () => {
+	createStructure({
+		project1: {
+			"package.json": "{}",
+			node_modules: {
+				a: { "index.js": "x".repeat(600) },
+				b: { nested: { "index.js": "x".repeat(600) } },
+			},
+		},
+		project2: {
+			"package.json": "{}",
+			node_modules: {
+				a: { "index.js": "x".repeat(100) },
+			},
+		},
+	});
+
+	const result = await dedust("delete node_modules when exists package.json and larger than 1KB", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("project1"));
+});
+
+test("Evaluator - directory sizes are cached", async () => {
+	createStructure({
+		cache: {
+			inner: { "data.bin": "x".repeat(300) },
+			"top.bin": "x".repeat(200),
+		},
+	});
+
+	const evaluator = new Evaluator([], testDir);
+	const cacheDir = path.join(testDir, "cache");
+
+	assert.strictEqual(await evaluator.getSize(cacheDir), 500);
+	assert.strictEqual(evaluator.sizeCache.get(path.join(cacheDir, "inner")), 300);
+
+	// Cached values are reused for nested targets
+	fs.rmSync(path.join(cacheDir, "inner"), { recursive: true });
+	assert.strictEqual(await evaluator.getSize(path.join(cacheDir, "inner")), 300);
+});
+
+/**
+ * Set the access and modification time of every path inside a directory (and the directory itself)
+ * @param {string} dirPath
+ * @param {number} days
+ */
+function setTreeAgeInDays(dirPath, days) {
+	for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+		const fullPath = path.join(dirPath, entry.name);
+		if (entry.isDirectory()) {
+			setTreeAgeInDays(fullPath, days);
+		} else {
+			setAgeInDays(fullPath, days);
+		}
+	}
+	setAgeInDays(dirPath, days);
+}
+
+test("Evaluator - older than reference path compares newest timestamps", async () => {
+	createStructure({
+		stale: {
+			src: { "index.js": "changed", lib: { "util.js": "old" } },
+			dist: { "index.js": "built" },
+		},
+		fresh: {
+			src: { "index.js": "old" },
+			dist: { "index.js": "built" },
+		},
+	});
+	// stale: dist was built 5 days ago, a source file changed 1 day ago
+	setTreeAgeInDays(path.join(testDir, "stale", "src"), 10);
+	setTreeAgeInDays(path.join(testDir, "stale", "dist"), 5);
+	setAgeInDays(path.join(testDir, "stale", "src", "lib", "util.js"), 1);
+	// fresh: dist was built after every source change
+	setTreeAgeInDays(path.join(testDir, "fresh", "src"), 10);
+	setTreeAgeInDays(path.join(testDir, "fresh", "dist"), 5);
+
+	const result = await dedust("delete dist when older than src", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("stale"));
+});
+
+test("Evaluator - older than missing reference does not match", async () => {
+	createStructure({
+		dist: { "index.js": "built" },
+	});
+	setTreeAgeInDays(path.join(testDir, "dist"), 30);
+
+	const result = await dedust("delete dist when older than src", testDir);
+
+	assert.strictEqual(result.targets.length, 0);
+});
+
+test("Evaluator - newer than glob reference", async () => {
+	createStructure({
+		"main.o": "object",
+		"main.c": "source",
+		"util.h": "header",
+	});
+	setAgeInDays(path.join(testDir, "main.c"), 3);
+	setAgeInDays(path.join(testDir, "util.h"), 2);
+
+	const newer = await dedust('delete *.o when newer than "*.{c,h}"', testDir);
+	assert.strictEqual(newer.targets.length, 1);
+
+	const older = await dedust('delete *.o when older than "*.{c,h}"', testDir);
+	assert.strictEqual(older.targets.length, 0);
+});
+
+test("Evaluator - exists containing text", async () => {
+	createStructure({
+		workspace: {
+			"Cargo.toml": "[workspace]\nmembers = []",
+			target: {},
+		},
+		crate: {
+			"Cargo.toml": "[package]\nname = 'crate'",
+			target: {},
+		},
+	});
+
+	const result = await dedust('delete target when exists Cargo.toml containing "[workspace]"', testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("workspace"));
+});
+
+test("Evaluator - containing text with braces the target does not capture", async () => {
+	createStructure({
+		template: { "package.json": '{"name": "{name}"}', dist: {} },
+		app: { "package.json": '{"name": "app"}', dist: {} },
+		lib: { "lib.o": "", "lib.c": "lib {other}" },
+	});
+
+	const rules = 'delete dist when exists package.json containing "{name}"\ndelete {name}.o when exists *.c containing "{name} {other}"';
+	const result = await dedust(rules, testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	// '{name}' is matched literally in the first rule, and substituted with the capture in the second
+	assert.deepStrictEqual(targets, [path.join("lib", "lib.o"), path.join("template", "dist")]);
+});
+
+test("Evaluator - containing with location modifiers and globs", async () => {
+	createStructure({
+		monorepo: {
+			"package.json": '{ "workspaces": ["packages/*"] }',
+			packages: {
+				app: {
+					"package.json": '{ "name": "app" }',
+					dist: {},
+				},
+			},
+		},
+		single: {
+			"package.json": '{ "name": "single" }',
+			packages: {
+				lib: {
+					"package.json": '{ "name": "lib" }',
+					dist: {},
+				},
+			},
+		},
+	});
+
+	const parents = await dedust('delete dist when parents exists package.json containing "workspaces"', testDir);
+	assert.strictEqual(parents.targets.length, 1);
+	assert.ok(parents.targets[0].includes("monorepo"));
+
+	const glob = await dedust('delete dist when exists *.json containing "app"', testDir);
+	assert.strictEqual(glob.targets.length, 1);
+	assert.ok(glob.targets[0].includes("app"));
+});
+
+test("Evaluator - containing ignores binary files and reads a bounded prefix", async () => {
+	createStructure({
+		binary: {
+			"data.bin": "marker\u0000\u0001\u0002",
+			out: {},
+		},
+		large: {
+			"data.bin": "x".repeat(Evaluator.CONTENT_READ_LIMIT) + "marker",
+			out: {},
+		},
+		text: {
+			"data.bin": "some marker here",
+			out: {},
+		},
+	});
+
+	const result = await dedust('delete out when exists data.bin containing "marker"', testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].includes("text"));
+});
+
+test("Evaluator - captures link target and condition", async () => {
+	createStructure({
+		"foo.c": "int foo;",
+		"foo.o": "object",
+		"bar.o": "orphan object",
+		src: {
+			"baz.c": "int baz;",
+			"baz.o": "object",
+		},
+	});
+
+	const result = await dedust("delete {name}.o when exists {name}.c", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 2);
+	assert.ok(targets.some((t) => t.endsWith("foo.o")));
+	assert.ok(targets.some((t) => t.endsWith(path.join("src", "baz.o"))));
+	assert.ok(!targets.some((t) => t.endsWith("bar.o")));
+});
+
+test("Evaluator - captures with multiple dots and negation", async () => {
+	createStructure({
+		"app.js": "code",
+		"app.js.map": "map",
+		"old.js.map": "stale map",
+	});
+
+	const kept = await dedust("delete {name}.js.map when exists {name}.js", testDir);
+	assert.strictEqual(kept.targets.length, 1);
+	assert.ok(kept.targets[0].endsWith("app.js.map"));
+
+	const orphans = await dedust("delete {name}.js.map when not exists {name}.js", testDir);
+	assert.strictEqual(orphans.targets.length, 1);
+	assert.ok(orphans.targets[0].endsWith("old.js.map"));
+});
+
+test("Evaluator - capture values in file:found events", async () => {
+	createStructure({
+		"mod.py": "print()",
+		"mod.pyc": "bytecode",
+	});
+
+	const found = [];
+	await dedust("delete {name}.pyc when exists {name}.py", testDir, {
+		onFileFound: (data) => found.push(data),
+	});
+
+	assert.strictEqual(found.length, 1);
+	assert.deepStrictEqual(found[0].captures, { name: "mod" });
+});
+
+test("Evaluator - captures substituted into reference paths", async () => {
+	createStructure({
+		"a.c": "source",
+		"a.o": "object",
+		"b.c": "source",
+		"b.o": "object",
+	});
+	setAgeInDays(path.join(testDir, "a.o"), 5);
+	setAgeInDays(path.join(testDir, "a.c"), 1);
+	setAgeInDays(path.join(testDir, "b.c"), 5);
+	setAgeInDays(path.join(testDir, "b.o"), 1);
+
+	const result = await dedust("delete {name}.o when older than {name}.c", testDir);
+	const targets = result.targets;
+
+	assert.strictEqual(targets.length, 1);
+	assert.ok(targets[0].endsWith("a.o"));
+});
+
+test("Evaluator - block rules share their condition", async () => {
+	createStructure({
+		web: {
+			"package.json": "{}",
+			"tsconfig.json": "{}",
+			node_modules: {},
+			dist: {},
+			"app.tsbuildinfo": "",
+		},
+		lib: {
+			"package.json": "{}",
+			dist: {},
+			"lib.tsbuildinfo": "",
+		},
+		other: {
+			dist: {},
+		},
+	});
+
+	const dsl = `when exists package.json {
+		delete node_modules; delete dist
+		when exists tsconfig.json { delete *.tsbuildinfo }
+	}`;
+	const result = await dedust(dsl, testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	assert.deepStrictEqual(targets, [
+		path.join("lib", "dist"),
+		path.join("web", "app.tsbuildinfo"),
+		path.join("web", "dist"),
+		path.join("web", "node_modules"),
+	]);
+});
+
+test("Evaluator - block condition is evaluated once per directory", async () => {
+	createStructure({
+		"package.json": "{}",
+		node_modules: {},
+		dist: {},
+		coverage: {},
+	});
+
+	const dsl = "when exists package.json { delete node_modules; delete dist; delete coverage }";
+	const evaluator = new Evaluator(parse(tokenize(dsl)), testDir);
+	const exists = evaluator.exists.bind(evaluator);
+	let calls = 0;
+	evaluator.exists = (...args) => {
+		calls++;
+		return exists(...args);
+	};
+
+	const targets = await evaluator.evaluate();
+
+	assert.strictEqual(targets.length, 3);
+	// One check in each of the four scanned directories
+	assert.strictEqual(calls, 4);
+});
+
+test("Evaluator - full glob syntax in unquoted patterns", async () => {
+	createStructure({
+		"a.log": "",
+		"b.tmp": "",
+		"keep.log": "",
+		"file1.txt": "",
+		"file22.txt": "",
+		"main.c": "",
+		"main.obj": "",
+		"x.o": "",
+		"9.o": "",
+	});
+
+	/** @param {string} dsl */
+	const find = async (dsl) => (await dedust(dsl, testDir)).targets.map((t) => path.basename(t)).sort();
+
+	assert.deepStrictEqual(await find("delete *.{log,tmp}"), ["a.log", "b.tmp", "keep.log"]);
+	assert.deepStrictEqual(await find("delete file?.txt"), ["file1.txt"]);
+	assert.deepStrictEqual(await find("delete [!0-9].o"), ["x.o"]);
+	assert.deepStrictEqual(await find("delete !(keep).log"), ["a.log"]);
+	assert.deepStrictEqual(await find("delete {name}.{o,obj} when exists {name}.c"), ["main.obj"]);
+	assert.deepStrictEqual(await find("delete *.txt when exists +(main|lib).c"), ["file1.txt", "file22.txt"]);
+});
@@ -0,0 +1,105 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-except");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules) => findRelativeTargetsHelper(rules, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Except - parse exception lists", () => {
+	const rules = parse(
+		tokenize(`
+			delete *.log except important.log, audit-*.log
+			delete dist/* except dist/.gitkeep when exists package.json
+			delete **/*.tmp at depth <= 2 except cache/ keep newest 1
+			delete except
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => r.except),
+		[["important.log", "audit-*.log"], ["dist/.gitkeep"], ["cache"], []]
+	);
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, "package.json");
+	assert.strictEqual(rules[2].keep?.count, 1);
+	// 'except' is not a keyword, so it can still be a target
+	assert.strictEqual(rules[3].target, "except");
+
+	assert.throws(() => parse(tokenize("delete *.log except")), /Expected pattern after 'except' at line 1, column 20/);
+	assert.throws(() => parse(tokenize("delete *.log except a.log,")), /Expected pattern after ',' at line 1, column 27/);
+	assert.throws(() => parse(tokenize("skip vendor except vendor/a")), /'except' is not supported on 'skip' rules/);
+});
+
+test("Except - exceptions only spare matches of their own rule", async () => {
+	createStructure({
+		"app.log": "",
+		"important.log": "",
+		"audit-2024.log": "",
+		logs: { "important.log": "", "debug.log": "" },
+		"important.tmp": "",
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.log except important.log, audit-*.log"), [
+		"app.log",
+		"logs/debug.log",
+	]);
+	// Another rule still matches what the first one spares
+	assert.deepStrictEqual(await findRelativeTargets("delete *.log except important.log\ndelete important.*"), [
+		"app.log",
+		"audit-2024.log",
+		"important.log",
+		"important.tmp",
+		"logs/debug.log",
+		"logs/important.log",
+	]);
+});
+
+test("Except - patterns are relative to the directory the rule applies in", async () => {
+	createStructure({
+		web: {
+			"package.json": "{}",
+			dist: { ".gitkeep": "", "app.js": "", assets: { "logo.svg": "" } },
+		},
+		docs: {
+			"package.json": "{}",
+			dist: { "index.html": "" },
+			cache: { "a.tmp": "" },
+			"b.tmp": "",
+		},
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete dist/* except dist/.gitkeep when exists package.json"), [
+		"docs/dist/index.html",
+		"web/dist/app.js",
+		"web/dist/assets",
+	]);
+	// Matches inside an excepted directory are spared too
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.tmp except cache when exists package.json"), ["docs/b.tmp"]);
+});
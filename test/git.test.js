@@ -0,0 +1,221 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-git");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules) => findRelativeTargetsHelper(rules, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+/**
+ * Build a git index file listing the given paths, as git writes it
+ * @param {string[]} paths - Paths relative to the working tree, sorted
+ * @param {number} version - Index version, 2 or 4
+ * @param {Buffer[]} extensions - Extensions to append, with their signature and size
+ * @returns {Buffer}
+ */
+function createIndex(paths, version = 2, extensions = []) {
+	const header = Buffer.alloc(12);
+	header.write("DIRC", 0, "latin1");
+	header.writeUInt32BE(version, 4);
+	header.writeUInt32BE(paths.length, 8);
+
+	const entries = [];
+	let previous = "";
+	for (const name of paths) {
+		// Zeroed stat fields and object hash, then the flags holding the name length
+		const fixed = Buffer.alloc(62);
+		fixed.writeUInt16BE(Math.min(Buffer.byteLength(name), 0xfff), 60);
+		if (version === 4) {
+			// Prefix compression: the number of characters dropped from the previous name (below 128 here)
+			let common = 0;
+			while (common < previous.length && previous[common] === name[common]) {
+				common++;
+			}
+			entries.push(fixed, Buffer.from([previous.length - common]), Buffer.from(name.slice(common) + "\0"));
+		} else {
+			const length = fixed.length + Buffer.byteLength(name);
+			entries.push(fixed, Buffer.from(name), Buffer.alloc(8 - (length % 8)));
+		}
+		previous = name;
+	}
+	// The trailing checksum is not read
+	return Buffer.concat([header, ...entries, ...extensions, Buffer.alloc(20)]);
+}
+
+/**
+ * Build the 'link' extension of a split index
+ * @param {string} hash - Hex name of the shared index
+ * @param {number[]} deleted - Positions of the shared index entries removed, below 64 here
+ * @returns {Buffer}
+ */
+function createLinkExtension(hash, deleted) {
+	// EWAH bitmaps: size in bits, one run-length word announcing one literal word, the literal word, the last run-length word
+	const bitmap = (/** @type {number[]} */ positions) => {
+		const buffer = Buffer.alloc(28);
+		buffer.writeUInt32BE(64, 0);
+		buffer.writeUInt32BE(2, 4);
+		buffer.writeUInt32BE(1 << 1, 8);
+		for (const position of positions) {
+			const offset = position < 32 ? 20 : 16;
+			buffer.writeUInt32BE((buffer.readUInt32BE(offset) | (1 << position % 32)) >>> 0, offset);
+		}
+		return buffer;
+	};
+	const data = Buffer.concat([Buffer.from(hash, "hex"), bitmap(deleted), bitmap([])]);
+	const header = Buffer.alloc(8);
+	header.write("link", 0, "latin1");
+	header.writeUInt32BE(data.length, 4);
+	return Buffer.concat([header, data]);
+}
+
+/**
+ * Create a repository at the test directory, tracking the given paths
+ * @param {string[]} tracked
+ * @param {number} [version]
+ */
+function createRepository(tracked, version) {
+	createStructure({ ".git": { info: {}, objects: {}, refs: {}, HEAD: "ref: refs/heads/main\n" } });
+	fs.writeFileSync(path.join(testDir, ".git", "index"), createIndex(tracked, version));
+}
+
+test("Git - parse gitignored and tracked predicates", () => {
+	const rules = parse(
+		tokenize(`
+			delete ** when gitignored
+			delete build when not tracked and exists package.json
+			delete tracked when exists gitignored
+		`)
+	);
+
+	const predicate = { location: "here", pattern: null, patternType: "any", negated: null };
+	assert.deepStrictEqual(rules[0].condition?.predicate, { type: "gitignored", ...predicate });
+	assert.deepStrictEqual(rules[1].condition?.left, { type: "not", ...predicate, negated: { type: "tracked", ...predicate } });
+	// 'gitignored' and 'tracked' are not keywords, so they can still be patterns
+	assert.strictEqual(rules[2].target, "tracked");
+	assert.strictEqual(rules[2].condition?.predicate?.pattern, "gitignored");
+});
+
+test("Git - gitignored follows nested .gitignore files, negation and info/exclude", async () => {
+	createRepository([".gitignore", "app/.gitignore", "app/src/index.js", "debug.log"]);
+	createStructure({
+		".gitignore": "# build output\n*.log\n!keep.log\n/dist/\ntmp/\ncache/**/*.bin\n",
+		".git": { info: { exclude: "local.txt\n" } },
+		"debug.log": "tracked files are never ignored",
+		"keep.log": "",
+		"local.txt": "",
+		dist: { "bundle.js": "", "keep.log": "" },
+		cache: { "a.bin": "", deep: { "b.bin": "" } },
+		app: {
+			".gitignore": "!important.log\nkeep.log\n/generated\n",
+			"error.log": "",
+			"important.log": "",
+			"keep.log": "",
+			generated: { "out.js": "" },
+			dist: { "bundle.js": "" },
+			tmp: { "notes.txt": "" },
+			src: { "index.js": "", "local.txt": "" },
+		},
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete ** when gitignored"), [
+		// Everything inside an ignored directory is ignored, even where a pattern would re-include it
+		"app/error.log",
+		"app/generated",
+		"app/generated/out.js",
+		"app/keep.log",
+		"app/src/local.txt",
+		"app/tmp",
+		"app/tmp/notes.txt",
+		"cache/a.bin",
+		"cache/deep/b.bin",
+		"dist",
+		"dist/bundle.js",
+		"dist/keep.log",
+		"local.txt",
+	]);
+});
+
+test("Git - tracked reads the index", async () => {
+	for (const version of [2, 4]) {
+		cleanup();
+		createRepository([".gitignore", "app/package.json", "app/src/index.js", "lib/util.js"], version);
+		createStructure({
+			".gitignore": "build/\n",
+			app: { "package.json": "{}", src: { "index.js": "" }, build: { "out.js": "" }, scratch: {} },
+			lib: { "util.js": "", "util.js.map": "" },
+		});
+
+		assert.deepStrictEqual(await findRelativeTargets("delete * at depth 1 when not tracked"), [], `version ${version}`);
+		assert.deepStrictEqual(
+			await findRelativeTargets("delete * at depth 2 when not tracked"),
+			["app/build", "app/scratch", "lib/util.js.map"],
+			`version ${version}`
+		);
+		assert.deepStrictEqual(
+			await findRelativeTargets("delete **/*.js when tracked"),
+			["app/src/index.js", "lib/util.js"],
+			`version ${version}`
+		);
+	}
+});
+
+test("Git - tracked merges the shared index of a split index", async () => {
+	const hash = "0123456789abcdef0123456789abcdef01234567";
+	createRepository([]);
+	createStructure({ "app.js": "", "new.js": "", "old.js": "", "untracked.js": "", lib: { "util.js": "" } });
+	// The shared index holds the paths from before the split; 'old.js' was removed since, 'new.js' added
+	fs.writeFileSync(path.join(testDir, ".git", `sharedindex.${hash}`), createIndex(["app.js", "lib/util.js", "old.js"]));
+	fs.writeFileSync(path.join(testDir, ".git", "index"), createIndex(["", "new.js"], 2, [createLinkExtension(hash, [2])]));
+
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.js when not tracked"), ["old.js", "untracked.js"]);
+
+	// Reading the index without its shared index would under-report tracked paths
+	fs.rmSync(path.join(testDir, ".git", `sharedindex.${hash}`));
+	await assert.rejects(() => findRelativeTargets("delete **/*.js when not tracked"), /Cannot read the shared index of split git index/);
+});
+
+test("Git - nested repositories and the .git directory are tracked and never ignored", async () => {
+	createRepository([".gitignore"]);
+	createStructure({
+		".gitignore": "vendor/*\n",
+		vendor: {
+			lib: { ".git": "gitdir: ../../.git/modules/lib\n", "x.txt": "", "y.txt": "" },
+			other: { "z.txt": "" },
+		},
+		".git": { modules: { lib: {} } },
+	});
+	fs.writeFileSync(path.join(testDir, ".git", "modules", "lib", "index"), createIndex(["x.txt"]));
+
+	assert.deepStrictEqual(await findRelativeTargets("delete vendor/* when gitignored"), ["vendor/other"]);
+	// Inside the nested repository, its own index applies
+	assert.deepStrictEqual(await findRelativeTargets("delete vendor/lib/* when not tracked"), ["vendor/lib/y.txt"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete vendor/lib/.git when not tracked"), []);
+	assert.deepStrictEqual(await findRelativeTargets("delete .git/** when not tracked or gitignored"), []);
+});
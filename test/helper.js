@@ -1,5 +1,6 @@
 import path from "node:path";
 import fs from "node:fs";
+import dedust from "../src/index.js";
 
 /**
  * Create a test directory structure
@@ -24,3 +25,26 @@ export function createStructure(structure, baseDir) {
 		}
 	}
 }
+
+/**
+ * Get the targets of rules, relative to the base directory, with '/' separators and sorted
+ * @param {string} rules - DSL text
+ * @param {string} baseDir - Base directory to scan
+ * @param {import("../src/index.js").DedustOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function findRelativeTargets(rules, baseDir, options) {
+	const result = await dedust(rules, baseDir, options);
+	return result.targets.map((target) => path.relative(baseDir, target).split(path.sep).join("/")).sort();
+}
+
+/**
+ * Set the modification time of a path, days before now
+ * @param {string} relativePath - Path relative to the base directory
+ * @param {number} days
+ * @param {string} baseDir - Base directory the path is relative to
+ */
+export function age(relativePath, days, baseDir) {
+	const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+	fs.utimesSync(path.join(baseDir, relativePath), time, time);
+}
@@ -248,8 +248,8 @@ test("DSL Ignore - simple ignore in DSL", async () => {
 	});
 
 	const dsl = `
-		ignore .git
 		delete *
+		ignore .git
 	`;
 	const result = await dedust(dsl, testDir, { skipValidation: true  });
 	const targets = result.targets;
@@ -275,9 +275,9 @@ test("DSL Ignore - multiple ignore rules in DSL", async () => {
 	});
 
 	const dsl = `
+		delete *
 		ignore .git
 		ignore .svn
-		delete *
 	`;
 	const result = await dedust(dsl, testDir, { skipValidation: true  });
 	const targets = result.targets;
@@ -298,8 +298,8 @@ test("DSL Ignore - ignore with glob patterns", async () => {
 	});
 
 	const dsl = `
-		ignore important.*
 		delete *.log
+		ignore important.*
 	`;
 	const result = await dedust(dsl, testDir);
 	const targets = result.targets;
@@ -323,8 +323,8 @@ test("DSL Ignore - ignore nested directories", async () => {
 	});
 
 	const dsl = `
-		ignore node_modules/**
 		delete **/*.js
+		ignore node_modules/**
 	`;
 	const result = await dedust(dsl, testDir);
 	const targets = result.targets;
@@ -350,8 +350,8 @@ test("DSL Ignore - combined DSL and API ignore", async () => {
 	});
 
 	const dsl = `
-		ignore .git
 		delete **/*
+		ignore .git
 	`;
 	const result = await dedust(dsl, testDir, { ignore: ["node_modules/**"], skipValidation: true  });
 	const targets = result.targets;
@@ -374,8 +374,8 @@ test("DSL Ignore - execute with DSL ignore", async () => {
 	});
 
 	const dsl = `
-		ignore .git
 		delete *
+		ignore .git
 	`;
 	const scan = await dedust(dsl, testDir, { skipValidation: true });
 	const result = await scan.execute();
@@ -391,3 +391,26 @@ test("DSL Ignore - execute with DSL ignore", async () => {
 	assert.ok(!fs.existsSync(path.join(testDir, "build")));
 	assert.ok(!fs.existsSync(path.join(testDir, "temp.log")));
 });
+
+test("Ignore - conditional ignore", async () => {
+	createStructure({
+		lib: {
+			".publish-keep": "",
+			"package.json": "{}",
+			dist: { "index.js": "code" },
+		},
+		app: {
+			"package.json": "{}",
+			dist: { "index.js": "code" },
+		},
+	});
+
+	const dsl = `
+		delete dist when exists package.json
+		ignore dist when exists .publish-keep
+	`;
+	const result = await dedust(dsl, testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t));
+
+	assert.deepStrictEqual(targets, [path.join("app", "dist")]);
+});
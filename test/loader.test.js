@@ -0,0 +1,183 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust, { loadRules } from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-loader");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Loader - include is resolved relative to the including file", async () => {
+	createStructure({
+		"dedust.rules": "skip .git\ninclude ./shared/node.rules\ndelete *.log",
+		shared: {
+			"node.rules": "delete node_modules when exists package.json\ninclude 'rust.rules'",
+			"rust.rules": "delete target when exists Cargo.toml",
+		},
+	});
+
+	const rules = await loadRules(path.join(testDir, "dedust.rules"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => r.target),
+		[".git", "node_modules", "target", "*.log"]
+	);
+	assert.deepStrictEqual(rules[0].source, { file: path.join(testDir, "dedust.rules"), line: 1 });
+	assert.deepStrictEqual(rules[1].source, { file: path.join(testDir, "shared", "node.rules"), line: 1 });
+	assert.deepStrictEqual(rules[2].source, { file: path.join(testDir, "shared", "rust.rules"), line: 1 });
+	assert.deepStrictEqual(rules[3].source, { file: path.join(testDir, "dedust.rules"), line: 3 });
+});
+
+test("Loader - loaded rules can be passed to dedust", async () => {
+	createStructure({
+		"base.rules": "include node.rules",
+		"node.rules": "delete node_modules when exists package.json",
+		project: {
+			"package.json": "{}",
+			node_modules: {},
+		},
+	});
+
+	const rules = await loadRules(path.join(testDir, "base.rules"));
+	const result = await dedust(rules, path.join(testDir, "project"));
+
+	assert.strictEqual(result.targets.length, 1);
+	assert.ok(result.targets[0].endsWith("node_modules"));
+});
+
+test("Loader - error on include cycle", async () => {
+	createStructure({
+		"a.rules": "delete *.tmp\ninclude b.rules",
+		"b.rules": "include a.rules",
+	});
+
+	await assert.rejects(loadRules(path.join(testDir, "a.rules")), (error) => {
+		assert.match(error.message, /Include cycle detected: .*a\.rules -> .*b\.rules -> .*a\.rules/);
+		assert.ok(error.message.endsWith(`at line 1, column 1 in ${path.join(testDir, "b.rules")}`));
+		return true;
+	});
+});
+
+test("Loader - errors report the originating file and line", async () => {
+	createStructure({
+		"base.rules": "delete *.tmp\ninclude shared.rules",
+		"shared.rules": "delete *.log\ndelete when exists",
+	});
+
+	await assert.rejects(loadRules(path.join(testDir, "base.rules")), {
+		message: `Expected target pattern at line 2, column 8 in ${path.join(testDir, "shared.rules")}`,
+	});
+});
+
+test("Loader - tokenizer errors report the originating file", async () => {
+	createStructure({
+		"base.rules": "delete *.tmp\ninclude shared.rules",
+		"shared.rules": "delete *.log\ndelete a$b",
+	});
+
+	await assert.rejects(loadRules(path.join(testDir, "base.rules")), {
+		message: `Unexpected character '$' at line 2, column 9 (quote patterns containing it) in ${path.join(testDir, "shared.rules")}`,
+	});
+});
+
+test("Loader - error on missing included file", async () => {
+	createStructure({
+		"base.rules": "include missing.rules",
+	});
+
+	await assert.rejects(loadRules(path.join(testDir, "base.rules")), /Included file not found: .*missing\.rules at line 1, column 1/);
+});
+
+test("Loader - shared rules included from a profile section belong to that profile", async () => {
+	createStructure({
+		"dedust.rules": "delete *.tmp\nprofile ci:\ninclude ci.rules",
+		"ci.rules": "delete node_modules when exists package.json\nprofile local:\ndelete *.log",
+	});
+
+	const rules = await loadRules(path.join(testDir, "dedust.rules"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.target, r.profile]),
+		[
+			["*.tmp", null],
+			["node_modules", "ci"],
+			["*.log", "local"],
+		]
+	);
+});
+
+test("Loader - rule ids must be unique across included files", async () => {
+	createStructure({
+		"dedust.rules": "delete *.tmp as tmp\ninclude node.rules",
+		"node.rules": "delete node_modules when exists package.json as tmp",
+	});
+
+	await assert.rejects(
+		loadRules(path.join(testDir, "dedust.rules")),
+		/Duplicate rule id 'tmp' at line 1 in .*node\.rules \(first used at line 1 in .*dedust\.rules\)/
+	);
+});
+
+test("Loader - a file included several times is loaded once", async () => {
+	createStructure({
+		"dedust.rules": "include a.rules\ninclude b.rules",
+		"a.rules": "include base.rules\ndelete *.a",
+		"b.rules": "include base.rules\ndelete *.b",
+		"base.rules": "delete *.tmp as tmp\ndelete *.bak",
+	});
+
+	const rules = await loadRules(path.join(testDir, "dedust.rules"));
+
+	assert.deepStrictEqual(rules.map((r) => r.target), ["*.tmp", "*.bak", "*.a", "*.b"]);
+});
+
+test("Loader - a file included from a profile section and outside it is loaded for both", async () => {
+	createStructure({
+		"dedust.rules": "include base.rules\nprofile ci:\ninclude base.rules",
+		"base.rules": "delete *.tmp as tmp",
+	});
+
+	const rules = await loadRules(path.join(testDir, "dedust.rules"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.target, r.id, r.profile]),
+		[
+			["*.tmp", "tmp", null],
+			["*.tmp", "tmp", "ci"],
+		]
+	);
+});
+
+test("Loader - include is not available in DSL text", () => {
+	assert.throws(() => parse(tokenize("include base.rules")), /'include' is only supported in rules files loaded with loadRules\(\)/);
+	assert.throws(() => parse(tokenize("when exists a { include b.rules }")), /'include' must be at the top level/);
+
+	// Directories named 'include' can still be targeted
+	assert.strictEqual(parse(tokenize("delete include when exists Makefile"))[0].target, "include");
+});
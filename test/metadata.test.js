@@ -0,0 +1,135 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-metadata");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules, options) => findRelativeTargetsHelper(rules, testDir, options);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+const RULES = `
+	ignore .git as vcs
+	delete target when exists Cargo.toml as rust-target "Cargo build output" tags rust, build
+	delete node_modules when exists package.json as node-modules tags node
+	delete dist when exists package.json tags node, build
+	delete *.log
+`;
+
+test("Metadata - parse rule ids, descriptions and tags", () => {
+	const rules = parse(tokenize(RULES + "archive logs into .archive as logs-archive\ndelete as as as"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.id, r.description, r.tags]),
+		[
+			["vcs", null, []],
+			["rust-target", "Cargo build output", ["rust", "build"]],
+			["node-modules", null, ["node"]],
+			[null, null, ["node", "build"]],
+			[null, null, []],
+			["logs-archive", null, []],
+			// 'as' and 'tags' are not keywords, so they can still be targets
+			["as", null, []],
+		]
+	);
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, "Cargo.toml");
+	assert.strictEqual(rules[5].destination, ".archive");
+
+	assert.throws(() => parse(tokenize("delete a as")), /Expected rule id after 'as' at line 1, column 12/);
+	assert.throws(() => parse(tokenize('delete a as "a b"')), /Expected rule id after 'as' at line 1, column 13/);
+	assert.throws(() => parse(tokenize("delete a tags x,")), /Expected tag after ',' at line 1, column 17/);
+	assert.throws(
+		() => parse(tokenize("delete a as x\ndelete b as x")),
+		/Duplicate rule id 'x' \(first used at line 1\) at line 2, column 13/
+	);
+});
+
+test("Metadata - rule metadata flows into events and the result", async () => {
+	createStructure({
+		rust: { "Cargo.toml": "", target: {} },
+		web: { "package.json": "{}", node_modules: {} },
+	});
+
+	const found = [];
+	const result = await dedust(RULES, testDir, { onFileFound: (event) => found.push([path.basename(event.path), event.rule.id]) });
+
+	assert.deepStrictEqual(found.sort(), [
+		["node_modules", "node-modules"],
+		["target", "rust-target"],
+	]);
+	const match = result.matches.get(path.join(testDir, "rust", "target"));
+	assert.strictEqual(match?.rule.description, "Cargo build output");
+	assert.deepStrictEqual(match?.rule.tags, ["rust", "build"]);
+	assert.strictEqual(match?.directory, path.join(testDir, "rust"));
+});
+
+test("Metadata - enableRules, disableRules and tags select rules", async () => {
+	createStructure({
+		".git": { "debug.log": "" },
+		rust: { "Cargo.toml": "", target: {} },
+		web: { "package.json": "{}", node_modules: {}, dist: {}, "npm.log": "" },
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { tags: ["build"] }), ["rust/target", "web/dist"]);
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { enableRules: ["node-modules"] }), ["web/node_modules"]);
+	// Rules enabled by id and by tag add up
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { enableRules: ["node-modules"], tags: ["rust"] }), [
+		"rust/target",
+		"web/node_modules",
+	]);
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { tags: ["node"], disableRules: ["node-modules"] }), ["web/dist"]);
+	// Ignore rules are kept when narrowing, but can be disabled by id
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { disableRules: ["rust-target", "node-modules"] }), ["web/dist", "web/npm.log"]);
+	assert.deepStrictEqual(await findRelativeTargets(RULES, { disableRules: ["vcs", "rust-target", "node-modules"] }), [
+		".git/debug.log",
+		"web/dist",
+		"web/npm.log",
+	]);
+
+	await assert.rejects(
+		() => dedust(RULES, testDir, { enableRules: ["rust"] }),
+		/Unknown rule id 'rust'. Available rule ids: vcs, rust-target/
+	);
+	await assert.rejects(() => dedust(RULES, testDir, { tags: ["python"] }), /Unknown tag 'python'. Available tags: rust, build, node/);
+});
+
+test("Metadata - execute applies the selected rules only", async () => {
+	createStructure({
+		rust: { "Cargo.toml": "", target: {} },
+		web: { "package.json": "{}", node_modules: {}, dist: {} },
+	});
+
+	const deleted = [];
+	const result = await dedust(RULES, testDir, { tags: ["rust"], onFileDeleted: (event) => deleted.push(path.basename(event.path)) });
+	await result.execute();
+
+	assert.deepStrictEqual(deleted, ["target"]);
+	assert.strictEqual(fs.existsSync(path.join(testDir, "web", "node_modules")), true);
+	assert.strictEqual(fs.existsSync(path.join(testDir, "web", "dist")), true);
+});
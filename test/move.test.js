@@ -0,0 +1,187 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import dedust, { Evaluator } from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-move");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Move - parse move rules", () => {
+	const rules = parse(
+		tokenize(`
+			move *.log to .trash/ when larger than 1MB
+			move dir build when exists package.json to "old builds"
+			delete to
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target, r.targetType, r.destination]),
+		[
+			["move", "*.log", "any", ".trash"],
+			["move", "build", "dir", "old builds"],
+			["delete", "to", "any", null],
+		]
+	);
+	assert.throws(() => parse(tokenize("move *.log")), /'move' rules need a destination \('to <dir>'\) at line 1, column 1/);
+	assert.throws(() => parse(tokenize("move *.log into .trash")), /'into' is only supported on 'archive' rules at line 1, column 12/);
+	assert.throws(() => parse(tokenize("delete *.log to .trash")), /'to' is only supported on 'move' rules at line 1, column 14/);
+	assert.throws(() => parse(tokenize("move *.log to")), /Expected destination directory after 'to'/);
+});
+
+test("Move - targets keep their path relative to the directory the rule applies in", async () => {
+	createStructure({
+		app: {
+			"package.json": "{}",
+			logs: { "a.log": "a", "b.log": "b" },
+			".trash": { logs: { "b.log": "older b" } },
+		},
+	});
+
+	const result = await dedust("move logs/*.log to .trash when exists package.json", testDir);
+	// The destination is never a target
+	assert.deepStrictEqual(result.targets.map((t) => path.relative(testDir, t)).sort(), [
+		path.join("app", "logs", "a.log"),
+		path.join("app", "logs", "b.log"),
+	]);
+
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.moved, [
+		{ path: path.join(testDir, "app", "logs", "a.log"), destination: path.join(testDir, "app", ".trash", "logs", "a.log") },
+	]);
+	assert.deepStrictEqual(stats.deleted, []);
+	assert.strictEqual(fs.readFileSync(path.join(testDir, "app", ".trash", "logs", "a.log"), "utf8"), "a");
+
+	// Existing paths are never overwritten
+	assert.strictEqual(stats.errors.length, 1);
+	assert.match(stats.errors[0].error.message, /Cannot move .*b\.log: .*already exists/);
+	assert.strictEqual(fs.readFileSync(path.join(testDir, "app", "logs", "b.log"), "utf8"), "b");
+	assert.strictEqual(fs.readFileSync(path.join(testDir, "app", ".trash", "logs", "b.log"), "utf8"), "older b");
+});
+
+test("Move - moved paths are not moved again by the next run", async () => {
+	createStructure({
+		"a.log": "a",
+	});
+
+	const rules = "move *.log to old";
+	const stats = await (await dedust(rules, testDir)).execute();
+	assert.deepStrictEqual(stats.errors, []);
+	assert.deepStrictEqual(stats.moved, [{ path: path.join(testDir, "a.log"), destination: path.join(testDir, "old", "a.log") }]);
+
+	// The rule also applies in 'old', whose destination 'old/old' would push the earlier move one level deeper
+	const result = await dedust(rules, testDir);
+	assert.deepStrictEqual(result.targets, []);
+	await result.execute();
+	assert.deepStrictEqual(fs.readdirSync(path.join(testDir, "old")), ["a.log"]);
+});
+
+test("Move - quarantine moves deleted targets into a timestamped directory", async () => {
+	createStructure({
+		project: {
+			"package.json": "{}",
+			node_modules: { pkg: { "index.js": "" } },
+			"debug.log": "log",
+		},
+	});
+
+	const moved = [];
+	const rules = "delete node_modules when exists package.json\ndelete **/*.log";
+	const result = await dedust(rules, testDir, {
+		quarantine: ".dedust-quarantine",
+		onFileMoved: (data) => moved.push(data),
+	});
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.deleted, []);
+	assert.deepStrictEqual(stats.errors, []);
+	assert.deepStrictEqual(moved, stats.moved);
+
+	const runs = fs.readdirSync(path.join(testDir, ".dedust-quarantine"));
+	assert.strictEqual(runs.length, 1);
+	assert.match(runs[0], /^\d{8}T\d{6}Z$/);
+	const runDir = path.join(testDir, ".dedust-quarantine", runs[0]);
+
+	// Paths keep their structure under the base directory
+	assert.deepStrictEqual(
+		moved.map((entry) => path.relative(runDir, entry.destination)).sort(),
+		[path.join("project", "debug.log"), path.join("project", "node_modules")]
+	);
+	assert.ok(fs.existsSync(path.join(runDir, "project", "node_modules", "pkg", "index.js")));
+	assert.ok(!fs.existsSync(path.join(testDir, "project", "node_modules")));
+
+	// The quarantine directory is never scanned, so its contents are not found again
+	const again = await dedust(rules, testDir, { quarantine: ".dedust-quarantine" });
+	assert.deepStrictEqual(again.targets, []);
+});
+
+test("Move - moves across file systems copy, then remove the original", async () => {
+	createStructure({
+		build: {
+			"out.js": "output",
+			assets: { "logo.svg": "<svg/>" },
+		},
+	});
+	// Windows has no POSIX permissions, and creating symbolic links there needs elevated rights
+	const posix = process.platform !== "win32";
+	if (posix) {
+		fs.chmodSync(path.join(testDir, "build", "out.js"), 0o600);
+		fs.symlinkSync("out.js", path.join(testDir, "build", "latest.js"));
+	}
+
+	const evaluator = new Evaluator(parse(tokenize("move build to .trash")), testDir);
+	const targets = await evaluator.evaluate();
+
+	// Simulate a destination on another device
+	const rename = fsp.rename;
+	let renames = 0;
+	fsp.rename = async () => {
+		renames++;
+		throw Object.assign(new Error("cross-device link not permitted"), { code: "EXDEV" });
+	};
+	let result;
+	try {
+		result = await evaluator.execute(targets);
+	} finally {
+		fsp.rename = rename;
+	}
+
+	assert.strictEqual(renames, 1);
+	const destination = path.join(testDir, ".trash", "build");
+	assert.deepStrictEqual(result.moved, [{ path: path.join(testDir, "build"), destination }]);
+	assert.ok(!fs.existsSync(path.join(testDir, "build")));
+	assert.strictEqual(fs.readFileSync(path.join(destination, "assets", "logo.svg"), "utf8"), "<svg/>");
+	if (posix) {
+		assert.strictEqual(fs.statSync(path.join(destination, "out.js")).mode & 0o777, 0o600);
+		assert.strictEqual(fs.readlinkSync(path.join(destination, "latest.js")), "out.js");
+	}
+});
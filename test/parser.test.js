@@ -39,7 +39,7 @@ test("Parser - with location modifier", () => {
 });
 
 test("Parser - all location types", () => {
-	const locations = ["here", "parent", "parents", "child", "children", "sibling"];
+	const locations = ["here", "parent", "parents", "child", "children", "sibling", "root", "ancestors-or-self"];
 
 	for (const loc of locations) {
 		const input = `delete target when ${loc} exists file.txt`;
@@ -191,7 +191,7 @@ test("Parser - error on invalid action", () => {
 
 	assert.throws(() => {
 		parse(tokens);
-	}, /Expected 'delete', 'ignore', or 'skip' action/);
+	}, /Expected 'delete', 'empty', 'truncate', 'archive', 'move', 'ignore', 'skip', or 'protect' action/);
 });
 
 test("Parser - quoted string as target", () => {
@@ -338,3 +338,414 @@ test("Parser - ignore with quoted pattern", () => {
 	assert.strictEqual(rules[0].action, "ignore");
 	assert.strictEqual(rules[0].target, "My Important Files");
 });
+
+test("Parser - with OR condition", () => {
+	const input = "delete target when exists Cargo.toml or parent exists Cargo.toml";
+	const tokens = tokenize(input);
+	const rules = parse(tokens);
+
+	assert.strictEqual(rules[0].condition?.type, "or");
+	assert.strictEqual(rules[0].condition?.left?.type, "exists");
+	assert.strictEqual(rules[0].condition?.left?.location, "here");
+	assert.strictEqual(rules[0].condition?.right?.type, "exists");
+	assert.strictEqual(rules[0].condition?.right?.location, "parent");
+});
+
+test("Parser - AND binds tighter than OR", () => {
+	const input = "delete target when exists a or exists b and exists c";
+	const tokens = tokenize(input);
+	const rules = parse(tokens);
+
+	const condition = rules[0].condition;
+	assert.strictEqual(condition?.type, "or");
+	assert.strictEqual(condition?.left?.pattern, "a");
+	assert.strictEqual(condition?.right?.type, "and");
+	assert.strictEqual(condition?.right?.left?.pattern, "b");
+	assert.strictEqual(condition?.right?.right?.pattern, "c");
+});
+
+test("Parser - NOT binds tighter than AND", () => {
+	const input = "delete target when not exists a and exists b";
+	const tokens = tokenize(input);
+	const rules = parse(tokens);
+
+	const condition = rules[0].condition;
+	assert.strictEqual(condition?.type, "and");
+	assert.strictEqual(condition?.left?.type, "not");
+	assert.strictEqual(condition?.left?.negated?.pattern, "a");
+	assert.strictEqual(condition?.right?.pattern, "b");
+});
+
+test("Parser - parenthesized grouping", () => {
+	const input = "delete target when (exists Cargo.toml or parent exists Cargo.toml) and not exists .keep";
+	const tokens = tokenize(input);
+	const rules = parse(tokens);
+
+	const condition = rules[0].condition;
+	assert.strictEqual(condition?.type, "and");
+	assert.strictEqual(condition?.left?.type, "or");
+	assert.strictEqual(condition?.left?.left?.pattern, "Cargo.toml");
+	assert.strictEqual(condition?.left?.right?.location, "parent");
+	assert.strictEqual(condition?.right?.type, "not");
+	assert.strictEqual(condition?.right?.negated?.pattern, ".keep");
+});
+
+test("Parser - NOT applied to a group", () => {
+	const input = "delete target when not (exists a or exists b)";
+	const tokens = tokenize(input);
+	const rules = parse(tokens);
+
+	const predicate = rules[0].condition?.predicate;
+	assert.strictEqual(rules[0].condition?.type, "predicate");
+	assert.strictEqual(predicate?.type, "not");
+	assert.strictEqual(predicate?.negated?.type, "or");
+});
+
+test("Parser - error on unclosed parenthesis", () => {
+	const input = "delete target when (exists a or exists b";
+	const tokens = tokenize(input);
+
+	assert.throws(() => {
+		parse(tokens);
+	}, /Expected '\)'/);
+});
+
+test("Parser - target without qualifier matches any entry", () => {
+	const rules = parse(tokenize("delete build"));
+
+	assert.strictEqual(rules[0].target, "build");
+	assert.strictEqual(rules[0].targetType, "any");
+});
+
+test("Parser - dir and file target qualifiers", () => {
+	const rules = parse(tokenize("delete dir build\ndelete file *.log"));
+
+	assert.strictEqual(rules[0].target, "build");
+	assert.strictEqual(rules[0].targetType, "dir");
+	assert.strictEqual(rules[1].target, "*.log");
+	assert.strictEqual(rules[1].targetType, "file");
+});
+
+test("Parser - trailing slash means directory only", () => {
+	const rules = parse(tokenize("delete build/ when exists dir src/"));
+
+	assert.strictEqual(rules[0].target, "build");
+	assert.strictEqual(rules[0].targetType, "dir");
+	assert.strictEqual(rules[0].condition?.predicate?.pattern, "src");
+	assert.strictEqual(rules[0].condition?.predicate?.patternType, "dir");
+});
+
+test("Parser - qualifier on exists pattern", () => {
+	const rules = parse(tokenize("delete target when parent exists file Cargo.toml and not exists dir .git"));
+
+	assert.strictEqual(rules[0].condition?.left?.patternType, "file");
+	assert.strictEqual(rules[0].condition?.left?.location, "parent");
+	assert.strictEqual(rules[0].condition?.right?.negated?.pattern, ".git");
+	assert.strictEqual(rules[0].condition?.right?.negated?.patternType, "dir");
+});
+
+test("Parser - entries literally named dir or file", () => {
+	const rules = parse(tokenize("delete dir\ndelete file when exists dir"));
+
+	assert.strictEqual(rules.length, 2);
+	assert.strictEqual(rules[0].target, "dir");
+	assert.strictEqual(rules[0].targetType, "any");
+	assert.strictEqual(rules[1].target, "file");
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, "dir");
+});
+
+test("Parser - keywords are patterns where a pattern is expected", () => {
+	const rules = parse(
+		tokenize(`
+			delete archive
+			delete logs when exists archive
+			ignore root
+			delete empty; delete truncate; delete move; delete protect
+			delete older when exists than or exists containing
+			delete larger when older than modified
+			delete or
+			delete dir when exists file containing "x"
+			delete file
+			delete dir root
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target, r.targetType]),
+		[
+			["delete", "archive", "any"],
+			["delete", "logs", "any"],
+			["ignore", "root", "any"],
+			["delete", "empty", "any"],
+			["delete", "truncate", "any"],
+			["delete", "move", "any"],
+			["delete", "protect", "any"],
+			["delete", "older", "any"],
+			["delete", "larger", "any"],
+			["delete", "or", "any"],
+			// A qualifier followed by a word that can follow a pattern, or starts the next rule, is the pattern itself
+			["delete", "dir", "any"],
+			["delete", "file", "any"],
+			["delete", "root", "dir"],
+		]
+	);
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, "archive");
+	assert.strictEqual(rules[7].condition?.type, "or");
+	assert.strictEqual(rules[8].condition?.predicate?.reference, "modified");
+	assert.deepStrictEqual(
+		[rules[10].condition?.predicate?.pattern, rules[10].condition?.predicate?.containing],
+		["file", "x"]
+	);
+	// 'when' is never a pattern
+	assert.throws(() => parse(tokenize("delete when exists x")), /Expected target pattern at line 1, column 8/);
+});
+
+test("Parser - error on file qualifier with trailing slash", () => {
+	assert.throws(() => {
+		parse(tokenize("delete file build/"));
+	}, /ends with '\/' but is qualified as 'file'/);
+});
+
+test("Parser - age predicate defaults to mtime", () => {
+	const rules = parse(tokenize("delete *.log when older than 14d"));
+
+	const predicate = rules[0].condition?.predicate;
+	assert.strictEqual(predicate?.type, "age");
+	assert.strictEqual(predicate?.timeField, "mtime");
+	assert.strictEqual(predicate?.comparison, "older");
+	assert.strictEqual(predicate?.duration, 14 * 24 * 60 * 60 * 1000);
+});
+
+test("Parser - age predicate with time field and units", () => {
+	const cases = [
+		["accessed older than 30d", "atime", "older", 30 * 24 * 60 * 60 * 1000],
+		["changed newer than 2h", "ctime", "newer", 2 * 60 * 60 * 1000],
+		["modified newer than 90s", "mtime", "newer", 90 * 1000],
+		["older than 1w", "mtime", "older", 7 * 24 * 60 * 60 * 1000],
+		["older than 1.5m", "mtime", "older", 90 * 1000],
+	];
+
+	for (const [condition, timeField, comparison, duration] of cases) {
+		const rules = parse(tokenize(`delete .cache when ${condition}`));
+		const predicate = rules[0].condition?.predicate;
+
+		assert.strictEqual(predicate?.timeField, timeField);
+		assert.strictEqual(predicate?.comparison, comparison);
+		assert.strictEqual(predicate?.duration, duration);
+	}
+});
+
+test("Parser - age predicate combined with exists", () => {
+	const rules = parse(tokenize("delete node_modules when exists package.json and not newer than 7d"));
+
+	const condition = rules[0].condition;
+	assert.strictEqual(condition?.type, "and");
+	assert.strictEqual(condition?.left?.type, "exists");
+	assert.strictEqual(condition?.right?.type, "not");
+	assert.strictEqual(condition?.right?.negated?.type, "age");
+});
+
+test("Parser - error on age predicate without duration", () => {
+	assert.throws(() => {
+		parse(tokenize("delete *.log when older than"));
+	}, /Expected duration/);
+
+	assert.throws(() => {
+		parse(tokenize("delete *.log when accessed 14d"));
+	}, /Expected 'older' or 'newer'/);
+});
+
+test("Parser - size predicates", () => {
+	const cases = [
+		["larger than 500MB", "larger", 500 * 1000 * 1000],
+		["smaller than 1GB", "smaller", 1000 * 1000 * 1000],
+		["larger than 64KiB", "larger", 64 * 1024],
+		["larger than 1.5MiB", "larger", 1.5 * 1024 * 1024],
+		["smaller than 10B", "smaller", 10],
+	];
+
+	for (const [condition, comparison, size] of cases) {
+		const rules = parse(tokenize(`delete *.core when ${condition}`));
+		const predicate = rules[0].condition?.predicate;
+
+		assert.strictEqual(predicate?.type, "size");
+		assert.strictEqual(predicate?.comparison, comparison);
+		assert.strictEqual(predicate?.size, size);
+	}
+});
+
+test("Parser - size predicate combined with exists", () => {
+	const rules = parse(tokenize("delete node_modules when exists package.json and larger than 500MB"));
+
+	assert.strictEqual(rules[0].condition?.type, "and");
+	assert.strictEqual(rules[0].condition?.right?.type, "size");
+});
+
+test("Parser - error on size predicate without size", () => {
+	assert.throws(() => {
+		parse(tokenize("delete *.core when larger than 14d"));
+	}, /Expected size/);
+});
+
+test("Parser - age predicate with reference path", () => {
+	const rules = parse(tokenize('delete dist when older than src\ndelete *.o when newer than "build config"'));
+
+	const first = rules[0].condition?.predicate;
+	assert.strictEqual(first?.type, "age");
+	assert.strictEqual(first?.comparison, "older");
+	assert.strictEqual(first?.reference, "src");
+	assert.strictEqual(first?.duration, undefined);
+
+	const second = rules[1].condition?.predicate;
+	assert.strictEqual(second?.comparison, "newer");
+	assert.strictEqual(second?.reference, "build config");
+});
+
+test("Parser - exists containing text", () => {
+	const rules = parse(tokenize('delete target when exists Cargo.toml containing "[workspace]"'));
+
+	const predicate = rules[0].condition?.predicate;
+	assert.strictEqual(predicate?.type, "exists");
+	assert.strictEqual(predicate?.pattern, "Cargo.toml");
+	assert.strictEqual(predicate?.containing, "[workspace]");
+});
+
+test("Parser - containing with location modifier", () => {
+	const rules = parse(tokenize('delete node_modules when parents exists package.json containing "workspaces" and exists src'));
+
+	const condition = rules[0].condition;
+	assert.strictEqual(condition?.type, "and");
+	assert.strictEqual(condition?.left?.location, "parents");
+	assert.strictEqual(condition?.left?.containing, "workspaces");
+	assert.strictEqual(condition?.right?.containing, undefined);
+});
+
+test("Parser - error on containing without text", () => {
+	assert.throws(() => {
+		parse(tokenize("delete target when exists Cargo.toml containing"));
+	}, /Expected text after 'containing'/);
+
+	assert.throws(() => {
+		parse(tokenize('delete target when exists dir src containing "x"'));
+	}, /'containing' cannot be used with a directory pattern/);
+});
+
+test("Parser - captures in target and condition", () => {
+	const rules = parse(tokenize("delete {name}.o when exists {name}.c"));
+
+	assert.strictEqual(rules[0].target, "{name}.o");
+	assert.strictEqual(rules[0].condition?.predicate?.pattern, "{name}.c");
+});
+
+test("Parser - error on capture not defined by target", () => {
+	assert.throws(() => {
+		parse(tokenize("delete {name}.o when exists {other}.c"));
+	}, /Unknown capture '\{other\}'/);
+});
+
+test("Parser - containing text is literal, apart from the captures of the target", () => {
+	const rules = parse(
+		tokenize('delete x when exists package.json containing "{name}"\ndelete {name}.o when exists *.c containing "{name}{other}"')
+	);
+
+	assert.strictEqual(rules[0].condition?.predicate?.containing, "{name}");
+	assert.strictEqual(rules[1].condition?.predicate?.containing, "{name}{other}");
+});
+
+test("Parser - block shares its condition across rules", () => {
+	const input = `when exists package.json {
+		delete node_modules; delete dist
+		delete coverage when not exists .keep
+	}
+	delete *.log`;
+	const rules = parse(tokenize(input));
+
+	assert.deepStrictEqual(
+		rules.map((r) => r.target),
+		["node_modules", "dist", "coverage", "*.log"]
+	);
+	assert.strictEqual(rules[0].condition?.predicate?.pattern, "package.json");
+	// The block condition node is shared, not copied
+	assert.strictEqual(rules[1].condition, rules[0].condition);
+	assert.strictEqual(rules[2].condition?.type, "and");
+	assert.strictEqual(rules[2].condition?.left, rules[0].condition);
+	assert.strictEqual(rules[2].condition?.right?.predicate?.type, "not");
+	assert.strictEqual(rules[3].condition, null);
+});
+
+test("Parser - nested blocks AND their conditions", () => {
+	const input = "when exists package.json { when exists tsconfig.json { delete *.tsbuildinfo } delete dist }";
+	const rules = parse(tokenize(input));
+
+	assert.strictEqual(rules.length, 2);
+	assert.strictEqual(rules[0].condition?.type, "and");
+	assert.strictEqual(rules[0].condition?.left, rules[1].condition);
+	assert.strictEqual(rules[0].condition?.right?.predicate?.pattern, "tsconfig.json");
+});
+
+test("Parser - block after a rule without condition", () => {
+	const rules = parse(tokenize("delete *.tmp\nwhen exists Cargo.toml { delete target }"));
+
+	assert.strictEqual(rules[0].condition, null);
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, "Cargo.toml");
+});
+
+test("Parser - block errors", () => {
+	assert.throws(() => parse(tokenize("when exists a { delete b")), /Unterminated block/);
+	assert.throws(() => parse(tokenize("delete b }")), /Unexpected '\}'/);
+	assert.throws(() => parse(tokenize("when exists a { protect b }")), /'protect' rules cannot be used inside a 'when' block/);
+	assert.throws(() => parse(tokenize("when exists {name}.c { delete {name}.o; delete b }")), /Unknown capture '\{name\}'/);
+});
+
+test("Parser - profile sections", () => {
+	const input = `delete *.tmp
+	profile ci:
+	delete node_modules when exists package.json
+	when exists Cargo.toml { delete target }
+	profile local:
+	delete *.log
+	delete profile`;
+	const rules = parse(tokenize(input));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.target, r.profile]),
+		[
+			["*.tmp", null],
+			["node_modules", "ci"],
+			["target", "ci"],
+			["*.log", "local"],
+			["profile", "local"],
+		]
+	);
+});
+
+test("Parser - profile errors", () => {
+	assert.throws(() => parse(tokenize("profile c.i:\ndelete *.log")), /Expected profile name after 'profile'/);
+	assert.throws(() => parse(tokenize("when exists a { profile ci: delete b }")), /'profile' must be at the top level/);
+});
+
+test("Parser - conditional skip and ignore rules", () => {
+	const input = `skip vendor when exists go.mod
+	ignore dist when exists .publish-keep
+	skip .venv when not exists pyproject.toml
+	when exists package.json { skip node_modules }`;
+	const rules = parse(tokenize(input));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target]),
+		[
+			["skip", "vendor"],
+			["ignore", "dist"],
+			["skip", ".venv"],
+			["skip", "node_modules"],
+		]
+	);
+	assert.strictEqual(rules[0].condition?.predicate?.pattern, "go.mod");
+	assert.strictEqual(rules[1].condition?.predicate?.pattern, ".publish-keep");
+	assert.strictEqual(rules[2].condition?.predicate?.type, "not");
+	assert.strictEqual(rules[3].condition?.predicate?.pattern, "package.json");
+});
+
+test("Parser - protect rules do not take a condition", () => {
+	assert.throws(() => parse(tokenize("protect .env when exists .git")), /'protect' rules do not support conditions/);
+});
@@ -0,0 +1,174 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-precedence");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules, options) => findRelativeTargetsHelper(rules, testDir, options);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Precedence - parse priority and negated patterns", () => {
+	const rules = parse(
+		tokenize(`
+			delete *.log priority 10
+			archive logs when exists .rotate into .archive priority -2 as rotate
+			ignore !logs/keep.log
+			skip !(vendor)
+			delete priority
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.target, r.priority]),
+		[
+			["*.log", 10],
+			["logs", -2],
+			["!logs/keep.log", 0],
+			["!(vendor)", 0],
+			// 'priority' is not a keyword, so it can still be a target
+			["priority", 0],
+		]
+	);
+	assert.strictEqual(rules[1].id, "rotate");
+
+	assert.throws(() => parse(tokenize("delete a priority")), /Expected a number after 'priority'/);
+	assert.throws(() => parse(tokenize("delete a priority high")), /Expected a number after 'priority' at line 1, column 19/);
+	assert.throws(() => parse(tokenize("protect .env priority 1")), /'priority' is not supported on 'protect' rules/);
+	assert.throws(
+		() => parse(tokenize("delete !a.log")),
+		/'!' re-inclusion is only supported on 'ignore' and 'skip' rules at line 1, column 8/
+	);
+	assert.throws(() => parse(tokenize("protect !.env")), /'!' re-inclusion is only supported/);
+	// '!(...)' is an extglob, not a negation
+	assert.strictEqual(parse(tokenize("delete !(*.keep)"))[0].target, "!(*.keep)");
+});
+
+test("Precedence - the rule defined last wins, unless another has a higher priority", async () => {
+	createStructure({
+		".cache": { "a.bin": "data" },
+		logs: { "a.log": "log" },
+	});
+
+	let result = await dedust("empty .cache\ndelete .cache\ntruncate logs/*.log\ndelete logs/*.log", testDir);
+	assert.strictEqual(result.matches.get(path.join(testDir, ".cache"))?.rule.action, "delete");
+	assert.strictEqual(result.matches.get(path.join(testDir, "logs", "a.log"))?.rule.action, "delete");
+
+	result = await dedust("empty .cache priority 1\ndelete .cache\ntruncate logs/*.log\ndelete logs/*.log priority -1", testDir);
+	assert.strictEqual(result.matches.get(path.join(testDir, ".cache"))?.rule.action, "empty");
+	assert.strictEqual(result.matches.get(path.join(testDir, "logs", "a.log"))?.rule.action, "truncate");
+
+	await result.execute();
+	assert.deepStrictEqual(fs.readdirSync(path.join(testDir, ".cache")), []);
+	assert.strictEqual(fs.statSync(path.join(testDir, "logs", "a.log")).size, 0);
+});
+
+test("Precedence - negated ignore and skip patterns re-include paths", async () => {
+	createStructure({
+		logs: { "a.log": "", "keep.log": "", "b.txt": "" },
+		vendor: { "a.log": "", "keep.log": "" },
+		build: { "a.log": "", cache: { "b.log": "" } },
+	});
+
+	// The last matching pattern decides, as in .gitignore
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.log\nignore logs/*.log\nignore !logs/keep.log"), [
+		"build/a.log",
+		"build/cache/b.log",
+		"logs/keep.log",
+		"vendor/a.log",
+		"vendor/keep.log",
+	]);
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/*.log\nignore !logs/keep.log\nignore logs/*.log"), []);
+	// 'logs/**' leaves the directory to its contents when a later pattern re-includes one of them
+	assert.deepStrictEqual(await findRelativeTargets("delete **/*.log at depth 2\nignore logs/**\nignore !logs/keep.log"), [
+		"build/a.log",
+		"logs/keep.log",
+		"vendor/a.log",
+		"vendor/keep.log",
+	]);
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/*.log\nignore !logs/keep.log\nignore logs/**"), []);
+	// Nothing inside an ignored directory can be re-included
+	assert.deepStrictEqual(await findRelativeTargets("delete **/keep.log\nignore vendor\nignore !vendor/keep.log"), ["logs/keep.log"]);
+	// API patterns come after the rules
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/*.log\nignore *.log", { ignore: ["!keep.log"] }), ["logs/keep.log"]);
+	// Re-included directories are traversed again
+	assert.deepStrictEqual(await findRelativeTargets("skip build/*\nskip !build/cache\ndelete **/*.log at depth 3"), ["build/cache/b.log"]);
+});
+
+test("Precedence - ignore rules and cleanup rules follow the same order", async () => {
+	createStructure({
+		logs: { "a.log": "", "b.log": "" },
+	});
+
+	// The rule defined last wins
+	assert.deepStrictEqual(await findRelativeTargets("ignore logs/*.log\ndelete logs/a.log"), ["logs/a.log"]);
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/a.log\nignore logs/*.log"), []);
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/a.log priority 1\nignore logs/*.log priority 1"), []);
+	// Unless the other rule has a higher priority
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/a.log priority 1\nignore logs/*.log"), ["logs/a.log"]);
+	assert.deepStrictEqual(await findRelativeTargets("ignore logs/*.log priority 5\ndelete logs/*.log priority 1"), []);
+	// API patterns always win, whatever the priority of the rule
+	assert.deepStrictEqual(await findRelativeTargets("delete logs/a.log priority 1", { ignore: ["*.log"] }), []);
+	assert.deepStrictEqual(await findRelativeTargets("delete *.log priority 1", { ignore: ["a.log"] }), ["logs/b.log"]);
+});
+
+test("Precedence - decisions show the winning rule and the rules it overrode", async () => {
+	createStructure({
+		".cache": { "a.bin": "data" },
+		logs: { "a.log": "", "keep.log": "" },
+	});
+
+	const result = await dedust(
+		`
+			delete .cache as drop-cache
+			empty .cache as clear-cache
+			delete **/*.log as logs
+			ignore logs/keep.log as keep-logs
+		`,
+		testDir,
+		{ ignore: ["logs/a.log"] }
+	);
+
+	const summary = new Map(
+		Array.from(result.decisions, ([decidedPath, decision]) => [
+			path.relative(testDir, decidedPath).split(path.sep).join("/"),
+			[decision.action, decision.rule?.id ?? null, decision.overridden.map((match) => match.rule.id)],
+		])
+	);
+	assert.deepStrictEqual(
+		summary,
+		new Map([
+			[".cache", ["empty", "clear-cache", ["drop-cache"]]],
+			["logs/a.log", ["ignore", null, ["logs"]]],
+			["logs/keep.log", ["ignore", "keep-logs", ["logs"]]],
+		])
+	);
+	assert.strictEqual(result.decisions.get(path.join(testDir, ".cache"))?.directory, testDir);
+	assert.deepStrictEqual(result.targets, [path.join(testDir, ".cache")]);
+});
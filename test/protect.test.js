@@ -0,0 +1,194 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust, { Evaluator, ProtectedPathError } from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-protect");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Protect - parse protect rule", () => {
+	const rules = parse(tokenize("protect .env\nprotect 'secrets/**'"));
+
+	assert.deepStrictEqual(
+		rules.map((r) => [r.action, r.target, r.condition]),
+		[
+			["protect", ".env", null],
+			["protect", "secrets/**", null],
+		]
+	);
+});
+
+test("Protect - protected paths are not deleted", async () => {
+	createStructure({
+		"app.log": "log",
+		"audit.log": "keep me",
+		logs: {
+			"audit.log": "keep me too",
+			"debug.log": "log",
+		},
+	});
+
+	const result = await dedust("protect audit.log\ndelete **/*.log", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	assert.deepStrictEqual(targets, ["app.log", path.join("logs", "debug.log")]);
+});
+
+test("Protect - directories containing protected paths are not deleted", async () => {
+	createStructure({
+		build: {
+			output: { "app.js": "code" },
+			keep: { "notes.md": "notes" },
+		},
+		dist: {
+			"bundle.js": "code",
+		},
+	});
+
+	const result = await dedust("protect notes.md\ndelete build\ndelete dist\ndelete build/output", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	// 'build' contains the protected file, but 'build/output' does not
+	assert.deepStrictEqual(targets, [path.join("build", "output"), "dist"]);
+});
+
+test("Protect - decisions report the matches refused for a protected path", async () => {
+	createStructure({
+		node_modules: {
+			keep: { "index.js": "code" },
+			pkg: { "index.js": "code" },
+		},
+		".env": "SECRET=1",
+	});
+
+	const result = await dedust("protect node_modules/keep\nprotect .env as env\ndelete node_modules as deps\ndelete .env", testDir);
+	assert.deepStrictEqual(result.targets, []);
+
+	const decision = result.decisions.get(path.join(testDir, "node_modules"));
+	assert.strictEqual(decision?.action, "protect");
+	assert.strictEqual(decision.rule?.target, "node_modules/keep");
+	assert.strictEqual(decision.directory, null);
+	assert.deepStrictEqual(decision.overridden.map((match) => match.rule.id), ["deps"]);
+	assert.ok(decision.error instanceof ProtectedPathError);
+	assert.strictEqual(decision.error.protectedPath, path.join(testDir, "node_modules", "keep"));
+	assert.match(decision.error.message, /Refusing to delete .*node_modules: it contains protected path .*keep/);
+
+	const envDecision = result.decisions.get(path.join(testDir, ".env"));
+	assert.strictEqual(envDecision?.rule?.id, "env");
+	assert.match(envDecision.error?.message ?? "", /Refusing to delete protected path: .*\.env/);
+});
+
+test("Protect - cannot be overridden from the API", async () => {
+	createStructure({
+		".env": "SECRET=1",
+		"app.tmp": "tmp",
+		config: {
+			".env": "SECRET=2",
+		},
+	});
+
+	const result = await dedust("protect .env\ndelete *", testDir, { skipValidation: true, ignore: [] });
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	assert.deepStrictEqual(targets, ["app.tmp"]);
+});
+
+test("Protect - protect rules cannot be disabled by id", async () => {
+	createStructure({
+		proj: { ".git": { HEAD: "ref: refs/heads/main" }, "a.txt": "" },
+	});
+
+	await assert.rejects(
+		() => dedust("protect .git as keep-git\ndelete proj", testDir, { disableRules: ["keep-git"] }),
+		/Rule 'keep-git' is a protect rule, which cannot be disabled/
+	);
+	const result = await dedust("protect .git as keep-git\ndelete proj", testDir);
+	assert.deepStrictEqual(result.targets, []);
+});
+
+test("Protect - execute re-checks protection without listeners", async () => {
+	createStructure({
+		dist: { "bundle.js": "code" },
+	});
+
+	const result = await dedust("protect *.keep\ndelete dist", testDir);
+	assert.strictEqual(result.targets.length, 1);
+
+	// A protected file appears after the scan
+	fs.writeFileSync(path.join(testDir, "dist", "release.keep"), "keep");
+
+	const stats = await result.execute();
+
+	assert.strictEqual(stats.deleted.length, 0);
+	assert.strictEqual(stats.errors.length, 1);
+	assert.ok(stats.errors[0].error instanceof ProtectedPathError);
+	assert.strictEqual(stats.errors[0].error.protectedPath, path.join(testDir, "dist", "release.keep"));
+	assert.match(stats.errors[0].error.message, /it contains protected path/);
+	assert.ok(fs.existsSync(path.join(testDir, "dist", "bundle.js")));
+});
+
+test("Protect - execute re-checks protection with listeners", async () => {
+	createStructure({
+		dist: { "bundle.js": "code" },
+		"app.tmp": "tmp",
+	});
+
+	const errors = [];
+	const result = await dedust("protect *.keep\ndelete dist\ndelete *.tmp", testDir, {
+		onError: (data) => errors.push(data),
+	});
+
+	fs.writeFileSync(path.join(testDir, "dist", "release.keep"), "keep");
+
+	const stats = await result.execute();
+
+	assert.deepStrictEqual(stats.deleted, [path.join(testDir, "app.tmp")]);
+	assert.strictEqual(stats.errors.length, 1);
+	assert.strictEqual(errors.length, 1);
+	assert.strictEqual(errors[0].phase, "deletion");
+	assert.strictEqual(errors[0].error.name, "ProtectedPathError");
+	assert.ok(fs.existsSync(path.join(testDir, "dist")));
+});
+
+test("Protect - Evaluator.execute refuses protected targets", async () => {
+	createStructure({
+		".env": "SECRET=1",
+	});
+
+	const evaluator = new Evaluator(parse(tokenize("protect .env")), testDir);
+	const errors = [];
+	evaluator.on("error", (data) => errors.push(data));
+	const result = await evaluator.execute([path.join(testDir, ".env")]);
+
+	assert.strictEqual(result.deleted.length, 0);
+	assert.strictEqual(result.errors[0].error.message, `Refusing to delete protected path: ${path.join(testDir, ".env")}`);
+	assert.strictEqual(errors.length, 1);
+	assert.ok(fs.existsSync(path.join(testDir, ".env")));
+});
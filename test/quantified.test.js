@@ -0,0 +1,103 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, findRelativeTargets as findRelativeTargetsHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-quantified");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const findRelativeTargets = (rules) => findRelativeTargetsHelper(rules, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Quantified - parse at least / no more than", () => {
+	const rules = parse(
+		tokenize(`
+			delete *.dmp when at least 20 exists *.dmp
+			delete node_modules when at least 2 child exists package.json
+			delete .cache when no more than 3 children within 2 exists file *.lock
+			delete at when exists least
+		`)
+	);
+
+	const predicates = rules.map((r) => r.condition?.predicate);
+	assert.deepStrictEqual(
+		predicates.map((p) => [p?.location, p?.pattern, p?.minCount, p?.maxCount]),
+		[
+			["here", "*.dmp", 20, undefined],
+			["child", "package.json", 2, undefined],
+			["children", "*.lock", undefined, 3],
+			["here", "least", undefined, undefined],
+		]
+	);
+	assert.deepStrictEqual(predicates[2]?.depth, { min: 1, max: 2 });
+	// The words of a quantifier are not keywords, so they can still be targets
+	assert.strictEqual(rules[3].target, "at");
+
+	assert.throws(
+		() => parse(tokenize("delete a when at least 0 exists b")),
+		/Expected a positive number after 'at least' at line 1, column 24/
+	);
+	assert.throws(() => parse(tokenize("delete a when no more than many exists b")), /Expected a number after 'no more than'/);
+	assert.throws(() => parse(tokenize("delete a when at least 2 older than 1d")), /Expected 'exists'/);
+});
+
+test("Quantified - at least counts the matches of a directory", async () => {
+	createStructure({
+		crashes: { "1.dmp": "", "2.dmp": "", "3.dmp": "", "notes.txt": "" },
+		quiet: { "1.dmp": "", "2.dmp": "" },
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete *.dmp when at least 3 exists *.dmp"), [
+		"crashes/1.dmp",
+		"crashes/2.dmp",
+		"crashes/3.dmp",
+	]);
+	assert.deepStrictEqual(await findRelativeTargets("delete notes.txt when no more than 2 exists *.dmp"), []);
+	assert.deepStrictEqual(await findRelativeTargets("delete *.dmp when no more than 2 exists *.dmp"), ["quiet/1.dmp", "quiet/2.dmp"]);
+});
+
+test("Quantified - counts add up across location directories", async () => {
+	createStructure({
+		monorepo: {
+			node_modules: {},
+			app: { "package.json": "{}" },
+			lib: { "package.json": "{}" },
+			docs: {},
+		},
+		single: {
+			node_modules: {},
+			app: { "package.json": "{}" },
+		},
+	});
+
+	assert.deepStrictEqual(await findRelativeTargets("delete node_modules when at least 2 child exists package.json"), [
+		"monorepo/node_modules",
+	]);
+	assert.deepStrictEqual(await findRelativeTargets("delete node_modules when no more than 1 child exists package.json"), [
+		"single/node_modules",
+	]);
+});
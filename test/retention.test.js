@@ -0,0 +1,133 @@
+import test, { beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import dedust from "../src/index.js";
+import { tokenize } from "../src/tokenizer.js";
+import { parse } from "../src/parser.js";
+import { createStructure as createStructureHelper, age as ageHelper } from "./helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, ".test-tmp-retention");
+
+const createStructure = (structure, baseDir = testDir) => createStructureHelper(structure, baseDir);
+const age = (relativePath, days) => ageHelper(relativePath, days, testDir);
+
+beforeEach(() => {
+	cleanup();
+});
+
+afterEach(() => {
+	cleanup();
+});
+
+/**
+ * Clean up test directory
+ */
+function cleanup() {
+	if (fs.existsSync(testDir)) {
+		fs.rmSync(testDir, { recursive: true, force: true });
+	}
+}
+
+test("Retention - parse keep clause", () => {
+	const rules = parse(
+		tokenize(`
+			delete backups/*.tar.gz keep newest 5
+			delete releases/* keep oldest 3 by ctime when exists releases.json
+			delete dumps/* keep largest 1
+			delete keep
+		`)
+	);
+
+	assert.deepStrictEqual(
+		rules.map((r) => r.keep),
+		[{ order: "newest", count: 5, by: "mtime" }, { order: "oldest", count: 3, by: "ctime" }, { order: "largest", count: 1, by: "size" }, null]
+	);
+	assert.strictEqual(rules[1].condition?.type, "predicate");
+	// 'keep' is not a keyword, so it can still be a target
+	assert.strictEqual(rules[3].target, "keep");
+});
+
+test("Retention - parse errors", () => {
+	assert.throws(() => parse(tokenize("delete *.log keep 5")), /Expected 'newest', 'oldest', or 'largest' after 'keep' at line 1, column 19/);
+	assert.throws(() => parse(tokenize("delete *.log keep newest")), /Expected a positive number of entries to keep/);
+	assert.throws(() => parse(tokenize("delete *.log keep newest 0")), /Expected a positive number of entries to keep/);
+	assert.throws(() => parse(tokenize("delete *.log keep newest 2 by size")), /Expected 'mtime', 'atime', or 'ctime' after 'by'/);
+	assert.throws(() => parse(tokenize("delete *.log keep largest 2 by mtime")), /'largest' always sorts by size/);
+	assert.throws(() => parse(tokenize("ignore *.log keep newest 2")), /'keep' is only supported on 'delete' rules/);
+});
+
+test("Retention - keep newest N per anchor directory", async () => {
+	createStructure({
+		backups: {
+			"a.tar.gz": "",
+			"b.tar.gz": "",
+			"c.tar.gz": "",
+			"d.tar.gz": "",
+		},
+	});
+	age("backups/a.tar.gz", 4);
+	age("backups/b.tar.gz", 1);
+	age("backups/c.tar.gz", 3);
+	age("backups/d.tar.gz", 2);
+
+	const found = [];
+	const result = await dedust("delete backups/*.tar.gz keep newest 2", testDir, {
+		onFileFound: (data) => found.push(path.basename(data.path)),
+	});
+	const targets = result.targets.map((t) => path.basename(t)).sort();
+
+	assert.deepStrictEqual(targets, ["a.tar.gz", "c.tar.gz"]);
+	// Kept matches are never reported as found
+	assert.deepStrictEqual(found.sort(), ["a.tar.gz", "c.tar.gz"]);
+});
+
+test("Retention - keep oldest and keep largest", async () => {
+	createStructure({
+		logs: {
+			"1.log": "x",
+			"2.log": "xxx",
+			"3.log": "xx",
+		},
+		releases: {
+			v1: { "app.js": "x".repeat(10) },
+			v2: { "app.js": "x".repeat(30) },
+			v3: { "app.js": "x".repeat(20) },
+		},
+	});
+	age("logs/1.log", 3);
+	age("logs/2.log", 2);
+	age("logs/3.log", 1);
+
+	const oldest = await dedust("delete logs/*.log keep oldest 1", testDir);
+	assert.deepStrictEqual(oldest.targets.map((t) => path.basename(t)).sort(), ["2.log", "3.log"]);
+
+	const largest = await dedust("delete releases/* keep largest 2", testDir);
+	assert.deepStrictEqual(largest.targets.map((t) => path.basename(t)), ["v1"]);
+});
+
+test("Retention - each anchor directory keeps its own matches", async () => {
+	createStructure({
+		app: {
+			"package.json": "{}",
+			"old.tgz": "",
+			"new.tgz": "",
+		},
+		lib: {
+			"package.json": "{}",
+			"only.tgz": "",
+		},
+	});
+	age("app/old.tgz", 2);
+	age("app/new.tgz", 1);
+
+	const result = await dedust("delete *.tgz keep newest 1 when exists package.json", testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t));
+
+	assert.deepStrictEqual(targets, [path.join("app", "old.tgz")]);
+});
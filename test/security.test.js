@@ -221,9 +221,9 @@ test("Security - Ignore rules are not validated", async () => {
 
 	// Ignore rules with * pattern should be fine
 	const dsl = `
+		delete *.txt
 		ignore *
 		ignore .git
-		delete *.txt
 	`;
 
 	const result = await dedust(dsl, testDir);
@@ -96,10 +96,10 @@ test("Skip - difference between skip and ignore", async () => {
 	// ignore prevents both traversal and matching
 	const dsl = `
 		skip node_modules
-		ignore .git
 		delete node_modules when exists package.json
 		delete .git when exists package.json
 		delete **/*.js
+		ignore .git
 	`;
 	const result = await dedust(dsl, testDir);
 	const targets = result.targets;
@@ -303,11 +303,11 @@ test("Skip - combined with ignore", async () => {
 
 	const dsl = `
 		skip node_modules
-		ignore .git
 		delete node_modules
 		delete .git
 		delete cache
 		delete **/*
+		ignore .git
 	`;
 	const result = await dedust(dsl, testDir, {
 		skipValidation: true,
@@ -363,3 +363,49 @@ test("Skip - no skip patterns", async () => {
 		"Should find src/app.js"
 	);
 });
+
+test("Skip - conditional skip is evaluated in the directory containing the candidate", async () => {
+	createStructure({
+		goapp: {
+			"go.mod": "module app",
+			vendor: { "lib.tmp": "tmp" },
+		},
+		other: {
+			vendor: { "lib.tmp": "tmp" },
+		},
+		py: {
+			".venv": { "cache.tmp": "tmp" },
+		},
+		pyproject: {
+			"pyproject.toml": "",
+			".venv": { "cache.tmp": "tmp" },
+		},
+	});
+
+	const dsl = `
+		skip vendor when exists go.mod
+		skip .venv when not exists pyproject.toml
+		delete **/*.tmp
+	`;
+	const result = await dedust(dsl, testDir);
+	const targets = result.targets.map((t) => path.relative(testDir, t)).sort();
+
+	assert.deepStrictEqual(targets, [path.join("other", "vendor", "lib.tmp"), path.join("pyproject", ".venv", "cache.tmp")]);
+});
+
+test("Skip - conditional skip depending on its own directory listing", async () => {
+	createStructure({
+		a: {
+			b: { "file.tmp": "tmp" },
+		},
+	});
+
+	// Listing children checks 'skip a' again in the same directory: it must not recurse forever
+	const dsl = `
+		skip a when children exists b
+		delete **/*.tmp
+	`;
+	const result = await dedust(dsl, testDir);
+
+	assert.deepStrictEqual(result.targets, []);
+});
@@ -92,7 +92,7 @@ delete node_modules`;
 });
 
 test("Tokenizer - all location types", () => {
-	const locations = ["here", "parent", "parents", "child", "children", "sibling"];
+	const locations = ["here", "parent", "parents", "child", "children", "sibling", "root", "ancestors-or-self"];
 
 	for (const loc of locations) {
 		const input = `delete target when ${loc} exists file.txt`;
@@ -186,3 +186,165 @@ test("Tokenizer - quoted pattern with glob", () => {
 	assert.strictEqual(tokens[1].type, "string");
 	assert.strictEqual(tokens[1].value, "*.log files");
 });
+
+test("Tokenizer - with OR and parentheses", () => {
+	const input = "delete target when (exists Cargo.toml or parent exists Cargo.toml) and not exists .keep";
+	const tokens = tokenize(input);
+
+	const values = tokens.slice(0, -1).map((t) => t.value);
+	assert.deepStrictEqual(values, [
+		"delete",
+		"target",
+		"when",
+		"(",
+		"exists",
+		"Cargo.toml",
+		"or",
+		"parent",
+		"exists",
+		"Cargo.toml",
+		")",
+		"and",
+		"not",
+		"exists",
+		".keep",
+	]);
+	assert.strictEqual(tokens[3].type, "punctuation");
+	assert.strictEqual(tokens[6].type, "keyword");
+	assert.strictEqual(tokens[10].type, "punctuation");
+});
+
+test("Tokenizer - entry type qualifiers and trailing slash", () => {
+	const input = "delete dir build when exists file Makefile\ndelete build/";
+	const tokens = tokenize(input);
+
+	assert.strictEqual(tokens[1].type, "keyword");
+	assert.strictEqual(tokens[1].value, "dir");
+	assert.strictEqual(tokens[5].type, "keyword");
+	assert.strictEqual(tokens[5].value, "file");
+	assert.strictEqual(tokens[8].type, "identifier");
+	assert.strictEqual(tokens[8].value, "build/");
+});
+
+test("Tokenizer - duration literals", () => {
+	const input = "delete *.log when accessed older than 14d";
+	const tokens = tokenize(input);
+
+	assert.deepStrictEqual(
+		tokens.slice(3, -1).map((t) => [t.type, t.value]),
+		[
+			["keyword", "accessed"],
+			["keyword", "older"],
+			["keyword", "than"],
+			["duration", "14d"],
+		]
+	);
+
+	for (const value of ["30s", "5m", "12h", "1.5d", "2w"]) {
+		assert.strictEqual(tokenize(value)[0].type, "duration");
+	}
+	for (const value of ["14days", "d14", "10x"]) {
+		assert.strictEqual(tokenize(value)[0].type, "identifier");
+	}
+});
+
+test("Tokenizer - size literals", () => {
+	const input = "delete *.core when larger than 1GB";
+	const tokens = tokenize(input);
+
+	assert.deepStrictEqual(
+		tokens.slice(3, -1).map((t) => [t.type, t.value]),
+		[
+			["keyword", "larger"],
+			["keyword", "than"],
+			["size", "1GB"],
+		]
+	);
+
+	for (const value of ["100B", "10KB", "500MB", "1.5GB", "2TB", "64KiB", "512MiB", "4GiB", "500mb"]) {
+		assert.strictEqual(tokenize(value)[0].type, "size", value);
+	}
+	// Plain minutes stay a duration
+	assert.strictEqual(tokenize("5m")[0].type, "duration");
+});
+
+test("Tokenizer - block braces and rule separators", () => {
+	const input = "when exists package.json { delete dist; delete {name}.o }";
+	const tokens = tokenize(input);
+
+	assert.deepStrictEqual(
+		tokens.slice(3, -1).map((t) => [t.type, t.value]),
+		[
+			["punctuation", "{"],
+			["keyword", "delete"],
+			["identifier", "dist"],
+			["punctuation", ";"],
+			["keyword", "delete"],
+			["identifier", "{name}.o"],
+			["punctuation", "}"],
+		]
+	);
+
+	// A closing brace right after a pattern ends the block
+	assert.deepStrictEqual(
+		tokenize("{delete dist}").map((t) => t.value),
+		["{", "delete", "dist", "}", ""]
+	);
+});
+
+test("Tokenizer - full glob syntax in unquoted patterns", () => {
+	const input = "delete *.{log,tmp} file?.txt [!0-9]*.o [[:alpha:]]x +(a|b).js !(keep).log @types *~ when (exists {a,{b,c}}.json)";
+	const tokens = tokenize(input);
+
+	assert.deepStrictEqual(
+		tokens.slice(1, -1).map((t) => [t.type, t.value]),
+		[
+			["identifier", "*.{log,tmp}"],
+			["identifier", "file?.txt"],
+			["identifier", "[!0-9]*.o"],
+			["identifier", "[[:alpha:]]x"],
+			["identifier", "+(a|b).js"],
+			["identifier", "!(keep).log"],
+			["identifier", "@types"],
+			["identifier", "*~"],
+			["keyword", "when"],
+			["punctuation", "("],
+			["keyword", "exists"],
+			["identifier", "{a,{b,c}}.json"],
+			["punctuation", ")"],
+		]
+	);
+
+	// Outside of braces and extglob groups, ',' and '|' do not belong to a pattern
+	assert.throws(() => tokenize("delete a|b"), /Unexpected character '\|' at line 1, column 9/);
+	// An unclosed bracket matches literally
+	assert.deepStrictEqual(
+		tokenize("delete [abc x").map((t) => t.value),
+		["delete", "[abc", "x", ""]
+	);
+});
+
+test("Tokenizer - unknown characters are errors", () => {
+	assert.throws(() => tokenize("delete *.log\ndelete $HOME"), /Unexpected character '\$' at line 2, column 8/);
+	// Letters of any script are part of identifiers
+	assert.deepStrictEqual(
+		tokenize("delete 缓存 café").map((t) => t.value),
+		["delete", "缓存", "café", ""]
+	);
+});
+
+test("Tokenizer - number literals", () => {
+	assert.deepStrictEqual(
+		tokenize("20 007 1..3 1.5 2d 10MB v2").map((t) => [t.type, t.value]),
+		[
+			["number", "20"],
+			["number", "007"],
+			["identifier", "1..3"],
+			["identifier", "1.5"],
+			["duration", "2d"],
+			["size", "10MB"],
+			["identifier", "v2"],
+			["eof", ""],
+		]
+	);
+});
@@ -234,3 +234,41 @@ test("Unified API - execute with multiple directories and listeners", async () =
 	assert.ok(filesDeleted.some((f) => f.includes("project1") && f.endsWith("test.log")));
 	assert.ok(filesDeleted.some((f) => f.includes("project2") && f.endsWith("app.log")));
 });
+
+test("Unified API - profile option selects profile sections", async () => {
+	createStructure({
+		"package.json": "{}",
+		node_modules: {},
+		"debug.log": "log",
+		"app.tmp": "tmp",
+	});
+
+	const dsl = `
+		delete *.tmp
+
+		profile ci:
+		delete node_modules when exists package.json
+
+		profile local:
+		delete *.log
+	`;
+
+	const names = (targets) => targets.map((t) => path.basename(t)).sort();
+
+	assert.deepStrictEqual(names((await dedust(dsl, testDir)).targets), ["app.tmp"]);
+	assert.deepStrictEqual(names((await dedust(dsl, testDir, { profile: "ci" })).targets), ["app.tmp", "node_modules"]);
+	assert.deepStrictEqual(names((await dedust(dsl, testDir, { profile: "local" })).targets), ["app.tmp", "debug.log"]);
+});
+
+test("Unified API - error on unknown profile", async () => {
+	createStructure({
+		"app.tmp": "tmp",
+	});
+
+	await assert.rejects(dedust("delete *.tmp\nprofile ci:\ndelete *.log", testDir, { profile: "nightly" }), {
+		message: "Unknown profile 'nightly'. Available profiles: ci",
+	});
+	await assert.rejects(dedust("delete *.tmp", testDir, { profile: "ci" }), {
+		message: "Unknown profile 'ci'. The rules do not define any profiles",
+	});
+});
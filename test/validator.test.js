@@ -229,3 +229,28 @@ test("Validator - Mixed safe and dangerous patterns", () => {
 	assert.ok(result.errors.some((e) => e.error.includes("delete *")));
 	assert.ok(result.errors.some((e) => e.error.includes("delete **")));
 });
+
+test("Validator - captures are validated like wildcards", () => {
+	const unsafe = validateRules(parseRules("delete {name}"));
+	assert.strictEqual(unsafe.valid, false);
+
+	const safe = validateRules(parseRules("delete {name}.o when exists {name}.c"));
+	assert.strictEqual(safe.valid, true);
+});
+
+test("Validator - env and platform predicates do not make a dangerous pattern safe", () => {
+	for (const dsl of [
+		"delete ** when platform linux",
+		"delete * when env CI",
+		"delete **/* when not platform win32 and env CI is true",
+		"empty * when (platform darwin or platform linux)",
+	]) {
+		const result = validateRules(parseRules(dsl));
+		assert.strictEqual(result.valid, false, dsl);
+		assert.match(result.errors[0].error, /without any condition on paths \('env' and 'platform' do not narrow the matches\)/);
+	}
+
+	// A predicate on paths anywhere in the condition narrows the matches
+	assert.strictEqual(validateRules(parseRules("delete * when platform linux and exists Cargo.toml")).valid, true);
+	assert.strictEqual(validateRules(parseRules("delete * when env CI or older than 7d")).valid, true);
+});